@@ -0,0 +1,177 @@
+/**
+ * Chunks are CHUNK_SIZE x CHUNK_SIZE cells big, CHUNK_SIZE = 2 ** CHUNK_BITS so that coords are split with bitwise ops
+ */
+const CHUNK_BITS = 4;
+export const CHUNK_SIZE = 1 << CHUNK_BITS;
+const CHUNK_MASK = CHUNK_SIZE - 1;
+
+/**
+ * @template T
+ * @typedef {Object} Chunk - A square of cells of a ChunkMap
+ * @property {Number} x - The x pos of the chunk (in chunks)
+ * @property {Number} y - The y pos of the chunk (in chunks)
+ * @property {Array<T|undefined>} values - The value of each cell, row by row, undefined if it has none
+ * @property {Number} count - How many cells have a value
+ */
+
+/**
+ * Maps a pair of integers (which may be negative) to an unique natural number: they're mapped to natural numbers (zigzag)
+ * and then paired (Szudzik)
+ * @param {Number} x - The first integer
+ * @param {Number} y - The second integer
+ * @returns {Number} The paired number
+ */
+export function pairCoords(x, y) {
+    const a = x >= 0 ? x * 2 : -x * 2 - 1;
+    const b = y >= 0 ? y * 2 : -y * 2 - 1;
+    return a >= b ? a * a + a + b : a + b * b;
+}
+
+/**
+ * Converts a number created by pairCoords back to the pair of integers
+ * @param {Number} index - The paired number
+ * @returns {[ Number, Number ]} The pair of integers
+ */
+export function unpairCoords(index) {
+    const root = Math.floor(Math.sqrt(index));
+    const remainder = index - root * root;
+    const [ a, b ] = remainder < root ? [ remainder, root ] : [ root, remainder - root ];
+    return [
+        a % 2 === 0 ? a / 2 : -(a + 1) / 2,
+        b % 2 === 0 ? b / 2 : -(b + 1) / 2
+    ];
+}
+
+/**
+ * A sparse grid of values with no boundaries, cells are stored in chunks so that the ones within a region
+ * can be found without going through all of them
+ * @template T
+ */
+export class ChunkMap {
+    constructor() {
+        /**
+         * The chunks that contain at least one value, by the paired pos of the chunk (see pairCoords)
+         * @type {Map<Number, Chunk<T>>}
+         */
+        this.chunks = new Map();
+    }
+
+    /**
+     * Returns the chunk that contains the specified cell
+     * @param {Number} x - The x pos of the cell
+     * @param {Number} y - The y pos of the cell
+     * @returns {Chunk<T>|undefined} The chunk, undefined if it has no values
+     */
+    getChunk(x, y) {
+        return this.chunks.get(pairCoords(x >> CHUNK_BITS, y >> CHUNK_BITS));
+    }
+
+    /**
+     * Returns the value of the specified cell
+     * @param {Number} x - The x pos of the cell
+     * @param {Number} y - The y pos of the cell
+     * @returns {T|undefined} The value, undefined if the cell has none
+     */
+    get(x, y) {
+        const chunk = this.getChunk(x, y);
+        return chunk === undefined ? undefined : chunk.values[((y & CHUNK_MASK) << CHUNK_BITS) | (x & CHUNK_MASK)];
+    }
+
+    /**
+     * Checks whether or not the specified cell has a value
+     * @param {Number} x - The x pos of the cell
+     * @param {Number} y - The y pos of the cell
+     * @returns {Boolean} Whether or not the cell has a value
+     */
+    has(x, y) {
+        return this.get(x, y) !== undefined;
+    }
+
+    /**
+     * Changes the value of the specified cell
+     * @param {Number} x - The x pos of the cell
+     * @param {Number} y - The y pos of the cell
+     * @param {T} value - The new value
+     */
+    set(x, y, value) {
+        const key = pairCoords(x >> CHUNK_BITS, y >> CHUNK_BITS);
+        let chunk = this.chunks.get(key);
+        if (chunk === undefined) {
+            chunk = { "x": x >> CHUNK_BITS, "y": y >> CHUNK_BITS, "values": new Array(CHUNK_SIZE * CHUNK_SIZE), "count": 0 };
+            this.chunks.set(key, chunk);
+        }
+
+        const i = ((y & CHUNK_MASK) << CHUNK_BITS) | (x & CHUNK_MASK);
+        if (chunk.values[i] === undefined) { chunk.count++; }
+        chunk.values[i] = value;
+    }
+
+    /**
+     * Removes the value of the specified cell, chunks left without values are removed too
+     * @param {Number} x - The x pos of the cell
+     * @param {Number} y - The y pos of the cell
+     */
+    delete(x, y) {
+        const key = pairCoords(x >> CHUNK_BITS, y >> CHUNK_BITS);
+        const chunk = this.chunks.get(key);
+        if (chunk === undefined) { return; }
+
+        const i = ((y & CHUNK_MASK) << CHUNK_BITS) | (x & CHUNK_MASK);
+        if (chunk.values[i] === undefined) { return; }
+        chunk.values[i] = undefined;
+        if (--chunk.count === 0) { this.chunks.delete(key); }
+    }
+
+    /**
+     * Calls the specified function for each cell of the specified chunk that has a value
+     * @param {Chunk<T>} chunk - The chunk
+     * @param {(value: T, x: Number, y: Number) -> void} callback - The function to call
+     */
+    static forEachInChunk(chunk, callback) {
+        const [ originX, originY ] = [ chunk.x << CHUNK_BITS, chunk.y << CHUNK_BITS ];
+        for (let i = 0; i < chunk.values.length; i++) {
+            if (chunk.values[i] !== undefined) {
+                callback(chunk.values[i], originX + (i & CHUNK_MASK), originY + (i >> CHUNK_BITS));
+            }
+        }
+    }
+
+    /**
+     * Calls the specified function for each cell that has a value
+     * @param {(value: T, x: Number, y: Number) -> void} callback - The function to call
+     */
+    forEach(callback) {
+        for (const chunk of this.chunks.values()) {
+            ChunkMap.forEachInChunk(chunk, callback);
+        }
+    }
+
+    /**
+     * Returns the chunks that overlap the specified region, it's as fast as the number of chunks it returns
+     * @param {Number} minX - The x pos of the top-left cell of the region
+     * @param {Number} minY - The y pos of the top-left cell of the region
+     * @param {Number} maxX - The x pos of the bottom-right cell of the region
+     * @param {Number} maxY - The y pos of the bottom-right cell of the region
+     * @returns {Array<Chunk<T>>} The chunks
+     */
+    getChunksIn(minX, minY, maxX, maxY) {
+        const [ minChunkX, minChunkY ] = [ minX >> CHUNK_BITS, minY >> CHUNK_BITS ];
+        const [ maxChunkX, maxChunkY ] = [ maxX >> CHUNK_BITS, maxY >> CHUNK_BITS ];
+
+        // Big regions contain more chunk pos than there are chunks
+        if ((maxChunkX - minChunkX + 1) * (maxChunkY - minChunkY + 1) > this.chunks.size) {
+            return [ ...this.chunks.values() ].filter(
+                chunk => chunk.x >= minChunkX && chunk.x <= maxChunkX && chunk.y >= minChunkY && chunk.y <= maxChunkY
+            );
+        }
+
+        const chunks = [ ];
+        for (let chunkX = minChunkX; chunkX <= maxChunkX; chunkX++) {
+            for (let chunkY = minChunkY; chunkY <= maxChunkY; chunkY++) {
+                const chunk = this.chunks.get(pairCoords(chunkX, chunkY));
+                if (chunk !== undefined) { chunks.push(chunk); }
+            }
+        }
+        return chunks;
+    }
+}
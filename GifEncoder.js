@@ -0,0 +1,186 @@
+/**
+ * The highest code LZW can use within GIFs, codes are at most 12 bits long
+ */
+const MAX_LZW_CODE = 4095;
+
+/**
+ * Compresses the specified color indices with the variant of LZW used by GIFs (source: https://www.w3.org/Graphics/GIF/spec-gif89a.txt)
+ * @param {Uint8Array} indices - The color index of each pixel
+ * @param {Number} minCodeSize - The number of bits needed by the biggest color index (at least 2)
+ * @returns {Array<Number>} The compressed bytes
+ */
+function lzwEncode(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+
+    const bytes = [];
+    let bitBuffer = 0;
+    let bitCount = 0;
+    let codeSize = minCodeSize + 1;
+    // Codes are packed starting from the least significant bit
+    const emit = code => {
+        bitBuffer |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            bytes.push(bitBuffer & 0xff);
+            bitBuffer >>>= 8;
+            bitCount -= 8;
+        }
+    };
+
+    /** The code of each known sequence, by the code of the sequence without its last index and that index */
+    let codes = new Map();
+    let nextCode = endCode + 1;
+    emit(clearCode);
+
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const index = indices[i];
+        const key = (prefix << 8) | index;
+        const code = codes.get(key);
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+
+        emit(prefix);
+        if (nextCode > MAX_LZW_CODE) {
+            // The table is full, decoders must start over too
+            emit(clearCode);
+            codes = new Map();
+            nextCode = endCode + 1;
+            codeSize = minCodeSize + 1;
+        } else {
+            if (nextCode >= (1 << codeSize)) { codeSize++; }
+            codes.set(key, nextCode++);
+        }
+        prefix = index;
+    }
+
+    emit(prefix);
+    emit(endCode);
+    if (bitCount > 0) { bytes.push(bitBuffer & 0xff); }
+    return bytes;
+}
+
+/**
+ * Writes animated GIFs frame by frame, all frames share the same palette
+ */
+export class GifEncoder {
+    /**
+     * @param {Number} width - The width (px) of the GIF
+     * @param {Number} height - The height (px) of the GIF
+     * @param {Array<[ Number, Number, Number ]>} palette - The RGB colors frames can use (at most 256), the first one is the background
+     * @param {Number} [loops] - How many times the animation is repeated, 0 repeats it forever
+     */
+    constructor(width, height, palette, loops = 0) {
+        if (palette.length === 0 || palette.length > 256) { throw new RangeError("GIFs must use between 1 and 256 colors"); }
+
+        this.width = width;
+        this.height = height;
+
+        /** The number of bits needed by the biggest color index */
+        this.colorBits = Math.max(Math.ceil(Math.log2(palette.length)), 1);
+        /**
+         * The bytes written so far, each frame is added as a single chunk
+         * @type {Array<Uint8Array>}
+         */
+        this.chunks = [ ];
+        /**
+         * The last frame that was added, it's written once the next one comes so that its delay can still grow
+         * @type {{ "x": Number, "y": Number, "width": Number, "height": Number, "indices": Uint8Array, "delay": Number }}
+         */
+        this.pendingFrame = null;
+
+        const header = [ ..."GIF89a" ].map(char => char.charCodeAt(0));
+        pushUint16(header, width);
+        pushUint16(header, height);
+        // Global color table, followed by its color resolution and size
+        header.push(0x80 | ((this.colorBits - 1) << 4) | (this.colorBits - 1), 0, 0);
+        for (let i = 0; i < 1 << this.colorBits; i++) {
+            header.push(...(palette[i] ?? [ 0, 0, 0 ]));
+        }
+
+        // The NETSCAPE2.0 application extension makes the animation loop
+        header.push(0x21, 0xff, 0x0b, ..."NETSCAPE2.0".split("").map(char => char.charCodeAt(0)), 0x03, 0x01);
+        pushUint16(header, loops);
+        header.push(0x00);
+        this.chunks.push(Uint8Array.from(header));
+    }
+
+    /**
+     * Adds a frame which replaces the specified region of the previous one, what's outside of it is kept
+     * @param {Uint8Array} indices - The palette index of each pixel of the region, row by row
+     * @param {Number} delay - How long (1/100 s) the frame is shown
+     * @param {Number} [x] - The x pos of the region
+     * @param {Number} [y] - The y pos of the region
+     * @param {Number} [width] - The width of the region
+     * @param {Number} [height] - The height of the region
+     */
+    addFrame(indices, delay, x = 0, y = 0, width = this.width, height = this.height) {
+        if (indices.length !== width * height) { throw new RangeError("A frame must have an index for each of its pixels"); }
+        this.writePendingFrame();
+        this.pendingFrame = { "x": x, "y": y, "width": width, "height": height, "indices": indices, "delay": delay };
+    }
+
+    /**
+     * Makes the last frame that was added be shown for longer
+     * @param {Number} delay - How much (1/100 s) is added to the delay of the frame
+     */
+    addDelay(delay) {
+        if (this.pendingFrame !== null) { this.pendingFrame.delay += delay; }
+    }
+
+    /**
+     * Writes the frame that's waiting for the next one
+     */
+    writePendingFrame() {
+        if (this.pendingFrame === null) { return; }
+        const { x, y, width, height, indices, delay } = this.pendingFrame;
+        this.pendingFrame = null;
+
+        // Graphic control extension, frames are drawn on top of the previous ones (disposal method 1)
+        const bytes = [ 0x21, 0xf9, 0x04, 0x04 ];
+        pushUint16(bytes, Math.min(Math.round(delay), 0xffff));
+        bytes.push(0x00, 0x00);
+
+        // Image descriptor, without a local color table
+        bytes.push(0x2c);
+        pushUint16(bytes, x);
+        pushUint16(bytes, y);
+        pushUint16(bytes, width);
+        pushUint16(bytes, height);
+        bytes.push(0x00);
+
+        const minCodeSize = Math.max(this.colorBits, 2);
+        const data = lzwEncode(indices, minCodeSize);
+        bytes.push(minCodeSize);
+        // Image data is split into sub-blocks of at most 255 bytes
+        for (let i = 0; i < data.length; i += 255) {
+            const block = data.slice(i, i + 255);
+            bytes.push(block.length, ...block);
+        }
+        bytes.push(0x00);
+
+        this.chunks.push(Uint8Array.from(bytes));
+    }
+
+    /**
+     * Ends the GIF, no frames can be added afterwards
+     * @returns {Array<Uint8Array>} The bytes of the GIF, split into chunks (they can be passed to Blob)
+     */
+    finish() {
+        this.writePendingFrame();
+        this.chunks.push(Uint8Array.of(0x3b));
+        return this.chunks;
+    }
+}
+
+/**
+ * Appends the specified 16 bit unsigned integer to bytes (little-endian)
+ * @param {Array<Number>} bytes - The bytes to append the integer to
+ * @param {Number} value - The integer
+ */
+function pushUint16(bytes, value) {
+    bytes.push(value & 0xff, (value >> 8) & 0xff);
+}
@@ -0,0 +1,382 @@
+import { UMath } from "./wCanvas/wcanvas.js";
+import { WorldMap, CELL_TYPES, TERRAIN_CELL_TYPES, AGENT_CELL_TYPES } from "./WorldMap.js";
+import { TOPOLOGIES } from "./Topology.js";
+
+/**
+ * @typedef {Object} MapData - A map that was read from a file
+ * @property {Number} width - The width of the map
+ * @property {Number} height - The height of the map
+ * @property {Boolean} hasBoundary - Whether or not the map has boundaries
+ * @property {String} topology - The shape of the cells of the map (one of TOPOLOGIES)
+ * @property {Array<String|Number>} cells - The walls and terrain of the map (see WorldMap#layoutToCellArray)
+ * @property {UMath.Vec2} [start] - The pos of START
+ * @property {UMath.Vec2} [goal] - The pos of GOAL
+ * @property {Array<UMath.Vec2>} [waypoints] - The pos of each waypoint, in the order they were placed
+ * @property {Array<{ "start": UMath.Vec2|undefined, "goal": UMath.Vec2|undefined }>} [agents] - The START and GOAL
+ *  of each agent of multi-agent searches, by index (see AGENT_CELL_TYPES)
+ *
+ * @typedef {Object} Scenario - A search problem read from a MovingAI scenario
+ * @property {Number} mapWidth - The width of the map the problem is on
+ * @property {Number} mapHeight - The height of the map the problem is on
+ * @property {UMath.Vec2} start - Where the search starts
+ * @property {UMath.Vec2} goal - Where the search ends
+ * @property {Number} optimalLength - The length of the shortest path from start to goal
+ */
+
+/**
+ * Thrown when a map file can't be read
+ */
+export class MapFormatError extends Error {
+    /**
+     * @param {String} message - What's wrong with the file
+     */
+    constructor(message) {
+        super(message);
+        this.name = "MapFormatError";
+    }
+}
+
+const JSON_FORMAT_VERSION = 1;
+
+/**
+ * The cell each character of a MovingAI map is read as (source: https://movingai.com/benchmarks/formats.html)
+ */
+const MOVINGAI_CELLS = {
+    ".": CELL_TYPES.EMPTY,
+    "G": CELL_TYPES.EMPTY,
+    "@": CELL_TYPES.WALL,
+    "O": CELL_TYPES.WALL,
+    "T": CELL_TYPES.WALL,
+    "S": CELL_TYPES.MUD,
+    "W": CELL_TYPES.WATER
+};
+
+/**
+ * The character each cell is written as in MovingAI maps, cells that aren't listed (e.g. FOREST) are written as "."
+ */
+const MOVINGAI_CHARS = {
+    [CELL_TYPES.WALL]: "@",
+    [CELL_TYPES.MUD]: "S",
+    [CELL_TYPES.WATER]: "W"
+};
+
+/**
+ * Returns the name of the specified cell type (a key of CELL_TYPES)
+ * @param {String} cell - The cell type
+ * @returns {String|undefined} The name of the cell type
+ */
+export function getCellTypeName(cell) {
+    return Object.keys(CELL_TYPES).find(type => CELL_TYPES[type] === cell);
+}
+
+/**
+ * Reads the topology of a map, maps saved before topologies existed are made of squares
+ * @param {any} topology - The topology to read
+ * @returns {String} The topology (one of TOPOLOGIES)
+ */
+export function parseTopology(topology) {
+    if (topology === undefined || topology === null) { return TOPOLOGIES.SQUARE; }
+    if (!Object.values(TOPOLOGIES).includes(topology)) { throw new MapFormatError(`Unknown topology: ${topology}`); }
+    return topology;
+}
+
+/**
+ * Converts the specified World to a JSON string, search cells aren't saved
+ * @param {WorldMap} worldMap - The World to convert
+ * @returns {String} The JSON string
+ */
+export function worldMapToJSON(worldMap) {
+    const layout = worldMap.layoutToCellArray();
+    // Cells are saved by name, so that changing their colors doesn't break old files
+    for (let i = 0; i < layout.length; i += 3) {
+        layout[i] = getCellTypeName(layout[i]);
+    }
+
+    const [ start ] = worldMap.findCells(CELL_TYPES.START);
+    const [ goal ] = worldMap.findCells(CELL_TYPES.GOAL);
+    const toJSONPos = pos => pos === undefined ? null : { "x": pos.x, "y": pos.y };
+    return JSON.stringify({
+        "version": JSON_FORMAT_VERSION,
+        "width": worldMap.size.x,
+        "height": worldMap.size.y,
+        "hasBoundary": worldMap.hasBoundary,
+        "topology": worldMap.topology,
+        "start": toJSONPos(start),
+        "goal": toJSONPos(goal),
+        "waypoints": worldMap.getWaypoints().map(toJSONPos),
+        "agents": getPlacedAgents(worldMap).map(cells => ({ "start": toJSONPos(cells.start), "goal": toJSONPos(cells.goal) })),
+        "cells": layout
+    });
+}
+
+/**
+ * Returns the START and GOAL of each agent of the specified World (see WorldMap#getAgentCells),
+ * agents keep their index so only the ones after the last agent that was placed are left out
+ * @param {WorldMap} worldMap - The World to get the agents of
+ * @returns {Array<{ "start": UMath.Vec2|undefined, "goal": UMath.Vec2|undefined }>} The cells of the agents
+ */
+export function getPlacedAgents(worldMap) {
+    const agents = worldMap.getAgentCells();
+    while (agents.length > 0 && agents[agents.length - 1].start === undefined && agents[agents.length - 1].goal === undefined) {
+        agents.pop();
+    }
+    return agents;
+}
+
+/**
+ * Reads a map from a JSON string created by worldMapToJSON
+ * @param {String} text - The JSON string
+ * @returns {MapData} The map
+ */
+export function parseJSONMap(text) {
+    let json;
+    try {
+        json = JSON.parse(text);
+    } catch (err) {
+        throw new MapFormatError(`Invalid JSON: ${err.message}`);
+    }
+
+    if (json === null || typeof(json) !== "object") { throw new MapFormatError("The map must be a JSON object"); }
+    if (json.version !== JSON_FORMAT_VERSION) { throw new MapFormatError(`Unsupported map version: ${json.version}`); }
+    if (!Number.isInteger(json.width) || !Number.isInteger(json.height) || json.width <= 0 || json.height <= 0) {
+        throw new MapFormatError("The size of the map must be made of positive integers");
+    }
+    if (!Array.isArray(json.cells) || json.cells.length % 3 !== 0) {
+        throw new MapFormatError("The cells of the map must be an Array of (type, x, y) triplets");
+    }
+
+    const hasBoundary = json.hasBoundary ?? true;
+    const isValidPos = (x, y) => Number.isInteger(x) && Number.isInteger(y) &&
+        (!hasBoundary || (x >= 0 && y >= 0 && x < json.width && y < json.height));
+
+    const cells = [];
+    for (let i = 0; i < json.cells.length; i += 3) {
+        const [ type, x, y ] = [ json.cells[i], json.cells[i + 1], json.cells[i + 2] ];
+        const cell = CELL_TYPES[type];
+        if (cell !== CELL_TYPES.WALL && !TERRAIN_CELL_TYPES[cell]) {
+            throw new MapFormatError(`Maps can't contain cells of type ${type}`);
+        }
+        if (!isValidPos(x, y)) {
+            throw new MapFormatError(`Invalid pos for cell ${i / 3}: ${x}, ${y}`);
+        }
+        cells.push(cell, x, y);
+    }
+
+    /**
+     * @param {{ "x": Number, "y": Number }} [pos] - The pos to read
+     * @param {String} name - The name of the pos
+     * @returns {UMath.Vec2|undefined} The pos
+     */
+    const readPos = (pos, name) => {
+        if (pos === undefined || pos === null) { return undefined; }
+        if (!isValidPos(pos.x, pos.y)) {
+            throw new MapFormatError(`Invalid pos for ${name}: ${pos.x}, ${pos.y}`);
+        }
+        return new UMath.Vec2(pos.x, pos.y);
+    };
+
+    // Maps saved before waypoints existed don't have them
+    const waypoints = json.waypoints ?? [];
+    if (!Array.isArray(waypoints)) { throw new MapFormatError("The waypoints of the map must be an Array of positions"); }
+    // And neither do maps saved before multi-agent searches existed
+    const agents = json.agents ?? [];
+    if (!Array.isArray(agents) || agents.some(agent => agent === null || typeof(agent) !== "object")) {
+        throw new MapFormatError("The agents of the map must be an Array of objects");
+    }
+    if (agents.length > AGENT_CELL_TYPES.length) {
+        throw new MapFormatError(`Maps can't have more than ${AGENT_CELL_TYPES.length} agents`);
+    }
+
+    return {
+        "width": json.width,
+        "height": json.height,
+        "hasBoundary": hasBoundary,
+        "topology": parseTopology(json.topology),
+        "cells": cells,
+        "start": readPos(json.start, "START"),
+        "goal": readPos(json.goal, "GOAL"),
+        "waypoints": waypoints.map((waypoint, i) => readPos(waypoint ?? {}, `waypoint ${i}`)),
+        "agents": agents.map((agent, i) => ({
+            "start": readPos(agent.start, `the START of agent ${i + 1}`),
+            "goal": readPos(agent.goal, `the GOAL of agent ${i + 1}`)
+        }))
+    };
+}
+
+/**
+ * Converts the specified World to a MovingAI map, START, GOAL, waypoints, agents and search cells aren't saved.
+ * MovingAI maps are made of squares, so the topology of the World isn't saved either
+ * @param {WorldMap} worldMap - The World to convert
+ * @returns {String} The map
+ */
+export function worldMapToMovingAI(worldMap) {
+    const rows = [];
+    for (let y = 0; y < worldMap.size.y; y++) {
+        let row = "";
+        for (let x = 0; x < worldMap.size.x; x++) {
+            const cell = worldMap.isCellType(CELL_TYPES.WALL, x, y) ? CELL_TYPES.WALL : worldMap.getTerrain(x, y);
+            row += MOVINGAI_CHARS[cell] ?? ".";
+        }
+        rows.push(row);
+    }
+
+    return [
+        "type octile",
+        `height ${worldMap.size.y}`,
+        `width ${worldMap.size.x}`,
+        "map",
+        ...rows
+    ].join("\n") + "\n";
+}
+
+/**
+ * Reads a MovingAI map (source: https://movingai.com/benchmarks/formats.html)
+ * @param {String} text - The map
+ * @returns {MapData} The map
+ */
+export function parseMovingAIMap(text) {
+    const lines = text.split(/\r?\n/);
+
+    const header = {};
+    let lineIndex = 0;
+    for (; lineIndex < lines.length; lineIndex++) {
+        const [ key, value ] = lines[lineIndex].trim().split(/\s+/);
+        if (key === "map") { break; }
+        if (key !== "") { header[key] = value; }
+    }
+
+    const width = parseInt(header.width);
+    const height = parseInt(header.height);
+    if (lineIndex >= lines.length) { throw new MapFormatError("The map has no \"map\" line"); }
+    if (Number.isNaN(width) || Number.isNaN(height) || width <= 0 || height <= 0) {
+        throw new MapFormatError("The map must have a positive width and height");
+    }
+
+    const cells = [];
+    for (let y = 0; y < height; y++) {
+        const row = lines[lineIndex + 1 + y];
+        if (row === undefined || row.length < width) {
+            throw new MapFormatError(`Row ${y} of the map is shorter than its width (${width})`);
+        }
+
+        for (let x = 0; x < width; x++) {
+            const cell = MOVINGAI_CELLS[row[x]];
+            if (cell === undefined) {
+                throw new MapFormatError(`Unknown character "${row[x]}" at ${x}, ${y}`);
+            }
+            if (cell !== CELL_TYPES.EMPTY) { cells.push(cell, x, y); }
+        }
+    }
+
+    return {
+        "width": width,
+        "height": height,
+        "hasBoundary": true,
+        "topology": TOPOLOGIES.SQUARE,
+        "cells": cells
+    };
+}
+
+/**
+ * Reads the problems of a MovingAI scenario (source: https://movingai.com/benchmarks/formats.html)
+ * @param {String} text - The scenario
+ * @returns {Array<Scenario>} The problems
+ */
+export function parseMovingAIScenario(text) {
+    const lines = text.split(/\r?\n/);
+    if (!/^version\s+1(\.0)?$/.test(lines[0].trim())) {
+        throw new MapFormatError("Only version 1 of MovingAI scenarios is supported");
+    }
+
+    const scenarios = [];
+    for (let i = 1; i < lines.length; i++) {
+        if (lines[i].trim() === "") { continue; }
+
+        // Map names may contain spaces, so only tabs separate the fields
+        const fields = lines[i].split("\t");
+        if (fields.length < 9) {
+            throw new MapFormatError(`Line ${i + 1} of the scenario has ${fields.length} fields instead of 9`);
+        }
+
+        const [ mapWidth, mapHeight, startX, startY, goalX, goalY ] = fields.slice(2, 8).map(field => parseInt(field));
+        const optimalLength = parseFloat(fields[8]);
+        if ([ mapWidth, mapHeight, startX, startY, goalX, goalY, optimalLength ].some(Number.isNaN)) {
+            throw new MapFormatError(`Line ${i + 1} of the scenario contains invalid numbers`);
+        }
+
+        scenarios.push({
+            "mapWidth": mapWidth,
+            "mapHeight": mapHeight,
+            "start": new UMath.Vec2(startX, startY),
+            "goal": new UMath.Vec2(goalX, goalY),
+            "optimalLength": optimalLength
+        });
+    }
+
+    return scenarios;
+}
+
+/**
+ * The file formats maps can be saved to and loaded from
+ */
+export const MAP_FORMATS = [
+    {
+        "shortName": "JSON",
+        "longName": "JSON",
+        "extension": ".json",
+        "mimeType": "application/json",
+        "serialize": worldMapToJSON,
+        "parse": parseJSONMap
+    },
+    {
+        "shortName": "MAP",
+        "longName": "MovingAI",
+        "extension": ".map",
+        "mimeType": "text/plain",
+        "serialize": worldMapToMovingAI,
+        "parse": parseMovingAIMap
+    }
+];
+
+/**
+ * Reads the specified map file, its format is chosen based on its extension
+ * @param {String} fileName - The name of the file
+ * @param {String} text - The content of the file
+ * @returns {MapData} The map
+ */
+export function parseMapFile(fileName, text) {
+    const format = MAP_FORMATS.find(format => fileName.toLowerCase().endsWith(format.extension));
+    if (format === undefined) {
+        throw new MapFormatError(`Unknown map format, supported ones are: ${MAP_FORMATS.map(format => format.extension).join(", ")}`);
+    }
+    return format.parse(text);
+}
+
+/**
+ * Replaces the specified World with the specified map
+ * @param {WorldMap} worldMap - The World to load the map into
+ * @param {MapData} mapData - The map to load
+ */
+export function loadMapData(worldMap, mapData) {
+    worldMap.clearMap();
+    worldMap.size.x = mapData.width;
+    worldMap.size.y = mapData.height;
+    worldMap.hasBoundary = mapData.hasBoundary;
+    worldMap.topology = mapData.topology;
+    worldMap.loadCellArray(mapData.cells);
+
+    if (mapData.start !== undefined) {
+        worldMap.putCell(CELL_TYPES.START, mapData.start.x, mapData.start.y, true);
+    }
+    if (mapData.goal !== undefined) {
+        worldMap.putCell(CELL_TYPES.GOAL, mapData.goal.x, mapData.goal.y, true);
+    }
+    // Waypoints are visited in the order they're put
+    for (const waypoint of mapData.waypoints ?? []) {
+        worldMap.putCell(CELL_TYPES.WAYPOINT, waypoint.x, waypoint.y, true);
+    }
+    (mapData.agents ?? []).forEach((agent, i) => {
+        if (agent.start !== undefined) { worldMap.putCell(AGENT_CELL_TYPES[i].start, agent.start.x, agent.start.y, true); }
+        if (agent.goal !== undefined) { worldMap.putCell(AGENT_CELL_TYPES[i].goal, agent.goal.x, agent.goal.y, true); }
+    });
+}
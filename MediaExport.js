@@ -0,0 +1,225 @@
+import { wCanvas, Color } from "./wCanvas/wcanvas.js";
+import { WorldMap, CELL_TYPES } from "./WorldMap.js";
+import { Recording, applyMapMessage } from "./Recording.js";
+import { GifEncoder } from "./GifEncoder.js";
+import { drawNodePair, sleep } from "./utils.js";
+import { getCellBounds } from "./Topology.js";
+
+/**
+ * @typedef {Object} GifOptions - How a recording is rendered to a GIF
+ * @property {Number} cellSize - The size (px) of each cell
+ * @property {Number} frameSkip - How many recorded steps are skipped between two frames
+ * @property {Number} frameDelay - How long (ms) each frame is shown
+ * @property {String} backgroundColor - The color behind the cells
+ */
+
+/**
+ * GIFs can't show frames for less than 2/100 s, most browsers slow shorter ones down a lot
+ */
+const MIN_GIF_FRAME_DELAY = 2;
+
+/**
+ * How long (1/100 s) the last frame of a GIF is shown before the animation starts over
+ */
+const LAST_FRAME_DELAY = 200;
+
+/**
+ * How many frames are rendered before letting the page handle its events
+ */
+const FRAMES_PER_YIELD = 20;
+
+/**
+ * Creates a canvas that isn't on the page and keeps the specified size
+ * @param {Number} width - The width of the canvas
+ * @param {Number} height - The height of the canvas
+ * @returns {wCanvas} The canvas
+ */
+function createOffscreenCanvas(width, height) {
+    const element = document.createElement("canvas");
+    element.width = width;
+    element.height = height;
+    return new wCanvas({
+        "canvas": element,
+        // The canvas isn't resized with the window
+        "onResize": canvas => {
+            canvas.element.width = width;
+            canvas.element.height = height;
+        }
+    });
+}
+
+/**
+ * Creates a World that isn't drawn on the page with the specified cells, drawing it always draws all of its cells
+ * @param {WorldMap} worldMap - The World to take the size and the topology from
+ * @param {Array<String|Number>} layout - The walls and terrain of the World (see WorldMap#layoutToCellArray)
+ * @param {Array<String|Number>} cells - All the other cells of the World (see WorldMap#mapToCellArray)
+ * @returns {WorldMap} The new World
+ */
+function createHeadlessWorld(worldMap, layout, cells) {
+    const headlessWorld = new WorldMap(0, 0, worldMap.size.x, worldMap.size.y, worldMap.hasBoundary, false, false);
+    headlessWorld.topology = worldMap.topology;
+    headlessWorld.loadCellArray(layout);
+    headlessWorld.loadCellArray(cells);
+    return headlessWorld;
+}
+
+/**
+ * Returns the size of the images the specified World is rendered to
+ * @param {WorldMap} worldMap - The World
+ * @param {Number} cellSize - The size (px) of each cell
+ * @returns {[ Number, Number ]} The width and height (px) of the images
+ */
+function getImageSize(worldMap, cellSize) {
+    const layoutSize = worldMap.getLayoutSize();
+    return [ Math.ceil(layoutSize.x * cellSize), Math.ceil(layoutSize.y * cellSize) ];
+}
+
+/**
+ * Draws the whole World on the specified canvas, on top of the background
+ * @param {wCanvas} canvas - The canvas to draw on
+ * @param {WorldMap} worldMap - The World to draw, it must have no internal buffer
+ * @param {Number} cellSize - The size (px) of each cell
+ * @param {String} backgroundColor - The color behind the cells
+ */
+function drawWorld(canvas, worldMap, cellSize, backgroundColor) {
+    canvas.background(new Color(backgroundColor));
+    worldMap.draw(canvas, cellSize);
+}
+
+/**
+ * Reads the colors cells are drawn with on a canvas, so that each pixel of a frame can be matched to one of them
+ * @param {wCanvas} canvas - The canvas to draw the colors on, it's left dirty
+ * @param {Array<String>} colors - The colors to read
+ * @returns {{ "palette": Array<[ Number, Number, Number ]>, "toIndex": (r: Number, g: Number, b: Number) -> Number }}
+ *  The RGB value of each color and a function that returns the index of the closest color to the specified one
+ */
+function readPalette(canvas, colors) {
+    const palette = colors.map(color => {
+        drawNodePair(canvas, [ { "x": 0, "y": 0 }, color ], 0, 0, 1);
+        const [ r, g, b ] = canvas.context.getImageData(0, 0, 1, 1).data;
+        return [ r, g, b ];
+    });
+
+    /** @type {Map<Number, Number>} */
+    const indices = new Map();
+    palette.forEach(([ r, g, b ], i) => {
+        const rgb = (r << 16) | (g << 8) | b;
+        if (!indices.has(rgb)) { indices.set(rgb, i); }
+    });
+
+    const toIndex = (r, g, b) => {
+        const rgb = (r << 16) | (g << 8) | b;
+        let index = indices.get(rgb);
+        if (index !== undefined) { return index; }
+
+        // Colors drawn by the browser may be slightly off (e.g. because of color management)
+        let bestDistance = Number.POSITIVE_INFINITY;
+        palette.forEach(([ pr, pg, pb ], i) => {
+            const distance = (r - pr) ** 2 + (g - pg) ** 2 + (b - pb) ** 2;
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                index = i;
+            }
+        });
+        indices.set(rgb, index);
+        return index;
+    };
+
+    return { "palette": palette, "toIndex": toIndex };
+}
+
+/**
+ * Renders the specified recording to an animated GIF without touching the World it was recorded on
+ * @param {Recording} recording - The recording to render
+ * @param {GifOptions} options - How the recording is rendered
+ * @returns {Promise<Blob>} The GIF
+ */
+export async function recordingToGIF(recording, options) {
+    const { cellSize, frameSkip, backgroundColor } = options;
+    const [ start ] = recording.snapshots;
+    const worldMap = createHeadlessWorld(recording.worldMap, start.layout, start.cells);
+    const [ width, height ] = getImageSize(worldMap, cellSize);
+
+    const canvas = createOffscreenCanvas(width, height);
+    const cellColors = Object.values(CELL_TYPES).filter(color => color !== CELL_TYPES.EMPTY);
+    const { palette, toIndex } = readPalette(canvas, [ backgroundColor, ...cellColors ]);
+    const encoder = new GifEncoder(width, height, palette);
+    const frameDelay = Math.max(Math.round(options.frameDelay / 10), MIN_GIF_FRAME_DELAY);
+
+    // The region (in px) that changed since the last frame, frames only contain that region
+    const dirty = { "minX": 0, "minY": 0, "maxX": width - 1, "maxY": height - 1 };
+    const markDirty = (x, y) => {
+        // Cells that aren't squares go past the rectangle of their coordinates
+        const bounds = getCellBounds(worldMap.topology, x, y);
+        dirty.minX = Math.max(Math.min(dirty.minX, Math.floor(bounds.x * cellSize)), 0);
+        dirty.minY = Math.max(Math.min(dirty.minY, Math.floor(bounds.y * cellSize)), 0);
+        dirty.maxX = Math.min(Math.max(dirty.maxX, Math.ceil((bounds.x + bounds.w) * cellSize) - 1), width - 1);
+        dirty.maxY = Math.min(Math.max(dirty.maxY, Math.ceil((bounds.y + bounds.h) * cellSize) - 1), height - 1);
+    };
+
+    const addFrame = () => {
+        if (dirty.minX > dirty.maxX || dirty.minY > dirty.maxY) {
+            encoder.addDelay(frameDelay);
+            return;
+        }
+
+        const [ x, y ] = [ dirty.minX, dirty.minY ];
+        const [ w, h ] = [ dirty.maxX - dirty.minX + 1, dirty.maxY - dirty.minY + 1 ];
+        const pixels = canvas.context.getImageData(x, y, w, h).data;
+        const indices = new Uint8Array(w * h);
+        for (let i = 0; i < indices.length; i++) {
+            indices[i] = toIndex(pixels[i * 4], pixels[i * 4 + 1], pixels[i * 4 + 2]);
+        }
+        encoder.addFrame(indices, frameDelay, x, y, w, h);
+
+        [ dirty.minX, dirty.minY ] = [ Number.POSITIVE_INFINITY, Number.POSITIVE_INFINITY ];
+        [ dirty.maxX, dirty.maxY ] = [ Number.NEGATIVE_INFINITY, Number.NEGATIVE_INFINITY ];
+    };
+
+    drawWorld(canvas, worldMap, cellSize, backgroundColor);
+    addFrame();
+
+    let frameCount = 1;
+    for (let step = 0; step < recording.length; step++) {
+        const [ messageType, ...args ] = recording.messages[step];
+        applyMapMessage(worldMap, messageType, args);
+
+        if (messageType === "map_reset") {
+            drawWorld(canvas, worldMap, cellSize, backgroundColor);
+            [ dirty.minX, dirty.minY, dirty.maxX, dirty.maxY ] = [ 0, 0, width - 1, height - 1 ];
+        } else {
+            for (let i = 0; i < args.length; i += 3) {
+                const [ x, y ] = [ args[i + 1], args[i + 2] ];
+                if (x < 0 || y < 0 || x >= worldMap.size.x || y >= worldMap.size.y) { continue; }
+
+                // Permanent cells may have not been replaced, so the cell that's on the World is drawn
+                const pos = { "x": x, "y": y };
+                drawNodePair(canvas, [ pos, backgroundColor ], 0, 0, cellSize, worldMap.topology);
+                drawNodePair(canvas, [ pos, worldMap.getCell(x, y) ], 0, 0, cellSize, worldMap.topology);
+                markDirty(x, y);
+            }
+        }
+
+        if ((step + 1) % (frameSkip + 1) === 0 || step === recording.length - 1) {
+            addFrame();
+            if (++frameCount % FRAMES_PER_YIELD === 0) { await sleep(0); }
+        }
+    }
+
+    encoder.addDelay(LAST_FRAME_DELAY);
+    return new Blob(encoder.finish(), { "type": "image/gif" });
+}
+
+/**
+ * Renders the cells that are currently on the specified World to a PNG image
+ * @param {WorldMap} worldMap - The World to render
+ * @param {Number} cellSize - The size (px) of each cell
+ * @param {String} backgroundColor - The color behind the cells
+ * @returns {Promise<Blob>} The PNG image
+ */
+export function worldToPNG(worldMap, cellSize, backgroundColor) {
+    const headlessWorld = createHeadlessWorld(worldMap, worldMap.layoutToCellArray(), worldMap.mapToCellArray());
+    const canvas = createOffscreenCanvas(...getImageSize(worldMap, cellSize));
+    drawWorld(canvas, headlessWorld, cellSize, backgroundColor);
+    return new Promise(resolve => canvas.element.toBlob(resolve, "image/png"));
+}
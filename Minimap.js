@@ -0,0 +1,173 @@
+import { wCanvas, UMath } from "./wCanvas/wcanvas.js";
+import { WorldMap } from "./WorldMap.js";
+import { Viewport } from "./Viewport.js";
+import { TOPOLOGIES } from "./Topology.js";
+import { traceCell } from "./utils.js";
+
+const BORDER_COLOR = "#888";
+const VIEW_COLOR = "#fff";
+
+/**
+ * A small picture of a whole World, showing which part of it is visible within a viewport
+ */
+export class Minimap {
+    /**
+     * @param {Number} maxSize - The max width and height (px) of the minimap
+     * @param {Number} refreshInterval - How often (ms) the cells of the World are drawn again,
+     *  drawing all of them each frame would be too slow for big Worlds
+     */
+    constructor(maxSize, refreshInterval) {
+        this.maxSize = maxSize;
+        this.refreshInterval = refreshInterval;
+
+        /** The region of the canvas the minimap was last drawn on */
+        this.area = { "x": 0, "y": 0, "w": 0, "h": 0 };
+        /** One pixel for each square of the World, hexes and triangles are drawn as small polygons */
+        this.element = document.createElement("canvas");
+        this.context = this.element.getContext("2d");
+        this.lastRefresh = Number.NEGATIVE_INFINITY;
+
+        /**
+         * The RGBA value of each cell color, as read from the canvas
+         * @type {Map<String, Uint8ClampedArray>}
+         */
+        this.colors = new Map();
+    }
+
+    /**
+     * Returns the size the minimap is drawn with for the specified World
+     * @param {WorldMap} worldMap - The World
+     * @returns {{ "w": Number, "h": Number }} The size (px) of the minimap
+     */
+    getSize(worldMap) {
+        const layoutSize = worldMap.getLayoutSize();
+        const scale = Math.min(this.maxSize / layoutSize.x, this.maxSize / layoutSize.y);
+        return { "w": Math.round(layoutSize.x * scale), "h": Math.round(layoutSize.y * scale) };
+    }
+
+    /**
+     * Returns the RGBA value of the specified color
+     * @param {String} color - Any CSS color (e.g. one of CELL_TYPES)
+     * @returns {Uint8ClampedArray} The RGBA value
+     */
+    getColor(color) {
+        if (!this.colors.has(color)) {
+            // The canvas is drawn again right after the colors are read
+            this.context.clearRect(0, 0, 1, 1);
+            this.context.fillStyle = color;
+            this.context.fillRect(0, 0, 1, 1);
+            this.colors.set(color, this.context.getImageData(0, 0, 1, 1).data);
+        }
+        return this.colors.get(color);
+    }
+
+    /**
+     * Draws the cells of the specified World on the internal canvas, one pixel each
+     * @param {WorldMap} worldMap - The World to draw
+     */
+    refresh(worldMap) {
+        if (worldMap.topology !== TOPOLOGIES.SQUARE) {
+            this.refreshShapes(worldMap);
+            return;
+        }
+
+        const { x: width, y: height } = worldMap.size;
+        const cells = worldMap.mapToCellArray();
+        const pixels = new Uint8ClampedArray(width * height * 4);
+        for (let i = 0; i < cells.length; i += 3) {
+            const [ x, y ] = [ cells[i + 1], cells[i + 2] ];
+            if (x >= 0 && y >= 0 && x < width && y < height) {
+                pixels.set(this.getColor(cells[i]), (y * width + x) * 4);
+            }
+        }
+
+        this.element.width = width;
+        this.element.height = height;
+        this.context.putImageData(new ImageData(pixels, width, height), 0, 0);
+        this.lastRefresh = performance.now();
+    }
+
+    /**
+     * Draws the cells of the specified World on the internal canvas as polygons, for Worlds that aren't made of squares
+     * @param {WorldMap} worldMap - The World to draw
+     */
+    refreshShapes(worldMap) {
+        const { x: width, y: height } = worldMap.size;
+        const layoutSize = worldMap.getLayoutSize();
+        // The internal canvas is about as big as the minimap, smaller cells would blur into each other
+        const cellSize = Math.max(Math.ceil(this.maxSize / Math.max(layoutSize.x, layoutSize.y)), 1);
+        this.element.width = Math.ceil(layoutSize.x * cellSize);
+        this.element.height = Math.ceil(layoutSize.y * cellSize);
+
+        const cells = worldMap.mapToCellArray();
+        for (let i = 0; i < cells.length; i += 3) {
+            const [ x, y ] = [ cells[i + 1], cells[i + 2] ];
+            if (x >= 0 && y >= 0 && x < width && y < height) {
+                this.context.fillStyle = cells[i];
+                this.context.beginPath();
+                traceCell(this.context, { x, y }, 0, 0, cellSize, worldMap.topology);
+                this.context.fill();
+            }
+        }
+        this.lastRefresh = performance.now();
+    }
+
+    /**
+     * Draws the minimap of the World of the specified viewport, alongside the part of the World that's visible
+     * @param {wCanvas} canvas - The canvas to draw the minimap on
+     * @param {Viewport} viewport - The viewport that shows the World
+     * @param {Number} scale - The size of each cell of the World within the viewport
+     * @param {Number} x - The x pos of the minimap
+     * @param {Number} y - The y pos of the minimap
+     */
+    draw(canvas, viewport, scale, x, y) {
+        const { worldMap, area } = viewport;
+        if (performance.now() - this.lastRefresh >= this.refreshInterval) { this.refresh(worldMap); }
+
+        const { w, h } = this.getSize(worldMap);
+        this.area = { "x": x, "y": y, "w": w, "h": h };
+        const layoutSize = worldMap.getLayoutSize();
+        const mapScale = w / layoutSize.x;
+
+        const context = canvas.context;
+        context.save();
+        context.fillStyle = "#000";
+        context.fillRect(x, y, w, h);
+        // Squares must stay sharp, the edges of other shapes look better smoothed
+        context.imageSmoothingEnabled = worldMap.topology !== TOPOLOGIES.SQUARE;
+        context.drawImage(this.element, x, y, w, h);
+
+        context.lineWidth = 1;
+        context.strokeStyle = BORDER_COLOR;
+        context.strokeRect(x - 0.5, y - 0.5, w + 1, h + 1);
+
+        // The visible part of the World, clamped to the minimap
+        const viewX = Math.max((area.x - worldMap.pos.x) / scale, 0);
+        const viewY = Math.max((area.y - worldMap.pos.y) / scale, 0);
+        const viewW = Math.min((area.x + area.w - worldMap.pos.x) / scale, layoutSize.x) - viewX;
+        const viewH = Math.min((area.y + area.h - worldMap.pos.y) / scale, layoutSize.y) - viewY;
+        // Worlds without boundaries can be looked at away from the cells the minimap shows
+        if (viewW > 0 && viewH > 0) {
+            context.strokeStyle = VIEW_COLOR;
+            context.strokeRect(x + viewX * mapScale, y + viewY * mapScale, viewW * mapScale, viewH * mapScale);
+        }
+        context.restore();
+    }
+
+    /**
+     * Converts a pos on the canvas to the point of the World that's under it on the minimap
+     * @param {WorldMap} worldMap - The World shown by the minimap
+     * @param {Number} x - The x pos on the canvas
+     * @param {Number} y - The y pos on the canvas
+     * @returns {UMath.Vec2|undefined} The point of the World (on the plane of its cells), undefined if the pos isn't on the minimap
+     */
+    toWorld(worldMap, x, y) {
+        const { area } = this;
+        if (x < area.x || y < area.y || x >= area.x + area.w || y >= area.y + area.h) { return undefined; }
+        const layoutSize = worldMap.getLayoutSize();
+        return new UMath.Vec2(
+            (x - area.x) / area.w * layoutSize.x,
+            (y - area.y) / area.h * layoutSize.y
+        );
+    }
+}
@@ -0,0 +1,380 @@
+import { UMath } from "./wCanvas/wcanvas.js";
+import { WorldMap, CELL_TYPES, TERRAIN_CELL_TYPES, CORNER_CUTTING_POLICIES, AGENT_CELL_TYPES } from "./WorldMap.js";
+import { MapFormatError, parseTopology, getPlacedAgents } from "./MapIO.js";
+import { TOPOLOGIES } from "./Topology.js";
+
+/**
+ * @typedef {Object} PermalinkSettings - The settings of a run that aren't part of the World
+ * @property {String} algorithm - The shortName of the algorithm
+ * @property {Number} [actionDelay] - The delay between each move, undefined or 0 means no delay
+ * @property {String} [tieBreaking] - The shortName of the policy used to break ties (see TIE_BREAKING_POLICIES)
+ * @property {Number} [seed] - The seed of the random numbers used by the run
+ * @property {String} [heuristic] - The shortName of the heuristic (see HEURISTICS)
+ * @property {Number} [heuristicWeight] - What the estimates of the heuristic are multiplied by
+ *
+ * @typedef {PermalinkSettings & PermalinkWorld} PermalinkState - Everything that's needed to reproduce a run
+ *
+ * @typedef {Object} PermalinkWorld
+ * @property {import("./MapIO.js").MapData} mapData - The map
+ * @property {Boolean} diagonals - Whether or not diagonal moves are allowed
+ * @property {String} cornerCutting - How diagonal moves can go past walls (one of CORNER_CUTTING_POLICIES)
+ * @property {Object<String, Number>} terrainCosts - The cost of moving into each terrain type, keys are the names of the types (keys of CELL_TYPES)
+ */
+
+const PERMALINK_VERSION = 1;
+
+/**
+ * The cells that are saved within permalinks, each one is saved as its index
+ * so new cell types must be added at the end (or PERMALINK_VERSION must change)
+ */
+const PERMALINK_CELLS = [
+    CELL_TYPES.EMPTY,
+    CELL_TYPES.WALL,
+    ...Object.keys(TERRAIN_CELL_TYPES)
+];
+
+/**
+ * Appends the specified unsigned integer to bytes, 7 bits at a time (LEB128)
+ * @param {Array<Number>} bytes - The bytes to append the integer to
+ * @param {Number} value - The integer
+ */
+function pushVarInt(bytes, value) {
+    while (value >= 0x80) {
+        bytes.push((value & 0x7f) | 0x80);
+        value = Math.floor(value / 0x80);
+    }
+    bytes.push(value);
+}
+
+/**
+ * Converts the specified bytes to URL-safe base64
+ * @param {Array<Number>} bytes - The bytes to convert
+ * @returns {String} The base64 string
+ */
+function bytesToBase64(bytes) {
+    let binary = "";
+    for (const byte of bytes) { binary += String.fromCharCode(byte); }
+    return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+/**
+ * Converts the specified URL-safe base64 string to bytes
+ * @param {String} str - The base64 string
+ * @returns {Array<Number>} The bytes
+ */
+function base64ToBytes(str) {
+    let binary;
+    try {
+        binary = atob(str.replace(/-/g, "+").replace(/_/g, "/"));
+    } catch (err) {
+        throw new MapFormatError("The map of the link isn't valid base64");
+    }
+    return Array.from(binary, char => char.charCodeAt(0));
+}
+
+/**
+ * @typedef {Object} LayoutBox - The rectangle of cells saved within a permalink
+ * @property {Number} x - The x of its top left cell
+ * @property {Number} y - The y of its top left cell
+ * @property {Number} width - Its width
+ * @property {Number} height - Its height
+ */
+
+/**
+ * Finds the rectangle that contains the whole World and all of its walls and terrain,
+ * walls and terrain can be outside of the World if it has no boundary
+ * @param {WorldMap} worldMap - The World
+ * @returns {LayoutBox} The rectangle
+ */
+function getLayoutBox(worldMap) {
+    let minX = 0;
+    let minY = 0;
+    let maxX = worldMap.size.x - 1;
+    let maxY = worldMap.size.y - 1;
+
+    const extendBox = (cell, x, y) => {
+        minX = Math.min(minX, x);
+        minY = Math.min(minY, y);
+        maxX = Math.max(maxX, x);
+        maxY = Math.max(maxY, y);
+    };
+    worldMap.map.forEach((cell, x, y) => {
+        if (cell === CELL_TYPES.WALL) { extendBox(cell, x, y); }
+    });
+    worldMap.terrain.forEach(extendBox);
+
+    return { "x": minX, "y": minY, "width": maxX - minX + 1, "height": maxY - minY + 1 };
+}
+
+/**
+ * Run-length encodes the walls and terrain within the specified rectangle of the World, row by row
+ * @param {WorldMap} worldMap - The World to encode
+ * @param {LayoutBox} box - The rectangle to encode, it must contain all walls and terrain
+ * @returns {String} The encoded layout
+ */
+function encodeLayout(worldMap, box) {
+    // Only the cells that aren't empty are visited, far away walls of unbounded Worlds can make the rectangle huge
+    /** @type {Map<Number, Number>} */
+    const codes = new Map();
+    const putCode = (cell, x, y) => {
+        codes.set((y - box.y) * box.width + (x - box.x), Math.max(PERMALINK_CELLS.indexOf(cell), 0));
+    };
+    worldMap.terrain.forEach(putCode);
+    worldMap.map.forEach((cell, x, y) => {
+        if (cell === CELL_TYPES.WALL) { putCode(cell, x, y); }
+    });
+
+    const bytes = [];
+    let runCode = 0;
+    let runLength = 0;
+    const pushRun = (code, length) => {
+        if (length === 0) { return; }
+        if (code === runCode) {
+            runLength += length;
+            return;
+        }
+
+        if (runLength > 0) {
+            bytes.push(runCode);
+            pushVarInt(bytes, runLength);
+        }
+        runCode = code;
+        runLength = length;
+    };
+
+    let cellIndex = 0;
+    for (const index of [ ...codes.keys() ].sort((a, b) => a - b)) {
+        pushRun(0, index - cellIndex);
+        pushRun(codes.get(index), 1);
+        cellIndex = index + 1;
+    }
+    pushRun(0, box.width * box.height - cellIndex);
+
+    if (runLength > 0) {
+        bytes.push(runCode);
+        pushVarInt(bytes, runLength);
+    }
+    return bytesToBase64(bytes);
+}
+
+/**
+ * Decodes a layout encoded by encodeLayout
+ * @param {String} str - The encoded layout
+ * @param {LayoutBox} box - The rectangle that was encoded
+ * @param {Number} maxCells - The most walls and terrain that can be decoded
+ * @returns {Array<String|Number>} The walls and terrain of the World (see WorldMap#layoutToCellArray)
+ */
+function decodeLayout(str, box, maxCells) {
+    const { width, height } = box;
+    const bytes = base64ToBytes(str);
+    const cells = [];
+
+    let cellIndex = 0;
+    for (let i = 0; i < bytes.length;) {
+        const cell = PERMALINK_CELLS[bytes[i++]];
+        if (cell === undefined) { throw new MapFormatError(`Unknown cell code ${bytes[i - 1]} in the map of the link`); }
+
+        let runLength = 0;
+        for (let shift = 1; ; shift *= 0x80) {
+            if (i >= bytes.length) { throw new MapFormatError("The map of the link is truncated"); }
+            const byte = bytes[i++];
+            runLength += (byte & 0x7f) * shift;
+            if (byte < 0x80) { break; }
+        }
+
+        if (cellIndex + runLength > width * height) { throw new MapFormatError("The map of the link is bigger than its size"); }
+        if (cell !== CELL_TYPES.EMPTY) {
+            if (cells.length / 3 + runLength > maxCells) { throw new MapFormatError("The map of the link has too many cells"); }
+            for (let j = cellIndex; j < cellIndex + runLength; j++) {
+                cells.push(cell, box.x + j % width, box.y + Math.floor(j / width));
+            }
+        }
+        cellIndex += runLength;
+    }
+
+    if (cellIndex !== width * height) { throw new MapFormatError("The map of the link is smaller than its size"); }
+    return cells;
+}
+
+/**
+ * Converts a pos to the "x,y" format used by permalinks
+ * @param {UMath.Vec2} [pos] - The pos to convert
+ * @returns {String|undefined} The converted pos
+ */
+function posToString(pos) {
+    return pos === undefined ? undefined : `${pos.x},${pos.y}`;
+}
+
+/**
+ * Reads a pos saved with posToString
+ * @param {String} [str] - The pos to read
+ * @param {String} name - The name of the pos
+ * @returns {UMath.Vec2|undefined} The pos
+ */
+function parsePos(str, name) {
+    if (str === null) { return undefined; }
+    const match = /^(-?\d+),(-?\d+)$/.exec(str);
+    if (match === null) { throw new MapFormatError(`Invalid pos for ${name}: ${str}`); }
+    return new UMath.Vec2(parseInt(match[1]), parseInt(match[2]));
+}
+
+/**
+ * Returns the names of the terrain types (keys of CELL_TYPES)
+ * @returns {Array<String>} The names
+ */
+function getTerrainTypes() {
+    return Object.keys(CELL_TYPES).filter(type => TERRAIN_CELL_TYPES[CELL_TYPES[type]] !== undefined);
+}
+
+/**
+ * Encodes the specified World and settings into a string that can be used as the hash of a URL
+ * @param {WorldMap} worldMap - The World to encode, search cells aren't saved
+ * @param {PermalinkSettings} settings - The settings of the run
+ * @returns {String} The encoded state (without "#")
+ */
+export function encodePermalink(worldMap, settings) {
+    const [ start ] = worldMap.findCells(CELL_TYPES.START);
+    const [ goal ] = worldMap.findCells(CELL_TYPES.GOAL);
+
+    const params = new URLSearchParams({
+        "v": PERMALINK_VERSION.toString(),
+        "w": worldMap.size.x.toString(),
+        "h": worldMap.size.y.toString(),
+        "b": worldMap.hasBoundary ? "1" : "0",
+        "algo": settings.algorithm,
+        "delay": (settings.actionDelay ?? 0).toString(),
+        "diag": worldMap.diagonals ? "1" : "0",
+        "corner": worldMap.cornerCutting
+    });
+
+    if (worldMap.topology !== TOPOLOGIES.SQUARE) { params.set("topo", worldMap.topology); }
+    // Only the costs that were changed are saved as "TYPE:cost"
+    const changedCosts = getTerrainTypes()
+        .filter(type => worldMap.terrainCosts[CELL_TYPES[type]] !== TERRAIN_CELL_TYPES[CELL_TYPES[type]])
+        .map(type => `${type}:${worldMap.terrainCosts[CELL_TYPES[type]]}`);
+    if (changedCosts.length > 0) { params.set("costs", changedCosts.join(";")); }
+
+    if (settings.tieBreaking !== undefined) { params.set("tie", settings.tieBreaking); }
+    if (settings.seed !== undefined) { params.set("seed", settings.seed.toString()); }
+    if (settings.heuristic !== undefined) { params.set("heur", settings.heuristic); }
+    if (settings.heuristicWeight !== undefined) { params.set("hw", settings.heuristicWeight.toString()); }
+    if (start !== undefined) { params.set("start", posToString(start)); }
+    if (goal !== undefined) { params.set("goal", posToString(goal)); }
+    const waypoints = worldMap.getWaypoints();
+    if (waypoints.length > 0) { params.set("wp", waypoints.map(posToString).join(";")); }
+    // Each agent is saved as "start_goal", the pos of missing cells are left empty
+    const agents = getPlacedAgents(worldMap);
+    if (agents.length > 0) {
+        params.set("agents", agents.map(cells => `${posToString(cells.start) ?? ""}_${posToString(cells.goal) ?? ""}`).join(";"));
+    }
+    // Unbounded Worlds can have walls and terrain outside of them, the rectangle that contains them is saved too
+    const box = getLayoutBox(worldMap);
+    if (box.x !== 0 || box.y !== 0) { params.set("origin", posToString(box)); }
+    if (box.width !== worldMap.size.x || box.height !== worldMap.size.y) { params.set("box", `${box.width}x${box.height}`); }
+    params.set("map", encodeLayout(worldMap, box));
+    // Commas, colons and semicolons are allowed within hashes and keep positions and costs readable
+    return params.toString().replace(/%2C/g, ",").replace(/%3A/g, ":").replace(/%3B/g, ";");
+}
+
+/**
+ * Decodes a string created by encodePermalink
+ * @param {String} hash - The hash of the URL (with or without "#")
+ * @param {Number} maxWorldSize - The biggest width and height of the World, bigger maps are rejected before being decoded
+ * @returns {PermalinkState} The decoded state
+ */
+export function decodePermalink(hash, maxWorldSize) {
+    const params = new URLSearchParams(hash.replace(/^#/, ""));
+    if (params.get("v") !== PERMALINK_VERSION.toString()) {
+        throw new MapFormatError(`Unsupported link version: ${params.get("v")}`);
+    }
+
+    const width = parseInt(params.get("w"));
+    const height = parseInt(params.get("h"));
+    if (Number.isNaN(width) || Number.isNaN(height) || width <= 0 || height <= 0) {
+        throw new MapFormatError("The size of the map must be made of positive integers");
+    }
+    if (width > maxWorldSize || height > maxWorldSize) {
+        throw new MapFormatError(`maps can't be bigger than ${maxWorldSize}x${maxWorldSize}`);
+    }
+
+    const actionDelay = parseFloat(params.get("delay") ?? "0");
+    if (Number.isNaN(actionDelay) || actionDelay < 0) { throw new MapFormatError(`Invalid move time: ${params.get("delay")}`); }
+
+    const cornerCutting = params.get("corner") ?? CORNER_CUTTING_POLICIES.ALWAYS;
+    if (!Object.values(CORNER_CUTTING_POLICIES).includes(cornerCutting)) {
+        throw new MapFormatError(`Unknown corner cutting policy: ${cornerCutting}`);
+    }
+
+    const seed = params.has("seed") ? Number(params.get("seed")) : undefined;
+    if (seed !== undefined && (!Number.isInteger(seed) || seed < 0 || seed >= 0x100000000)) {
+        throw new MapFormatError(`Invalid seed: ${params.get("seed")}`);
+    }
+
+    const heuristicWeight = params.has("hw") ? parseFloat(params.get("hw")) : undefined;
+    if (heuristicWeight !== undefined && (Number.isNaN(heuristicWeight) || heuristicWeight < 0)) {
+        throw new MapFormatError(`Invalid heuristic weight: ${params.get("hw")}`);
+    }
+
+    const terrainCosts = Object.fromEntries(getTerrainTypes().map(type => [ type, TERRAIN_CELL_TYPES[CELL_TYPES[type]] ]));
+    for (const typeCost of params.has("costs") ? params.get("costs").split(";") : [ ]) {
+        const [ type, costStr ] = typeCost.split(":");
+        const cost = Number(costStr);
+        if (!Object.hasOwn(terrainCosts, type)) { throw new MapFormatError(`Unknown terrain type: ${type}`); }
+        // The heuristics assume that no move costs less than 1
+        if (!Number.isFinite(cost) || cost < 1) { throw new MapFormatError(`Invalid cost for ${type}: ${costStr}`); }
+        terrainCosts[type] = cost;
+    }
+
+    const agents = params.has("agents") ? params.get("agents").split(";").map(agent => agent.split("_")) : [ ];
+    if (agents.length > AGENT_CELL_TYPES.length || agents.some(cells => cells.length !== 2)) {
+        throw new MapFormatError(`Invalid agents: ${params.get("agents")}`);
+    }
+
+    const hasBoundary = params.get("b") !== "0";
+    const origin = parsePos(params.get("origin"), "the origin of the map") ?? new UMath.Vec2(0, 0);
+    const boxMatch = /^(\d+)x(\d+)$/.exec(params.get("box") ?? `${width}x${height}`);
+    if (boxMatch === null) { throw new MapFormatError(`Invalid map rectangle: ${params.get("box")}`); }
+    /** @type {LayoutBox} */
+    const box = { "x": origin.x, "y": origin.y, "width": Number(boxMatch[1]), "height": Number(boxMatch[2]) };
+    if (box.width <= 0 || box.height <= 0 || box.x > 0 || box.y > 0 || box.x + box.width < width || box.y + box.height < height) {
+        throw new MapFormatError(`The rectangle of the map doesn't contain the whole map: ${params.get("origin")} ${params.get("box")}`);
+    }
+    if (hasBoundary && (box.width !== width || box.height !== height || box.x !== 0 || box.y !== 0)) {
+        throw new MapFormatError("Only maps without a boundary can have walls and terrain outside of them");
+    }
+
+    const mapData = {
+        "width": width,
+        "height": height,
+        "hasBoundary": hasBoundary,
+        "topology": parseTopology(params.get("topo")),
+        "cells": decodeLayout(params.get("map") ?? "", box, maxWorldSize * maxWorldSize),
+        "start": parsePos(params.get("start"), "START"),
+        "goal": parsePos(params.get("goal"), "GOAL"),
+        "waypoints": params.has("wp") ? params.get("wp").split(";").map((pos, i) => parsePos(pos, `waypoint ${i}`)) : [ ],
+        "agents": agents.map(([ start, goal ], i) => ({
+            "start": parsePos(start === "" ? null : start, `the START of agent ${i + 1}`),
+            "goal": parsePos(goal === "" ? null : goal, `the GOAL of agent ${i + 1}`)
+        }))
+    };
+
+    const agentCells = mapData.agents.flatMap(cells => [ cells.start, cells.goal ]);
+    for (const pos of [ mapData.start, mapData.goal, ...mapData.waypoints, ...agentCells ]) {
+        if (pos !== undefined && hasBoundary && (pos.x < 0 || pos.y < 0 || pos.x >= width || pos.y >= height)) {
+            throw new MapFormatError(`Pos ${pos.x}, ${pos.y} is out of the map`);
+        }
+    }
+
+    return {
+        "mapData": mapData,
+        "algorithm": params.get("algo"),
+        "actionDelay": actionDelay,
+        "diagonals": params.get("diag") === "1",
+        "cornerCutting": cornerCutting,
+        "terrainCosts": terrainCosts,
+        "tieBreaking": params.get("tie") ?? undefined,
+        "seed": seed,
+        "heuristic": params.get("heur") ?? undefined,
+        "heuristicWeight": heuristicWeight
+    };
+}
@@ -0,0 +1,273 @@
+import { WorldMap, CELL_TYPES } from "./WorldMap.js";
+import { MapFormatError, getCellTypeName, parseTopology } from "./MapIO.js";
+
+/**
+ * @typedef {Object} WorldSnapshot - The cells of a recorded World at some step of the recording
+ * @property {Number} step - How many messages had been applied to the World when the snapshot was taken
+ * @property {Array<String|Number>} layout - The walls and terrain (see WorldMap#layoutToCellArray)
+ * @property {Array<String|Number>} cells - All cells that aren't empty (see WorldMap#mapToCellArray)
+ *
+ * @typedef {Object} RecordingData - A recording that was read from a file
+ * @property {String} algorithm - The shortName of the algorithm that ran during the recording
+ * @property {Number} width - The width of the World
+ * @property {Number} height - The height of the World
+ * @property {Boolean} hasBoundary - Whether or not the World has boundaries
+ * @property {String} topology - The shape of the cells of the World (one of TOPOLOGIES)
+ * @property {Array<String|Number>} layout - The walls and terrain of the World when the recording started
+ * @property {Array<String|Number>} cells - All cells of the World when the recording started
+ * @property {Array<[ import("./utils.js").WorkerMessages, ...any ]>} messages - The recorded messages
+ */
+
+const RECORDING_FORMAT_VERSION = 1;
+
+/**
+ * The messages sent by path gen workers that change the World, the other ones aren't recorded
+ */
+const RECORDED_MESSAGES = [ "map_add_cells", "map_reset" ];
+
+/**
+ * How many cells must change between two snapshots of a recording, the area of the World is used if it's bigger
+ * so that snapshots never take more memory than the messages between them
+ */
+const MIN_SNAPSHOT_INTERVAL = 1000;
+
+/**
+ * Applies the specified message sent by a path gen worker to a World
+ * @param {WorldMap} worldMap - The World to apply the message to
+ * @param {import("./utils.js").WorkerMessages} messageType - The type of the message
+ * @param {Array<any>} args - The arguments of the message
+ * @returns {Boolean} Whether or not the message changes the World
+ */
+export function applyMapMessage(worldMap, messageType, args) {
+    switch (messageType) {
+        case "map_add_cells": {
+            // The worker already kept permanent cells, so its changes are applied as they are
+            for (let i = 0; i < args.length; i += 3) {
+                worldMap.putCell(args[i], args[i + 1], args[i + 2], true);
+            }
+            return true;
+        }
+        case "map_reset": {
+            worldMap.clearMap();
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * The changes made to a World by a path gen worker, which can be replayed on the World from any step
+ */
+export class Recording {
+    /**
+     * @param {WorldMap} worldMap - The recorded World, the recording starts from its current cells
+     * @param {String} algorithm - The shortName of the algorithm that ran during the recording
+     */
+    constructor(worldMap, algorithm) {
+        this.worldMap = worldMap;
+        this.algorithm = algorithm;
+
+        /**
+         * The recorded messages, in the order they were applied to the World
+         * @type {Array<[ import("./utils.js").WorkerMessages, ...any ]>}
+         */
+        this.messages = [ ];
+        /**
+         * The snapshots seeking backwards starts from, sorted by step. The first one is where the recording starts
+         * @type {Array<WorldSnapshot>}
+         */
+        this.snapshots = [ ];
+        /** How many of the recorded messages are applied to the World */
+        this.step = 0;
+
+        this.snapshotInterval = Math.max(MIN_SNAPSHOT_INTERVAL, worldMap.size.x * worldMap.size.y);
+        this.changesSinceSnapshot = 0;
+        this.takeSnapshot();
+    }
+
+    /**
+     * How many messages were recorded
+     * @returns {Number}
+     */
+    get length() {
+        return this.messages.length;
+    }
+
+    /**
+     * Saves the current cells of the World as a snapshot of the current step
+     */
+    takeSnapshot() {
+        this.snapshots.push({
+            "step": this.step,
+            "layout": this.worldMap.layoutToCellArray(),
+            "cells": this.worldMap.mapToCellArray()
+        });
+        this.changesSinceSnapshot = 0;
+    }
+
+    /**
+     * Records a message that was just applied to the World, messages that don't change it are ignored
+     * @param {[ import("./utils.js").WorkerMessages, ...any ]} message - The message
+     */
+    record(message) {
+        const [ messageType, ...args ] = message;
+        // Workers may send their cell queue while it's empty
+        if (!RECORDED_MESSAGES.includes(messageType) || (messageType === "map_add_cells" && args.length === 0)) { return; }
+
+        this.messages.push(message);
+        this.step = this.messages.length;
+
+        this.changesSinceSnapshot += Math.max(args.length / 3, 1);
+        if (this.changesSinceSnapshot >= this.snapshotInterval) {
+            this.takeSnapshot();
+        }
+    }
+
+    /**
+     * Makes the World show the specified step of the recording
+     * @param {Number} step - How many of the recorded messages must be applied, it's clamped to the length of the recording
+     */
+    seek(step) {
+        step = Math.max(0, Math.min(step, this.messages.length));
+
+        if (step < this.step) {
+            // Going back means starting over from the last snapshot before step
+            const snapshot = this.snapshots.findLast(snapshot => snapshot.step <= step);
+            this.worldMap.clearMap();
+            this.worldMap.loadCellArray(snapshot.layout);
+            this.worldMap.loadCellArray(snapshot.cells);
+            this.step = snapshot.step;
+        }
+
+        for (; this.step < step; this.step++) {
+            const [ messageType, ...args ] = this.messages[this.step];
+            applyMapMessage(this.worldMap, messageType, args);
+        }
+    }
+
+    /**
+     * Loads the specified recording on a World, which is left at the end of the recording
+     * @param {WorldMap} worldMap - The World to load the recording on, its size is changed to the one of the recording
+     * @param {RecordingData} data - The recording
+     * @returns {Recording} The loaded recording
+     */
+    static load(worldMap, data) {
+        worldMap.clearMap();
+        worldMap.size.x = data.width;
+        worldMap.size.y = data.height;
+        worldMap.hasBoundary = data.hasBoundary;
+        worldMap.topology = data.topology;
+        worldMap.loadCellArray(data.layout);
+        worldMap.loadCellArray(data.cells);
+
+        const recording = new Recording(worldMap, data.algorithm);
+        for (const message of data.messages) {
+            const [ messageType, ...args ] = message;
+            applyMapMessage(worldMap, messageType, args);
+            recording.record(message);
+        }
+        return recording;
+    }
+}
+
+/**
+ * Replaces the cells of the specified (cell, x, y) triplets with their names, so that changing their colors doesn't break old files
+ * @param {Array<String|Number>} cellArray - The triplets
+ * @returns {Array<String|Number>} The triplets with names instead of cells
+ */
+function cellsToNames(cellArray) {
+    return cellArray.map((value, i) => i % 3 === 0 ? getCellTypeName(value) : value);
+}
+
+/**
+ * Reads (name, x, y) triplets saved with cellsToNames
+ * @param {Array<String|Number>} nameArray - The triplets
+ * @param {String} what - What the triplets are, shown if they aren't valid
+ * @returns {Array<String|Number>} The triplets with cells instead of names
+ */
+function namesToCells(nameArray, what) {
+    if (!Array.isArray(nameArray) || nameArray.length % 3 !== 0) {
+        throw new MapFormatError(`The ${what} must be an Array of (type, x, y) triplets`);
+    }
+
+    return nameArray.map((value, i) => {
+        if (i % 3 !== 0) {
+            if (!Number.isInteger(value)) { throw new MapFormatError(`Invalid pos in the ${what}: ${value}`); }
+            return value;
+        }
+
+        const cell = CELL_TYPES[value];
+        if (cell === undefined) { throw new MapFormatError(`Unknown cell type in the ${what}: ${value}`); }
+        return cell;
+    });
+}
+
+/**
+ * Converts the specified recordings to a JSON string, the map each one starts from is saved alongside it
+ * @param {Array<Recording>} recordings - The recordings
+ * @returns {String} The JSON string
+ */
+export function recordingsToJSON(recordings) {
+    return JSON.stringify({
+        "version": RECORDING_FORMAT_VERSION,
+        "recordings": recordings.map(recording => {
+            const [ start ] = recording.snapshots;
+            return {
+                "algorithm": recording.algorithm,
+                "width": recording.worldMap.size.x,
+                "height": recording.worldMap.size.y,
+                "hasBoundary": recording.worldMap.hasBoundary,
+                "topology": recording.worldMap.topology,
+                "layout": cellsToNames(start.layout),
+                "cells": cellsToNames(start.cells),
+                "messages": recording.messages.map(([ messageType, ...args ]) => [ messageType, ...cellsToNames(args) ])
+            };
+        })
+    });
+}
+
+/**
+ * Reads the recordings from a JSON string created by recordingsToJSON
+ * @param {String} text - The JSON string
+ * @returns {Array<RecordingData>} The recordings
+ */
+export function parseRecordings(text) {
+    let json;
+    try {
+        json = JSON.parse(text);
+    } catch (err) {
+        throw new MapFormatError(`Invalid JSON: ${err.message}`);
+    }
+
+    if (json === null || typeof(json) !== "object") { throw new MapFormatError("The recording must be a JSON object"); }
+    if (json.version !== RECORDING_FORMAT_VERSION) { throw new MapFormatError(`Unsupported recording version: ${json.version}`); }
+    if (!Array.isArray(json.recordings) || json.recordings.length === 0) {
+        throw new MapFormatError("The file must contain at least one recording");
+    }
+
+    return json.recordings.map((recording, i) => {
+        if (recording === null || typeof(recording) !== "object") { throw new MapFormatError(`Recording ${i} must be a JSON object`); }
+        if (!Number.isInteger(recording.width) || !Number.isInteger(recording.height) || recording.width <= 0 || recording.height <= 0) {
+            throw new MapFormatError(`The size of the map of recording ${i} must be made of positive integers`);
+        }
+        if (!Array.isArray(recording.messages)) { throw new MapFormatError(`The messages of recording ${i} must be an Array`); }
+
+        const messages = recording.messages.map((message, j) => {
+            if (!Array.isArray(message) || !RECORDED_MESSAGES.includes(message[0])) {
+                throw new MapFormatError(`Message ${j} of recording ${i} isn't a recorded message`);
+            }
+            return [ message[0], ...namesToCells(message.slice(1), `message ${j} of recording ${i}`) ];
+        });
+
+        return {
+            "algorithm": String(recording.algorithm),
+            "width": recording.width,
+            "height": recording.height,
+            "hasBoundary": recording.hasBoundary ?? true,
+            "topology": parseTopology(recording.topology),
+            "layout": namesToCells(recording.layout, `layout of recording ${i}`),
+            "cells": namesToCells(recording.cells, `cells of recording ${i}`),
+            "messages": messages
+        };
+    });
+}
@@ -0,0 +1,238 @@
+import * as utils from "./utils.js";
+import { HEURISTICS, DEFAULT_HEURISTIC } from "./algorithms/heuristics.js";
+
+/**
+ * Thrown by a SearchController once its search was cancelled
+ */
+export class SearchCancelledError extends Error {
+    constructor() {
+        super("The search was cancelled");
+        this.name = "SearchCancelledError";
+    }
+}
+
+/**
+ * Thrown by a SearchController once its search expanded more nodes than its limit allows
+ */
+export class SearchLimitError extends Error {
+    /**
+     * @param {Number} limit - The max number of nodes the search could expand
+     */
+    constructor(limit) {
+        super(`The search expanded more than ${limit} nodes`);
+        this.name = "SearchLimitError";
+        this.limit = limit;
+    }
+}
+
+/**
+ * How many nodes searches on Worlds without boundaries can expand by default, they could run forever otherwise
+ */
+export const DEFAULT_EXPANSION_LIMIT = 100000;
+
+/**
+ * @typedef {Object} SearchStats - What a search did so far
+ * @property {Number} expanded - How many nodes were expanded
+ * @property {Number} generated - How many nodes were reached while expanding another one
+ * @property {Number} maxOpenSetSize - The highest number of nodes that were waiting to be expanded at once
+ * @property {Number} pausedTime - How long (ms) the search was paused for
+ */
+
+/**
+ * How searches pick between nodes with the same priority, compare returns a negative number if a must be expanded first
+ * (see searchUtils.OpenSetNode)
+ */
+export const TIE_BREAKING_POLICIES = [
+    {
+        "shortName": "LIFO",
+        "longName": "Last In, First Out",
+        "compare": (a, b) => b.order - a.order
+    },
+    {
+        "shortName": "FIFO",
+        "longName": "First In, First Out",
+        "compare": (a, b) => a.order - b.order
+    },
+    {
+        "shortName": "HighG",
+        "longName": "Prefer Higher g",
+        "compare": (a, b) => b.g - a.g || b.order - a.order
+    },
+    {
+        "shortName": "LowH",
+        "longName": "Prefer Lower h",
+        "compare": (a, b) => a.h - b.h || b.order - a.order
+    }
+];
+
+/**
+ * How long (ms) a search without delay can run before letting other events (e.g. pause or cancel) through
+ */
+const MAX_BUSY_TIME = 30;
+
+/**
+ * Controls the pace of searches and map generators, they must:
+ *  - call SearchController#beginStep before each step (e.g. expanding a node), it's where pausing stops them
+ *  - call SearchController#wait between actions within a step (e.g. visiting a neighbour)
+ * Searches also count the nodes they generate in SearchController#stats,
+ * randomness must only come from SearchController#random so that runs can be reproduced
+ */
+export class SearchController {
+    /**
+     * @param {Number} [actionDelay] - The delay between each action, 0 means no delay
+     * @param {() -> void} [onPause] - Called each time the search stops because it's paused
+     */
+    constructor(actionDelay = 0, onPause = () => { }) {
+        this.actionDelay = actionDelay;
+        this.onPause = onPause;
+
+        /**
+         * The random number generator used by map generators (see utils.createRandom)
+         * @type {() -> Number}
+         */
+        this.random = Math.random;
+        /** How searches break ties between nodes, one of TIE_BREAKING_POLICIES */
+        this.tieBreaking = TIE_BREAKING_POLICIES[0];
+        /** How searches that use an heuristic estimate the cost to reach the goal, one of HEURISTICS */
+        this.heuristic = HEURISTICS[DEFAULT_HEURISTIC];
+        /** What the estimates of the heuristic are multiplied by (see heuristics.createHeuristic) */
+        this.heuristicWeight = 1;
+        /** How many nodes can be expanded before a SearchLimitError is thrown, map generators must leave it to Infinity */
+        this.expansionLimit = Number.POSITIVE_INFINITY;
+
+        this.isPaused = false;
+        this.isCancelled = false;
+        /** How many steps can still be made while paused */
+        this.allowedSteps = 0;
+
+        /** @type {Array<() -> void>} */
+        this.waitingSteps = [ ];
+        this.lastYield = Date.now();
+
+        this.resetStats();
+    }
+
+    /**
+     * Resets the stats, so that the steps made by map generators aren't counted as expanded nodes
+     */
+    resetStats() {
+        /** @type {SearchStats} */
+        this.stats = {
+            "expanded": 0,
+            "generated": 0,
+            "maxOpenSetSize": 0,
+            "pausedTime": 0
+        };
+    }
+
+    /**
+     * Pauses the search at the next step
+     */
+    pause() {
+        this.isPaused = true;
+        this.allowedSteps = 0;
+    }
+
+    /**
+     * Resumes the search if it was paused
+     */
+    resume() {
+        this.isPaused = false;
+        this.wakeUp();
+    }
+
+    /**
+     * Lets a paused search make exactly one step, running searches are paused instead
+     */
+    advance() {
+        if (!this.isPaused) {
+            this.pause();
+            return;
+        }
+
+        this.allowedSteps++;
+        this.wakeUp();
+    }
+
+    /**
+     * Cancels the search, which will throw a SearchCancelledError as soon as it waits or begins a step
+     */
+    cancel() {
+        this.isCancelled = true;
+        this.wakeUp();
+    }
+
+    /**
+     * Wakes up the search if it's waiting for a step to begin
+     */
+    wakeUp() {
+        const waitingSteps = this.waitingSteps;
+        this.waitingSteps = [ ];
+        waitingSteps.forEach(resolve => resolve());
+    }
+
+    /**
+     * Throws if the search was cancelled
+     */
+    checkCancelled() {
+        if (this.isCancelled) { throw new SearchCancelledError(); }
+    }
+
+    /**
+     * Must be called before each step, waits while the search is paused.
+     * Throws a SearchLimitError if the step would go past the expansion limit
+     * @param {Number} [openSetSize] - How many nodes are waiting to be expanded
+     * @returns {Promise<void>|undefined} Nothing when the step can begin right away, so that searches without delay aren't slowed down
+     */
+    beginStep(openSetSize = 0) {
+        this.checkCancelled();
+        if (this.stats.expanded >= this.expansionLimit) { throw new SearchLimitError(this.expansionLimit); }
+
+        this.stats.expanded++;
+        if (openSetSize > this.stats.maxOpenSetSize) { this.stats.maxOpenSetSize = openSetSize; }
+
+        // Without a delay the search would never let the messages that pause or cancel it through
+        const mustYield = !this.actionDelay && Date.now() - this.lastYield > MAX_BUSY_TIME;
+        if (this.isPaused || mustYield) { return this.waitForStep(); }
+    }
+
+    /**
+     * Waits until the search can make its next step
+     */
+    async waitForStep() {
+        while (this.isPaused && this.allowedSteps === 0) {
+            this.onPause();
+            const pauseStart = Date.now();
+            await new Promise(resolve => this.waitingSteps.push(resolve));
+            this.stats.pausedTime += Date.now() - pauseStart;
+            this.checkCancelled();
+        }
+
+        if (this.isPaused) {
+            this.allowedSteps--;
+        } else if (!this.actionDelay) {
+            await utils.sleep(0);
+            this.checkCancelled();
+        }
+
+        this.lastYield = Date.now();
+    }
+
+    /**
+     * Must be called between actions, waits for the current delay
+     * @returns {Promise<void>|undefined} Nothing when there's no delay
+     */
+    wait() {
+        this.checkCancelled();
+        if (this.actionDelay) { return this.sleep(); }
+    }
+
+    /**
+     * Waits for the current delay
+     */
+    async sleep() {
+        await utils.sleep(this.actionDelay);
+        this.lastYield = Date.now();
+        this.checkCancelled();
+    }
+}
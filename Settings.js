@@ -0,0 +1,206 @@
+/**
+ * @typedef {Object} Settings - The settings that are kept between visits
+ * @property {Object<String, String>} keyBindings - The key bound to each action, keys are upper case (see KeyboardEvent#key)
+ * @property {Number} actionDelay - The delay between each Path Finding move (ms), 0 for no delay
+ * @property {Boolean} gridEnabled - Whether or not the grid is drawn
+ * @property {Number} worldWidth - The width of new Worlds
+ * @property {Number} worldHeight - The height of new Worlds
+ * @property {String} algorithm - The shortName of the selected algorithm
+ *
+ * @typedef {Object} SettingsLimits - What the settings can be set to
+ * @property {Number} minWorldSize - The smallest width and height of the World
+ * @property {Number} maxWorldSize - The biggest width and height of the World
+ * @property {Number} maxActionDelay - The longest delay between each Path Finding move (ms)
+ * @property {Array<String>} algorithms - The shortName of each algorithm that can be selected
+ */
+
+/**
+ * Thrown when a settings file can't be read
+ */
+export class SettingsFormatError extends Error {
+    /**
+     * @param {String} message - What's wrong with the file
+     */
+    constructor(message) {
+        super(message);
+        this.name = "SettingsFormatError";
+    }
+}
+
+export const SETTINGS_VERSION = 1;
+
+/** The key the settings are saved at in the browser's storage */
+const STORAGE_KEY = "PFVisualizer.settings";
+
+/**
+ * The functions that turn the settings saved by each older version into the ones of the next version,
+ * MIGRATIONS[v] takes the JSON object of version v and returns the one of version v + 1
+ * @type {Object<Number, (json: Object) -> Object>}
+ */
+const MIGRATIONS = { };
+
+/**
+ * Returns a copy of the specified settings that can be changed without changing them
+ * @param {Settings} settings - The settings to copy
+ * @returns {Settings} The copy
+ */
+export function copySettings(settings) {
+    return { ...settings, "keyBindings": { ...settings.keyBindings } };
+}
+
+/**
+ * Finds the keys that are bound to more than one action
+ * @param {Object<String, String>} keyBindings - The key bound to each action
+ * @returns {Array<{ "key": String, "actions": Array<String> }>} Each key that's bound more than once and its actions
+ */
+export function findKeyConflicts(keyBindings) {
+    /** @type {Map<String, Array<String>>} */
+    const actionsByKey = new Map();
+    Object.keys(keyBindings).forEach(action => {
+        const key = keyBindings[action];
+        if (actionsByKey.has(key)) {
+            actionsByKey.get(key).push(action);
+        } else {
+            actionsByKey.set(key, [ action ]);
+        }
+    });
+
+    return [ ...actionsByKey.entries() ]
+        .filter(([ , actions ]) => actions.length > 1)
+        .map(([ key, actions ]) => ({ "key": key, "actions": actions }));
+}
+
+/**
+ * Converts the specified settings to a JSON string
+ * @param {Settings} settings - The settings to convert
+ * @returns {String} The JSON string
+ */
+export function settingsToJSON(settings) {
+    return JSON.stringify({
+        "version": SETTINGS_VERSION,
+        "keyBindings": settings.keyBindings,
+        "actionDelay": settings.actionDelay,
+        "gridEnabled": settings.gridEnabled,
+        "worldWidth": settings.worldWidth,
+        "worldHeight": settings.worldHeight,
+        "algorithm": settings.algorithm
+    }, null, 4);
+}
+
+/**
+ * Reads settings from a JSON string created by settingsToJSON, settings of older versions are migrated.
+ * Settings that are missing (e.g. actions that were added after they were saved) are taken from the defaults
+ * @param {String} text - The JSON string
+ * @param {Settings} defaults - The settings used when none were chosen, only their actions can be bound
+ * @param {SettingsLimits} limits - What the settings can be set to
+ * @returns {Settings} The settings
+ */
+export function parseSettings(text, defaults, limits) {
+    let json;
+    try {
+        json = JSON.parse(text);
+    } catch (err) {
+        throw new SettingsFormatError(`Invalid JSON: ${err.message}`);
+    }
+
+    if (json === null || typeof(json) !== "object") { throw new SettingsFormatError("The settings must be a JSON object"); }
+    if (!Number.isInteger(json.version) || json.version < 1 || json.version > SETTINGS_VERSION) {
+        throw new SettingsFormatError(`Unsupported settings version: ${json.version}`);
+    }
+    for (let version = json.version; version < SETTINGS_VERSION; version++) {
+        json = MIGRATIONS[version](json);
+    }
+
+    const settings = copySettings(defaults);
+    const keyBindings = json.keyBindings ?? { };
+    if (keyBindings === null || typeof(keyBindings) !== "object") {
+        throw new SettingsFormatError("The key bindings must be an object");
+    }
+    Object.keys(keyBindings).forEach(action => {
+        if (!Object.hasOwn(defaults.keyBindings, action)) { throw new SettingsFormatError(`Unknown action: ${action}`); }
+
+        const key = keyBindings[action];
+        if (typeof(key) !== "string" || key.length === 0) {
+            throw new SettingsFormatError(`Invalid key for ${action}: ${key}`);
+        }
+        settings.keyBindings[action] = key.toUpperCase();
+    });
+
+    const [ conflict ] = findKeyConflicts(settings.keyBindings);
+    if (conflict !== undefined) {
+        throw new SettingsFormatError(`${conflict.key} is bound to more than one action: ${conflict.actions.join(", ")}`);
+    }
+
+    if (json.actionDelay !== undefined) {
+        if (typeof(json.actionDelay) !== "number" || !(json.actionDelay >= 0 && json.actionDelay <= limits.maxActionDelay)) {
+            throw new SettingsFormatError(`Invalid move time: ${json.actionDelay}`);
+        }
+        settings.actionDelay = json.actionDelay;
+    }
+
+    if (json.gridEnabled !== undefined) {
+        if (typeof(json.gridEnabled) !== "boolean") { throw new SettingsFormatError(`Invalid grid toggle: ${json.gridEnabled}`); }
+        settings.gridEnabled = json.gridEnabled;
+    }
+
+    for (const size of [ "worldWidth", "worldHeight" ]) {
+        if (json[size] === undefined) { continue; }
+        if (!Number.isInteger(json[size]) || json[size] <= 0) {
+            throw new SettingsFormatError("The size of the World must be made of positive integers");
+        }
+        if (json[size] < limits.minWorldSize || json[size] > limits.maxWorldSize) {
+            throw new SettingsFormatError(
+                `The size of the World must be between ${limits.minWorldSize} and ${limits.maxWorldSize}, not ${json[size]}`
+            );
+        }
+        settings[size] = json[size];
+    }
+
+    if (json.algorithm !== undefined) {
+        if (!limits.algorithms.includes(json.algorithm)) { throw new SettingsFormatError(`Unknown algorithm: ${json.algorithm}`); }
+        settings.algorithm = json.algorithm;
+    }
+
+    return settings;
+}
+
+/**
+ * Returns the storage of the browser, undefined if it can't be used (e.g. it's disabled)
+ * @returns {Storage|undefined} The storage
+ */
+function getStorage() {
+    try {
+        return globalThis.localStorage;
+    } catch (err) {
+        return undefined;
+    }
+}
+
+/**
+ * Reads the settings saved in the browser, the defaults are used if none were saved or if they can't be read
+ * @param {Settings} defaults - The settings used when none were chosen
+ * @param {SettingsLimits} limits - What the settings can be set to
+ * @returns {Settings} The settings
+ */
+export function loadSettings(defaults, limits) {
+    try {
+        const text = getStorage()?.getItem(STORAGE_KEY);
+        if (text !== undefined && text !== null) { return parseSettings(text, defaults, limits); }
+    } catch (err) {
+        if (!(err instanceof SettingsFormatError)) { throw err; }
+        console.warn(`Couldn't load the saved settings: ${err.message}`);
+    }
+    return copySettings(defaults);
+}
+
+/**
+ * Saves the specified settings in the browser, they're lost if the storage is full or can't be used
+ * @param {Settings} settings - The settings to save
+ */
+export function saveSettings(settings) {
+    try {
+        getStorage()?.setItem(STORAGE_KEY, settingsToJSON(settings));
+    } catch (err) {
+        console.warn(`Couldn't save the settings: ${err.message}`);
+    }
+}
@@ -0,0 +1,177 @@
+import { UMath } from "./wCanvas/wcanvas.js";
+
+/*
+    Cells are laid out on a plane measured in cells: squares are 1 wide and 1 tall, hexes are 1 wide and
+    triangles have sides that are 1 long. The plane is what the camera looks at and what cells are drawn on,
+    it's multiplied by the size (px) of a cell to get the pos on the canvas.
+*/
+
+/**
+ * All shapes the cells of a World can have, the shape decides which cells are next to each other
+ */
+export const TOPOLOGIES = {
+    // Squares, 4 connected or 8 connected if diagonal moves are allowed
+    "SQUARE": "square",
+    // Pointy hexes with axial coordinates, each row is shifted by half a hex from the one above it
+    "HEX": "hex",
+    // Triangles that point up and down one after the other, like on a checkerboard
+    "TRIANGLE": "triangle"
+};
+
+/** The distance between two rows of hexes */
+const HEX_ROW_HEIGHT = Math.sqrt(3) / 2;
+/** The distance between the center of a hex and its corners */
+const HEX_RADIUS = 1 / Math.sqrt(3);
+/** The height of a row of triangles */
+const TRIANGLE_HEIGHT = Math.sqrt(3) / 2;
+
+/**
+ * Checks whether or not the triangle on the specified pos points up, the other ones point down
+ * @param {Number} x - The x pos of the triangle
+ * @param {Number} y - The y pos of the triangle
+ * @returns {Boolean} Whether or not the triangle points up
+ */
+export function isTrianglePointingUp(x, y) {
+    return (x + y) % 2 === 0;
+}
+
+/**
+ * How cells of each topology are laid out on the plane.
+ * getSize(w, h) returns the size of a World, getVertices(x, y) returns the corners of a cell,
+ * toCell(x, y) returns the cell under a point and getCellsIn(minX, minY, maxX, maxY) returns the range of cells
+ * that may be within a rectangle (some of the cells within the range may be outside of it)
+ */
+const LAYOUTS = {
+    [TOPOLOGIES.SQUARE]: {
+        "getSize": (w, h) => new UMath.Vec2(w, h),
+        "getVertices": (x, y) => [ { x, y }, { "x": x + 1, y }, { "x": x + 1, "y": y + 1 }, { x, "y": y + 1 } ],
+        "toCell": (x, y) => new UMath.Vec2(Math.floor(x), Math.floor(y)),
+        "getCellsIn": (minX, minY, maxX, maxY) => ({
+            "minX": Math.floor(minX), "minY": Math.floor(minY), "maxX": Math.ceil(maxX) - 1, "maxY": Math.ceil(maxY) - 1
+        })
+    },
+    [TOPOLOGIES.HEX]: {
+        "getSize": (w, h) => new UMath.Vec2(w + (h - 1) / 2, (h - 1) * HEX_ROW_HEIGHT + 2 * HEX_RADIUS),
+        "getVertices": (x, y) => {
+            const [ centerX, centerY ] = [ x + y / 2 + 0.5, y * HEX_ROW_HEIGHT + HEX_RADIUS ];
+            return [
+                { "x": centerX      , "y": centerY - HEX_RADIUS     },
+                { "x": centerX + 0.5, "y": centerY - HEX_RADIUS / 2 },
+                { "x": centerX + 0.5, "y": centerY + HEX_RADIUS / 2 },
+                { "x": centerX      , "y": centerY + HEX_RADIUS     },
+                { "x": centerX - 0.5, "y": centerY + HEX_RADIUS / 2 },
+                { "x": centerX - 0.5, "y": centerY - HEX_RADIUS / 2 }
+            ];
+        },
+        "toCell": (x, y) => {
+            // The point is rounded to the closest hex using cube coordinates (q + r + s = 0)
+            const r = (y - HEX_RADIUS) / HEX_ROW_HEIGHT;
+            const q = x - 0.5 - r / 2;
+            const s = -q - r;
+
+            let [ roundQ, roundR, roundS ] = [ Math.round(q), Math.round(r), Math.round(s) ];
+            const [ diffQ, diffR, diffS ] = [ Math.abs(roundQ - q), Math.abs(roundR - r), Math.abs(roundS - s) ];
+            if (diffQ > diffR && diffQ > diffS) {
+                roundQ = -roundR - roundS;
+            } else if (diffR > diffS) {
+                roundR = -roundQ - roundS;
+            }
+            return new UMath.Vec2(roundQ, roundR);
+        },
+        "getCellsIn": (minX, minY, maxX, maxY) => {
+            const minRow = Math.ceil((minY - 2 * HEX_RADIUS) / HEX_ROW_HEIGHT);
+            const maxRow = Math.floor(maxY / HEX_ROW_HEIGHT);
+            // Rows are shifted, so the columns within the rectangle change from row to row
+            return {
+                "minX": Math.ceil(minX - 1 - maxRow / 2), "minY": minRow,
+                "maxX": Math.floor(maxX - minRow / 2), "maxY": maxRow
+            };
+        }
+    },
+    [TOPOLOGIES.TRIANGLE]: {
+        "getSize": (w, h) => new UMath.Vec2((w + 1) / 2, h * TRIANGLE_HEIGHT),
+        "getVertices": (x, y) => {
+            const [ left, top, bottom ] = [ x / 2, y * TRIANGLE_HEIGHT, (y + 1) * TRIANGLE_HEIGHT ];
+            return isTrianglePointingUp(x, y) ?
+                [ { "x": left + 0.5, "y": top }, { "x": left + 1, "y": bottom }, { "x": left, "y": bottom } ] :
+                [ { "x": left, "y": top }, { "x": left + 1, "y": top }, { "x": left + 0.5, "y": bottom } ];
+        },
+        "toCell": (x, y) => {
+            const row = Math.floor(y / TRIANGLE_HEIGHT);
+            const rowY = y / TRIANGLE_HEIGHT - row;
+            // Each half of a triangle's width is shared with the one on its left, their common side splits it
+            const column = Math.floor(x * 2);
+            const columnX = x * 2 - column;
+            const isInColumn = isTrianglePointingUp(column, row) ? columnX >= 1 - rowY : columnX >= rowY;
+            return new UMath.Vec2(isInColumn ? column : column - 1, row);
+        },
+        "getCellsIn": (minX, minY, maxX, maxY) => ({
+            "minX": Math.ceil(minX * 2 - 2), "minY": Math.floor(minY / TRIANGLE_HEIGHT),
+            "maxX": Math.floor(maxX * 2), "maxY": Math.ceil(maxY / TRIANGLE_HEIGHT) - 1
+        })
+    }
+};
+
+/**
+ * Returns the size of a World with the specified topology on the plane
+ * @param {String} topology - The topology of the World (one of TOPOLOGIES)
+ * @param {Number} w - The width (in cells) of the World
+ * @param {Number} h - The height (in cells) of the World
+ * @returns {UMath.Vec2} The size of the World on the plane
+ */
+export function getLayoutSize(topology, w, h) {
+    return LAYOUTS[topology].getSize(w, h);
+}
+
+/**
+ * Returns the corners of the specified cell on the plane, in clockwise order
+ * @param {String} topology - The topology of the World the cell is in (one of TOPOLOGIES)
+ * @param {Number} x - The x pos of the cell
+ * @param {Number} y - The y pos of the cell
+ * @returns {Array<{ "x": Number, "y": Number }>} The corners of the cell
+ */
+export function getCellVertices(topology, x, y) {
+    return LAYOUTS[topology].getVertices(x, y);
+}
+
+/**
+ * Returns the smallest rectangle of the plane that contains the specified cell
+ * @param {String} topology - The topology of the World the cell is in (one of TOPOLOGIES)
+ * @param {Number} x - The x pos of the cell
+ * @param {Number} y - The y pos of the cell
+ * @returns {{ "x": Number, "y": Number, "w": Number, "h": Number }} The rectangle
+ */
+export function getCellBounds(topology, x, y) {
+    const vertices = getCellVertices(topology, x, y);
+    const minX = Math.min(...vertices.map(vertex => vertex.x));
+    const minY = Math.min(...vertices.map(vertex => vertex.y));
+    return {
+        "x": minX, "y": minY,
+        "w": Math.max(...vertices.map(vertex => vertex.x)) - minX,
+        "h": Math.max(...vertices.map(vertex => vertex.y)) - minY
+    };
+}
+
+/**
+ * Returns the cell that is under the specified point of the plane
+ * @param {String} topology - The topology of the World (one of TOPOLOGIES)
+ * @param {Number} x - The x pos of the point
+ * @param {Number} y - The y pos of the point
+ * @returns {UMath.Vec2} The pos of the cell
+ */
+export function layoutToCell(topology, x, y) {
+    return LAYOUTS[topology].toCell(x, y);
+}
+
+/**
+ * Returns the range of cells that may be within the specified rectangle of the plane
+ * @param {String} topology - The topology of the World (one of TOPOLOGIES)
+ * @param {Number} minX - The left side of the rectangle
+ * @param {Number} minY - The top side of the rectangle
+ * @param {Number} maxX - The right side of the rectangle
+ * @param {Number} maxY - The bottom side of the rectangle
+ * @returns {{ "minX": Number, "minY": Number, "maxX": Number, "maxY": Number }} The range of cells (inclusive)
+ */
+export function getCellsIn(topology, minX, minY, maxX, maxY) {
+    return LAYOUTS[topology].getCellsIn(minX, minY, maxX, maxY);
+}
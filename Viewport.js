@@ -0,0 +1,133 @@
+import * as WorldMap from "./WorldMap.js";
+import { Recording, applyMapMessage } from "./Recording.js";
+import { availableAlgorithms } from "./algorithms/allAlgorithms.js";
+
+/** @typedef {import("./utils.js").WorkerMessages} WorkerMessages */
+/** @typedef {import("./utils.js").PathGenStats} PathGenStats */
+/** @typedef {import("./algorithms/pathValidation.js").PathValidation} PathValidation */
+
+/**
+ * A World shown on a region of the canvas alongside the path gen worker that works on it
+ */
+export class Viewport {
+    /**
+     * @param {WorldMap.WorldMap} worldMap - The World shown by the viewport
+     * @param {Number} [algorithmIndex] - The index of the algorithm used to search paths on the World
+     * @param {(viewport: Viewport, messageType: WorkerMessages, args: Array<any>) -> void} [onMessage] - Called after each message sent by the worker is handled
+     */
+    constructor(worldMap, algorithmIndex = 0, onMessage = () => { }) {
+        this.worldMap = worldMap;
+        this.algorithmIndex = algorithmIndex;
+        this.onMessage = onMessage;
+
+        /** Whether or not the worker is currently generating/calculating a path */
+        this.isLocked = false;
+        /**
+         * The last stats sent by the worker, undefined if it hasn't searched yet
+         * @type {PathGenStats}
+         */
+        this.stats = undefined;
+        /**
+         * The validation of the last path found by the worker, undefined until the search is over
+         * @type {PathValidation}
+         */
+        this.validation = undefined;
+        /**
+         * The changes made to the World by the last path gen, undefined if there's none or the World was changed since
+         * @type {Recording}
+         */
+        this.recording = undefined;
+        /** The region of the canvas the World is shown in (see Viewport#fit) */
+        this.area = { "x": 0, "y": 0, "w": 0, "h": 0 };
+
+        this.worker = new Worker("./pathGen.js", { "type": "module" });
+        this.worker.addEventListener("message", ev => this.handleMessage(ev.data));
+    }
+
+    /**
+     * Applies the specified message sent by the worker to the viewport
+     * @param {[ WorkerMessages, ...any ]} data - The message
+     */
+    handleMessage(data) {
+        // The first element of data is the type of the message
+        // The other ones can be either Strings or Numbers, except for "stats" and "validation" which send an object
+        const [ messageType, ...args ] = data;
+        if (applyMapMessage(this.worldMap, messageType, args) && this.recording !== undefined) {
+            this.recording.record(data);
+        }
+
+        switch (messageType) {
+            case "lock_gen": {
+                this.isLocked = true;
+                // Every path gen is recorded from the World it starts from
+                this.recording = new Recording(this.worldMap, availableAlgorithms[this.algorithmIndex].shortName);
+                break;
+            }
+            case "unlock_gen": {
+                this.isLocked = false;
+                break;
+            }
+            case "stats": {
+                this.stats = args[0];
+                // The validation of a search is sent after its last stats
+                this.validation = undefined;
+                break;
+            }
+            case "validation": {
+                this.validation = args[0];
+                break;
+            }
+        }
+
+        this.onMessage(this, messageType, args);
+    }
+
+    /**
+     * Forgets the stats and the validation of the last search
+     */
+    resetStats() {
+        this.stats = undefined;
+        this.validation = undefined;
+    }
+
+    /**
+     * Sends the specified message to the worker
+     * @param {[ import("./utils.js").PathGenMessages, ...any ]} message - The message to send
+     */
+    postMessage(message) {
+        this.worker.postMessage(message);
+    }
+
+    /**
+     * Stops the worker, the viewport can't be used anymore
+     */
+    terminate() {
+        this.worker.terminate();
+    }
+
+    /**
+     * Shows the World within the specified region of the canvas
+     * @param {Number} x - The x pos of the region
+     * @param {Number} y - The y pos of the region
+     * @param {Number} w - The width of the region
+     * @param {Number} h - The height of the region
+     * @param {Number} scale - The size of each cell of the World
+     * @param {{ "x": Number, "y": Number }} center - The point of the World (on the plane of its cells, see Topology.js) that's shown at the center of the region
+     */
+    fit(x, y, w, h, scale, center) {
+        this.area = { "x": x, "y": y, "w": w, "h": h };
+        this.worldMap.pos.x = Math.floor(x + w / 2 - center.x * scale);
+        this.worldMap.pos.y = Math.floor(y + h / 2 - center.y * scale);
+        this.worldMap.redraw();
+    }
+
+    /**
+     * Checks whether or not the specified pos of the canvas is within the region the World is shown in
+     * @param {Number} x - The x pos on the canvas
+     * @param {Number} y - The y pos on the canvas
+     * @returns {Boolean} Whether or not the pos is within the region
+     */
+    isInArea(x, y) {
+        return x >= this.area.x && y >= this.area.y && x < this.area.x + this.area.w && y < this.area.y + this.area.h;
+    }
+}
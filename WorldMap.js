@@ -1,17 +1,53 @@
 
 import { wCanvas, UMath } from "./wCanvas/wcanvas.js";
-import { drawNodePair } from "./utils.js";
+import { drawNodePair, clearNode } from "./utils.js";
+import { ChunkMap, pairCoords, unpairCoords } from "./ChunkMap.js";
+import { TOPOLOGIES, isTrianglePointingUp, getLayoutSize, layoutToCell, getCellsIn } from "./Topology.js";
 
 export const CELL_TYPES = {
     "WALL": "#889f9f",
     "EMPTY": "#0000",
+    "FOREST": "#2e6b34",
+    "MUD": "#6b4c2e",
+    "WATER": "#2e5a8f",
     "START": "#f00",
     "GOAL": "#0f0",
+    "WAYPOINT": "#4af",
     "CALCULATING": "#00f",
     "CALCULATED": "#777",
-    "PATH": "#dd0"
+    "SCANNED": "#bbb",
+    "REVERSE_CALCULATING": "#f0f",
+    "REVERSE_CALCULATED": "#a5a",
+    "PATH": "#dd0",
+    "PATH_2": "#990",
+    "PATH_3": "#ff8",
+    "PATH_4": "#bb5",
+    "REEXPANDED": "#0cc",
+    "AGENT": "#fff",
+    "WALKED": "#f80",
+    "CONFLICT": "#f0a"
 };
 
+/**
+ * The colors of the agents of multi-agent searches, there can't be more agents than colors
+ */
+export const AGENT_COLORS = [ "#f55", "#5d5", "#fd3", "#59f", "#f93", "#b6f", "#4dd", "#f6c" ];
+
+/**
+ * The cell types of each agent of multi-agent searches, by index (see AGENT_COLORS).
+ * Its START and GOAL, the cells its path goes through and the cell it's on while its path is played
+ * @type {Array<{ "start": String, "goal": String, "path": String, "marker": String }>}
+ */
+export const AGENT_CELL_TYPES = AGENT_COLORS.map((color, i) => {
+    // The alpha channel tells apart cells that share the agent's color
+    const cellTypes = { "start": color, "goal": color + "9", "path": color + "4", "marker": color + "f" };
+    CELL_TYPES[`AGENT_${i + 1}_START`] = cellTypes.start;
+    CELL_TYPES[`AGENT_${i + 1}_GOAL`] = cellTypes.goal;
+    CELL_TYPES[`AGENT_${i + 1}_PATH`] = cellTypes.path;
+    CELL_TYPES[`AGENT_${i + 1}_MARKER`] = cellTypes.marker;
+    return cellTypes;
+});
+
 /**
  * An Object containing all cell types that are solid
  */
@@ -24,12 +60,72 @@ SOLID_CELL_TYPES[CELL_TYPES.WALL] = true;
 export const PERMANENT_CELL_TYPES = { }
 PERMANENT_CELL_TYPES[CELL_TYPES.START] = true;
 PERMANENT_CELL_TYPES[CELL_TYPES.GOAL] = true;
+PERMANENT_CELL_TYPES[CELL_TYPES.WAYPOINT] = true;
 PERMANENT_CELL_TYPES[CELL_TYPES.WALL] = true;
+AGENT_CELL_TYPES.forEach(cellTypes => {
+    PERMANENT_CELL_TYPES[cellTypes.start] = true;
+    PERMANENT_CELL_TYPES[cellTypes.goal] = true;
+});
+
+/**
+ * An Object containing all weighted terrain cell types and their default traversal cost
+ */
+export const TERRAIN_CELL_TYPES = { }
+TERRAIN_CELL_TYPES[CELL_TYPES.FOREST] = 2;
+TERRAIN_CELL_TYPES[CELL_TYPES.MUD] = 3;
+TERRAIN_CELL_TYPES[CELL_TYPES.WATER] = 5;
+
+/**
+ * An Object containing all cell types that are left on the map by a search
+ */
+export const SEARCH_CELL_TYPES = { }
+SEARCH_CELL_TYPES[CELL_TYPES.CALCULATING] = true;
+SEARCH_CELL_TYPES[CELL_TYPES.CALCULATED] = true;
+SEARCH_CELL_TYPES[CELL_TYPES.SCANNED] = true;
+SEARCH_CELL_TYPES[CELL_TYPES.REVERSE_CALCULATING] = true;
+SEARCH_CELL_TYPES[CELL_TYPES.REVERSE_CALCULATED] = true;
+SEARCH_CELL_TYPES[CELL_TYPES.PATH] = true;
+SEARCH_CELL_TYPES[CELL_TYPES.PATH_2] = true;
+SEARCH_CELL_TYPES[CELL_TYPES.PATH_3] = true;
+SEARCH_CELL_TYPES[CELL_TYPES.PATH_4] = true;
+SEARCH_CELL_TYPES[CELL_TYPES.REEXPANDED] = true;
+SEARCH_CELL_TYPES[CELL_TYPES.AGENT] = true;
+SEARCH_CELL_TYPES[CELL_TYPES.WALKED] = true;
+SEARCH_CELL_TYPES[CELL_TYPES.CONFLICT] = true;
+AGENT_CELL_TYPES.forEach(cellTypes => {
+    SEARCH_CELL_TYPES[cellTypes.path] = true;
+    SEARCH_CELL_TYPES[cellTypes.marker] = true;
+});
+
+/**
+ * The shades the legs of a route are drawn with, one after the other
+ */
+export const PATH_SHADES = [ CELL_TYPES.PATH, CELL_TYPES.PATH_2, CELL_TYPES.PATH_3, CELL_TYPES.PATH_4 ];
+
+/**
+ * All policies that decide whether or not diagonal moves can go past the corners of walls
+ */
+export const CORNER_CUTTING_POLICIES = {
+    // Diagonal moves are always allowed
+    "ALWAYS": "always",
+    // Diagonal moves can't squeeze between two walls
+    "NO_SQUEEZING": "no_squeezing",
+    // Diagonal moves are only allowed when both adjacent orthogonal cells are free
+    "NEVER": "never"
+};
+
+/**
+ * The offsets of the hexes next to a hex (see TOPOLOGIES.HEX)
+ */
+const HEX_OFFSETS = [
+    { x:  1, y:  0 }, { x: -1, y:  0 }, { x:  0, y:  1 },
+    { x:  0, y: -1 }, { x:  1, y: -1 }, { x: -1, y:  1 }
+];
 
 /** 
  * @typedef {[UMath.Vec2, String]} NodePair - A (Vec2, Color) tuple
  * 
- * @typedef {Map<Number, Map<Number, Boolean>>} InternalWorldMap - A Map that holds the world's map
+ * @typedef {ChunkMap<String>} InternalWorldMap - A ChunkMap that holds the world's map
  */
 
 export class WorldMap {
@@ -48,11 +144,35 @@ export class WorldMap {
         this.size = new UMath.Vec2(w, h);
 
         /** @type {InternalWorldMap} */
-        this.map = new Map();
+        this.map = new ChunkMap();
+        /**
+         * The weighted terrain under each cell, it's kept apart from this.map so that searches don't overwrite it
+         * @type {InternalWorldMap}
+         */
+        this.terrain = new ChunkMap();
+        /**
+         * The cost of moving into each terrain type, cells that aren't terrain cost 1 and none can cost less
+         * @type {Object<String, Number>}
+         */
+        this.terrainCosts = { ...TERRAIN_CELL_TYPES };
+
+        /**
+         * The place of each WAYPOINT in the order they were put, by the paired pos of its cell (see pairCoords)
+         * @type {Map<Number, Number>}
+         */
+        this.waypointOrder = new Map();
+        this.putWaypoints = 0;
 
         this.hasBoundary = hasBoundary;
         this.showBounds = showBounds;
 
+        /** Whether or not diagonal moves are allowed (see WorldMap#getNeighbours) */
+        this.diagonals = false;
+        /** How diagonal moves can go past walls, one of CORNER_CUTTING_POLICIES */
+        this.cornerCutting = CORNER_CUTTING_POLICIES.ALWAYS;
+        /** The shape of the cells, one of TOPOLOGIES. Diagonal moves are only made between squares */
+        this.topology = TOPOLOGIES.SQUARE;
+
         // Why is this needed, I don't get it. Not gonna question this anymore since it works
         if (typeof(document) === "undefined" || !createInternalBuffer) {
             this.internalFrameBuffer = null;
@@ -74,23 +194,35 @@ export class WorldMap {
     * Draws the world to the specified canvas with the specified scale
     * @param {wCanvas} canvas - The canvas to draw the world on
     * @param {Number} scale - The Scale of each world's cell
+    * @param {{ "x": Number, "y": Number, "w": Number, "h": Number }} [area] - The region of the canvas that's visible,
+    *  cells outside of it aren't drawn. Defaults to the whole canvas
     */
-    draw(canvas, scale = 16) {
+    draw(canvas, scale = 16, area = { "x": 0, "y": 0, "w": canvas.element.width, "h": canvas.element.height }) {
+        const { minX, minY, maxX, maxY } = getCellsIn(
+            this.topology,
+            (area.x - this.pos.x) / scale, (area.y - this.pos.y) / scale,
+            (area.x + area.w - this.pos.x) / scale, (area.y + area.h - this.pos.y) / scale
+        );
+        const isVisible = (x, y) => x >= minX && x <= maxX && y >= minY && y <= maxY;
+
         const drawMap = (canvas, scale = 16) => {
             if (this.hasBoundary) {
                 const offset = this.showBounds ? 1 : 0;
-                for (let x = 0 - offset; x < this.size.x + offset; x++) {
-                    for (let y = 0 - offset; y < this.size.y + offset; y++) {
+                for (let x = Math.max(minX, 0 - offset); x <= Math.min(maxX, this.size.x - 1 + offset); x++) {
+                    for (let y = Math.max(minY, 0 - offset); y <= Math.min(maxY, this.size.y - 1 + offset); y++) {
                         const cell = this.getCell(x, y);
                         if (cell !== CELL_TYPES.EMPTY) {
-                            drawNodePair(canvas, [{ x, y }, cell], this.pos.x, this.pos.y, scale);
+                            drawNodePair(canvas, [{ x, y }, cell], this.pos.x, this.pos.y, scale, this.topology);
                         }
                     }
                 }
             } else {
-                this.mapToNodePairArray(true).forEach(
-                    nodePair => drawNodePair(canvas, nodePair, this.pos.x, this.pos.y, scale)
-                );
+                // Only the chunks in view are gone through, the World may have cells anywhere
+                this.map.getChunksIn(minX, minY, maxX, maxY).forEach(chunk => ChunkMap.forEachInChunk(chunk, (cell, x, y) => {
+                    if (cell !== CELL_TYPES.EMPTY && isVisible(x, y)) {
+                        drawNodePair(canvas, [{ x, y }, cell], this.pos.x, this.pos.y, scale, this.topology);
+                    }
+                }));
             }
         }
         
@@ -102,7 +234,11 @@ export class WorldMap {
                 this.internalFrameBuffer.isDirty = false;
             } else {
                 for (let i = 0; i < this.changedCells.length; i += 3) {
-                    drawNodePair(this.internalFrameBuffer, [{ x: this.changedCells[i + 1], y: this.changedCells[i + 2] }, this.changedCells[i]], this.pos.x, this.pos.y, scale);
+                    if (!isVisible(this.changedCells[i + 1], this.changedCells[i + 2])) { continue; }
+                    // Cells may be replaced by transparent ones, so the old one must be cleared first
+                    const pos = { x: this.changedCells[i + 1], y: this.changedCells[i + 2] };
+                    clearNode(this.internalFrameBuffer, pos, this.pos.x, this.pos.y, scale, this.topology);
+                    drawNodePair(this.internalFrameBuffer, [pos, this.changedCells[i]], this.pos.x, this.pos.y, scale, this.topology);
                 }
             }
 
@@ -115,13 +251,35 @@ export class WorldMap {
      * Clears the map
      */
     clearMap() {
-        this.map = new Map();
+        this.map = new ChunkMap();
+        this.terrain = new ChunkMap();
+        this.waypointOrder = new Map();
+        this.putWaypoints = 0;
+        this.redraw();
+    }
+
+    /**
+     * Makes the whole world be drawn again the next time it's drawn (e.g. after it was moved)
+     */
+    redraw() {
         if (this.internalFrameBuffer !== null) {
             this.internalFrameBuffer.clear();
             this.internalFrameBuffer.isDirty = true;
         }
     }
 
+    /**
+     * Replaces all cells of the specified types with the terrain under them (or empty ones)
+     * @param {Object<String, Boolean>} cellTypes - An Object containing the cell types to clear (e.g. SEARCH_CELL_TYPES)
+     */
+    clearCellTypes(cellTypes) {
+        this.map.forEach((cell, x, y) => {
+            if (cellTypes[cell]) {
+                this.putCell(this.getTerrain(x, y), x, y, true);
+            }
+        });
+    }
+
     /**
      * Creates an hollow rectangle of the specified cell on the map
      * @param {String} cell - The cell to fill the rectangle with
@@ -143,6 +301,23 @@ export class WorldMap {
         }
     }
     
+    /**
+     * Fills a rectangle with the specified cell
+     * @param {String} cell - The cell to fill the rectangle with
+     * @param {Number} x - The x pos of the rectangle
+     * @param {Number} y - The y pos of the rectangle
+     * @param {Number} w - The width of the rectangle
+     * @param {Number} h - The height of the rectangle
+     * @param {Boolean} [force] - Whether or not to replace permanent cells
+     */
+    fillRect(cell, x, y, w, h, force = false) {
+        for (let relX = 0; relX < w; relX++) {
+            for (let relY = 0; relY < h; relY++) {
+                this.putCell(cell, x + relX, y + relY, force);
+            }
+        }
+    }
+
     /**
      * Converts this.map to an Array of NodePairs
      * @param {Boolean} ignoreEmptyCells - Whether or not to include explicitly set empty cells on the returned array
@@ -150,24 +325,196 @@ export class WorldMap {
      */
     mapToNodePairArray(ignoreEmptyCells = true) {
         const mapArray = [];
-        for (const [x, col] of this.map) {
-            for (const [y, cell] of col) {
-                if (!ignoreEmptyCells || cell !== CELL_TYPES.EMPTY) {
-                    mapArray.push([
-                        new UMath.Vec2(x, y), cell
-                    ]);
-                }
+        this.map.forEach((cell, x, y) => {
+            if (!ignoreEmptyCells || cell !== CELL_TYPES.EMPTY) {
+                mapArray.push([
+                    new UMath.Vec2(x, y), cell
+                ]);
             }
-        }
+        });
         return mapArray;
     }
 
+    /**
+     * Converts this.map to a flat Array of (cell, x, y) triplets, the same format used by map_add_cells
+     * @param {Boolean} ignoreEmptyCells - Whether or not to include explicitly set empty cells on the returned array
+     * @returns {Array<String|Number>} The flattened map
+     */
+    mapToCellArray(ignoreEmptyCells = true) {
+        const cellArray = [];
+        this.map.forEach((cell, x, y) => {
+            if (!ignoreEmptyCells || cell !== CELL_TYPES.EMPTY) {
+                cellArray.push(cell, x, y);
+            }
+        });
+        return cellArray;
+    }
+
+    /**
+     * Converts the layout of the map (walls and terrain) to a flat Array of (cell, x, y) triplets,
+     * START, GOAL, waypoints and search cells are left out while the terrain under them is kept
+     * @returns {Array<String|Number>} The flattened layout
+     */
+    layoutToCellArray() {
+        const cellArray = [];
+        this.map.forEach((cell, x, y) => {
+            if (cell === CELL_TYPES.WALL) {
+                cellArray.push(cell, x, y);
+            }
+        });
+
+        this.terrain.forEach((cell, x, y) => cellArray.push(cell, x, y));
+        return cellArray;
+    }
+
+    /**
+     * Loads cells from a flat Array of (cell, x, y) triplets, ignoring cell permanence
+     * @param {Array<String|Number>} cellArray - The cells to load (see WorldMap#mapToCellArray)
+     */
+    loadCellArray(cellArray) {
+        for (let i = 0; i < cellArray.length; i += 3) {
+            const [ cell, x, y ] = [ cellArray[i], cellArray[i + 1], cellArray[i + 2] ];
+            this.updateWaypointOrder(this.map.get(x, y), cell, x, y);
+            this.map.set(x, y, cell);
+            this.updateTerrain(cell, x, y);
+        }
+
+        if (this.internalFrameBuffer !== null) {
+            this.internalFrameBuffer.isDirty = true;
+        }
+    }
+
+    /**
+     * Searches the map for all cells of the specified type
+     * @param {String} cell - The cell type to search for
+     * @returns {Array<UMath.Vec2>} The pos of all cells of the specified type
+     */
+    findCells(cell) {
+        const found = [];
+        this.map.forEach((currentCell, x, y) => {
+            if (currentCell === cell) {
+                found.push(new UMath.Vec2(x, y));
+            }
+        });
+        return found;
+    }
+
+    /**
+     * Returns the pos of all WAYPOINT cells within the world, in the order they were put
+     * @returns {Array<UMath.Vec2>} The pos of the waypoints
+     */
+    getWaypoints() {
+        return [ ...this.waypointOrder ]
+            .sort((a, b) => a[1] - b[1])
+            .map(([ key ]) => new UMath.Vec2(...unpairCoords(key)))
+            .filter(pos => this.isInBounds(pos.x, pos.y));
+    }
+
+    /**
+     * Returns the START and GOAL of each agent of multi-agent searches, by index (see AGENT_CELL_TYPES)
+     * @returns {Array<{ "start": UMath.Vec2|undefined, "goal": UMath.Vec2|undefined }>} The cells of the agents,
+     *  undefined for the ones that aren't within the world
+     */
+    getAgentCells() {
+        const agentCells = AGENT_CELL_TYPES.map(() => ({ "start": undefined, "goal": undefined }));
+        this.map.forEach((cell, x, y) => {
+            const i = AGENT_CELL_TYPES.findIndex(cellTypes => cellTypes.start === cell || cellTypes.goal === cell);
+            if (i !== -1 && this.isInBounds(x, y)) {
+                agentCells[i][AGENT_CELL_TYPES[i].start === cell ? "start" : "goal"] = new UMath.Vec2(x, y);
+            }
+        });
+        return agentCells;
+    }
+
+    /**
+     * Moves the cell on the first pos to the second one, leaving the terrain that was under it behind.
+     * Waypoints keep their place in the order they were put
+     * @param {Number} fromX - The x pos of the cell to move
+     * @param {Number} fromY - The y pos of the cell to move
+     * @param {Number} toX - The x pos to move the cell to
+     * @param {Number} toY - The y pos to move the cell to
+     */
+    moveCell(fromX, fromY, toX, toY) {
+        const cell = this.getCell(fromX, fromY);
+        const order = this.waypointOrder.get(pairCoords(fromX, fromY));
+
+        this.putCell(this.getTerrain(fromX, fromY), fromX, fromY, true);
+        this.putCell(cell, toX, toY, true);
+        if (order !== undefined) { this.waypointOrder.set(pairCoords(toX, toY), order); }
+    }
+
+    /**
+     * Checks if the specified pos is within the world's boundaries (always true if the world has none)
+     * @param {Number} x - The x pos to check
+     * @param {Number} y - The y pos to check
+     * @returns {Boolean} Whether or not the pos is within the world
+     */
+    isInBounds(x, y) {
+        return !this.hasBoundary || (x >= 0 && x < this.size.x && y >= 0 && y < this.size.y);
+    }
+
+    /**
+     * Returns the size of the whole World on the plane its cells are laid out on (see Topology.js)
+     * @returns {UMath.Vec2} The size of the World, measured in cells
+     */
+    getLayoutSize() {
+        return getLayoutSize(this.topology, this.size.x, this.size.y);
+    }
+
+    /**
+     * Returns the cell that is under the specified point of the plane the cells are laid out on (see Topology.js)
+     * @param {Number} x - The x pos of the point, measured in cells
+     * @param {Number} y - The y pos of the point, measured in cells
+     * @returns {UMath.Vec2} The pos of the cell
+     */
+    layoutToCell(x, y) {
+        return layoutToCell(this.topology, x, y);
+    }
+
+    /**
+     * Converts a pos to an unique integer, searches use it to index their bookkeeping
+     * @param {Number} x - The x pos of the cell
+     * @param {Number} y - The y pos of the cell
+     * @returns {Number} The index of the cell
+     */
+    cellToIndex(x, y) {
+        if (this.hasBoundary) { return x + y * this.size.x; }
+        return pairCoords(x, y);
+    }
+
+    /**
+     * Converts an index created by WorldMap#cellToIndex back to a pos
+     * @param {Number} index - The index of the cell
+     * @returns {UMath.Vec2} The pos of the cell
+     */
+    indexToCell(index) {
+        if (this.hasBoundary) { return new UMath.Vec2(index % this.size.x, Math.floor(index / this.size.x)); }
+        return new UMath.Vec2(...unpairCoords(index));
+    }
+
     /**
      * Picks a random pos within the world and returns it
+     * @param {() -> Number} [random] - The random number generator to use (see utils.createRandom)
      * @returns {UMath.Vec2} A random pos within the world
      */
-    pickRandomPos() {
-        return new UMath.Vec2(Math.floor(Math.random() * this.size.x), Math.floor(Math.random() * this.size.y));
+    pickRandomPos(random = Math.random) {
+        return new UMath.Vec2(Math.floor(random() * this.size.x), Math.floor(random() * this.size.y));
+    }
+
+    /**
+     * Picks a random empty pos within the world and returns it
+     * @param {() -> Number} [random] - The random number generator to use (see utils.createRandom)
+     * @param {Number} [maxTries] - How many random pos should be tried before giving up
+     * @returns {UMath.Vec2|undefined} A random empty pos within the world, undefined if none was found
+     */
+    pickRandomEmptyPos(random = Math.random, maxTries = this.size.x * this.size.y) {
+        for (let i = 0; i < maxTries; i++) {
+            const pos = this.pickRandomPos(random);
+            if (this.isCellType(CELL_TYPES.EMPTY, pos.x, pos.y)) {
+                return pos;
+            }
+        }
+        return undefined;
     }
 
     /**
@@ -175,14 +522,17 @@ export class WorldMap {
      * @param {String} cell - The cell to add
      * @param {Number} x - The x coord of the new cell
      * @param {Number} y - The y coord of the new cell
+     * @param {Boolean} [force] - Whether or not to replace permanent cells
      * @returns {String} The added cell
      */
-    putCell(cell = CELL_TYPES.WALL, x, y) {
+    putCell(cell = CELL_TYPES.WALL, x, y, force = false) {
         const selectedCell = this.getCell(x, y);
-        if (PERMANENT_CELL_TYPES[selectedCell]) { return selectedCell; }
+        // Cells outside of the World share their index with cells within it
+        if (!this.isInBounds(x, y) || (!force && PERMANENT_CELL_TYPES[selectedCell])) { return selectedCell; }
 
-        if (!this.map.has(x)) { this.map.set(x, new Map()); }
-        this.map.get(x).set(y, cell);
+        this.updateWaypointOrder(selectedCell, cell, x, y);
+        this.map.set(x, y, cell);
+        this.updateTerrain(cell, x, y);
         if (this.internalFrameBuffer !== null) {
             this.changedCells.push(cell, x, y);
         }
@@ -190,22 +540,76 @@ export class WorldMap {
     }
 
     /**
-     * Returns the cell that is on the specified point
+     * Updates the terrain layer after a cell was put on the map.
+     * Terrain cells are recorded, walls and empty cells remove the terrain, all other cells lie on top of it
+     * @param {String} cell - The cell that was put
      * @param {Number} x - The x pos of the cell
      * @param {Number} y - The y pos of the cell
-     * @returns {String} The cell at the specified point
      */
-    getCell(x, y) {
-        if (this.hasBoundary && (x < 0 || x >= this.size.x || y < 0 || y >= this.size.y)) { return CELL_TYPES.WALL; }
+    updateTerrain(cell, x, y) {
+        if (TERRAIN_CELL_TYPES[cell]) {
+            this.terrain.set(x, y, cell);
+        } else if (cell === CELL_TYPES.WALL || cell === CELL_TYPES.EMPTY) {
+            this.terrain.delete(x, y);
+        }
+    }
 
-        if (this.map.has(x)) {
-            const col = this.map.get(x);
-            if (col.has(y)) {
-                return col.get(y);
-            }
+    /**
+     * Updates the order of the waypoints before a cell is replaced, new waypoints come after all the other ones
+     * @param {String} oldCell - The cell that's being replaced
+     * @param {String} cell - The cell that replaces it
+     * @param {Number} x - The x pos of the cell
+     * @param {Number} y - The y pos of the cell
+     */
+    updateWaypointOrder(oldCell, cell, x, y) {
+        if (oldCell === CELL_TYPES.WAYPOINT && cell !== CELL_TYPES.WAYPOINT) {
+            this.waypointOrder.delete(pairCoords(x, y));
+        } else if (cell === CELL_TYPES.WAYPOINT && oldCell !== CELL_TYPES.WAYPOINT) {
+            this.waypointOrder.set(pairCoords(x, y), this.putWaypoints++);
         }
+    }
 
-        return CELL_TYPES.EMPTY;
+    /**
+     * Returns the terrain that is under the specified point
+     * @param {Number} x - The x pos of the terrain
+     * @param {Number} y - The y pos of the terrain
+     * @returns {String} The terrain cell type, EMPTY if there's no terrain
+     */
+    getTerrain(x, y) {
+        return this.terrain.get(x, y) ?? CELL_TYPES.EMPTY;
+    }
+
+    /**
+     * Returns the cost of moving into the specified cell
+     * @param {Number} x - The x pos of the cell
+     * @param {Number} y - The y pos of the cell
+     * @returns {Number} The traversal cost of the cell (1 if there's no terrain)
+     */
+    getCellCost(x, y) {
+        return this.terrainCosts[this.getTerrain(x, y)] ?? 1;
+    }
+
+    /**
+     * Checks whether or not there's terrain that doesn't cost 1 to move into, searches that ignore costs can't handle it
+     * @returns {Boolean} Whether or not some cell of the World costs more or less than 1
+     */
+    hasWeightedTerrain() {
+        if (Object.values(this.terrainCosts).every(cost => cost === 1)) { return false; }
+
+        let isWeighted = false;
+        this.terrain.forEach(cell => { isWeighted ||= (this.terrainCosts[cell] ?? 1) !== 1; });
+        return isWeighted;
+    }
+
+    /**
+     * Returns the cell that is on the specified point
+     * @param {Number} x - The x pos of the cell
+     * @param {Number} y - The y pos of the cell
+     * @returns {String} The cell at the specified point
+     */
+    getCell(x, y) {
+        if (!this.isInBounds(x, y)) { return CELL_TYPES.WALL; }
+        return this.map.get(x, y) ?? CELL_TYPES.EMPTY;
     }
 
     /**
@@ -230,17 +634,48 @@ export class WorldMap {
     }
 
     /**
-     * Searches all (non-solid) neighbours of the specified origin
+     * Checks if a diagonal move from the specified origin goes past walls in a way the corner cutting policy allows
      * @param {Number} x - The x pos of the origin
      * @param {Number} y - The y pos of the origin
-     * @param {Boolean} [diagonals] - Whether or not diagonals are valid neighbours
-     * @returns {Array<UMath.Vec2>} An array containing all pos of neighbours
+     * @param {Number} dx - The x direction of the move (either 1 or -1)
+     * @param {Number} dy - The y direction of the move (either 1 or -1)
+     * @returns {Boolean} Whether or not the move can be made (the destination isn't checked)
      */
-    getNeighbours(x, y, diagonals = false) {
+    canMoveDiagonally(x, y, dx, dy) {
+        const isSideASolid = this.isCellSolid(x + dx, y);
+        const isSideBSolid = this.isCellSolid(x, y + dy);
+        switch (this.cornerCutting) {
+            case CORNER_CUTTING_POLICIES.NO_SQUEEZING:
+                return !isSideASolid || !isSideBSolid;
+            case CORNER_CUTTING_POLICIES.NEVER:
+                return !isSideASolid && !isSideBSolid;
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * Returns all cells that share a side with the specified one, walls included
+     * @param {Number} x - The x pos of the cell
+     * @param {Number} y - The y pos of the cell
+     * @param {Boolean} [diagonals] - Whether or not squares that only share a corner are included (defaults to this.diagonals)
+     * @returns {Array<UMath.Vec2>} The pos of the adjacent cells
+     */
+    getAdjacentCells(x, y, diagonals = this.diagonals) {
         const origin = { x, y };
-        const neighbours = [];
-        
-        const possibleNeighbours = [
+        switch (this.topology) {
+            case TOPOLOGIES.HEX:
+                return HEX_OFFSETS.map(offset => UMath.Vec2.add(origin, offset));
+            case TOPOLOGIES.TRIANGLE:
+                // The third side of a triangle is its bottom if it points up, its top otherwise
+                return [
+                    UMath.Vec2.add(origin, { x:  1, y:  0 }),
+                    UMath.Vec2.add(origin, { x: -1, y:  0 }),
+                    UMath.Vec2.add(origin, { x:  0, y: isTrianglePointingUp(x, y) ? 1 : -1 })
+                ];
+        }
+
+        const adjacentCells = [
             UMath.Vec2.add(origin, { x:  1, y:  0 }),
             UMath.Vec2.add(origin, { x: -1, y:  0 }),
             UMath.Vec2.add(origin, { x:  0, y:  1 }),
@@ -248,15 +683,29 @@ export class WorldMap {
         ];
 
         if (diagonals) {
-            possibleNeighbours.push(UMath.Vec2.add(origin, { x:  1, y:  0 }));
-            possibleNeighbours.push(UMath.Vec2.add(origin, { x: -1, y:  0 }));
-            possibleNeighbours.push(UMath.Vec2.add(origin, { x:  0, y:  1 }));
-            possibleNeighbours.push(UMath.Vec2.add(origin, { x:  0, y: -1 }));
+            [ { x: 1, y: 1 }, { x: 1, y: -1 }, { x: -1, y: 1 }, { x: -1, y: -1 } ].forEach(
+                offset => adjacentCells.push(UMath.Vec2.add(origin, offset))
+            );
         }
-        
-        possibleNeighbours.forEach(
+        return adjacentCells;
+    }
+
+    /**
+     * Searches all (non-solid) neighbours of the specified origin
+     * @param {Number} x - The x pos of the origin
+     * @param {Number} y - The y pos of the origin
+     * @param {Boolean} [diagonals] - Whether or not diagonals are valid neighbours (defaults to this.diagonals)
+     * @returns {Array<UMath.Vec2>} An array containing all pos of neighbours
+     */
+    getNeighbours(x, y, diagonals = this.diagonals) {
+        const neighbours = [];
+
+        this.getAdjacentCells(x, y, diagonals).forEach(
             neighbour => {
-                if (!this.isCellSolid(neighbour.x, neighbour.y)) {
+                const [ dx, dy ] = [ neighbour.x - x, neighbour.y - y ];
+                // Only squares are adjacent to cells they share a corner with
+                const isDiagonal = this.topology === TOPOLOGIES.SQUARE && dx !== 0 && dy !== 0;
+                if (!this.isCellSolid(neighbour.x, neighbour.y) && (!isDiagonal || this.canMoveDiagonally(x, y, dx, dy))) {
                     neighbours.push(neighbour);
                 }
             }
@@ -264,6 +713,19 @@ export class WorldMap {
 
         return neighbours;
     }
+
+    /**
+     * Returns the distance between two adjacent cells, it's the length of the move between them
+     * @param {UMath.Vec2} from - The cell the move starts from
+     * @param {UMath.Vec2} to - The cell the move ends on
+     * @returns {Number} The distance between the centers of the cells, measured in moves between cells that share a side
+     */
+    getMoveDistance(from, to) {
+        // Hexes and triangles are all as far from the cells they share a side with
+        if (this.topology !== TOPOLOGIES.SQUARE) { return 1; }
+        // Euclidean distance makes diagonal moves cost sqrt(2)
+        return from.dist(to);
+    }
 }
 
 export class WorkerWorldMap extends WorldMap {
@@ -300,13 +762,31 @@ export class WorkerWorldMap extends WorldMap {
         this.cellQueue = [ ];
     }
 
-    putCell(cellType, x, y) {
-        const addedCell = super.putCell(cellType, x, y);
+    fillRect(cell, x, y, w, h, force = false) {
+        // Big rectangles would flood the page with messages if sent one cell at a time
+        const alwaysUpdate = this.alwaysUpdate;
+        this.alwaysUpdate = false;
+        super.fillRect(cell, x, y, w, h, force);
+        this.sendCellQueue();
+        this.alwaysUpdate = alwaysUpdate;
+    }
+
+    clearCellTypes(cellTypes) {
+        // The cleared cells are sent at once, like big rectangles
+        const alwaysUpdate = this.alwaysUpdate;
+        this.alwaysUpdate = false;
+        super.clearCellTypes(cellTypes);
+        this.sendCellQueue();
+        this.alwaysUpdate = alwaysUpdate;
+    }
+
+    putCell(cellType, x, y, force = false) {
+        const addedCell = super.putCell(cellType, x, y, force);
 
         if (this.alwaysUpdate) {
-            this.workerGlobal.postMessage([ "map_add_cells", cellType, x, y ]);
+            this.workerGlobal.postMessage([ "map_add_cells", addedCell, x, y ]);
         } else {
-            this.cellQueue.push(cellType, x, y);
+            this.cellQueue.push(addedCell, x, y);
             if (this.cellQueue.length >= this.maxCellQueue) {
                 this.sendCellQueue();
             }
@@ -0,0 +1,122 @@
+import { UMath } from "../wCanvas/wcanvas.js";
+import { WorldMap, CELL_TYPES } from "../WorldMap.js";
+import { SearchController, TIE_BREAKING_POLICIES } from "../SearchController.js";
+import { BinaryHeap } from "./BinaryHeap.js";
+import { createNodeComparator, visitCell, joinPaths, edgeWeigth } from "./searchUtils.js";
+import { createHeuristic } from "./heuristics.js";
+
+/** @typedef {import("./searchUtils.js").OpenSetNode} OpenSetNode */
+
+/**
+ * Creates the state of one of the two searches
+ * @param {WorldMap} worldMap - The World to search in
+ * @param {UMath.Vec2} origin - The node the search starts from
+ * @param {UMath.Vec2} target - The node the search is heading to
+ * @param {Boolean} isReverse - Whether or not the search goes from the goal to the start
+ * @param {(node: UMath.Vec2, goal: UMath.Vec2) -> Number} h - Calculates the cost to go from node to goal
+ * @param {TIE_BREAKING_POLICIES[0]} tieBreaking - How ties between nodes with the same priority are broken
+ */
+function createSearch(worldMap, origin, target, isReverse, h, tieBreaking) {
+    const originIndex = worldMap.cellToIndex(origin.x, origin.y);
+
+    /** @type {BinaryHeap<OpenSetNode>} */
+    const openSet = new BinaryHeap(createNodeComparator(tieBreaking));
+    const originH = h(origin, target);
+    openSet.push({ "node": origin, "index": originIndex, "f": originH, "g": 0, "h": originH, "order": 0 });
+
+    return {
+        "target": target,
+        "openSet": openSet,
+        "addedNodes": 1,
+        /** @type {Set<Number>} */
+        "closedSet": new Set(),
+        /** @type {Map<Number, Number>} */
+        "cameFrom": new Map(),
+        /** @type {Map<Number, Number>} */
+        "gScore": new Map([ [ originIndex, 0 ] ]),
+        "isReverse": isReverse
+    };
+}
+
+/**
+ * Removes outdated entries from the top of the open set of a search
+ * @param {ReturnType<createSearch>} search - The search to clean the open set of
+ * @returns {OpenSetNode|undefined} The node that will be expanded next
+ */
+function peekOpenSet(search) {
+    while (!search.openSet.isEmpty() && search.closedSet.has(search.openSet.peek().index)) {
+        search.openSet.pop();
+    }
+    return search.openSet.peek();
+}
+
+/**
+ * The Bidirectional AStar search algorithm, one AStar starts from the start and one from the goal (source: https://en.wikipedia.org/wiki/Bidirectional_search)
+ * @param {UMath.Vec2} start - The starting node
+ * @param {UMath.Vec2} goal - The goal
+ * @param {WorldMap} worldMap - The World to search in
+ * @param {SearchController} controller - Controls the pace of the search
+ * @param {(node: UMath.Vec2, goal: UMath.Vec2) -> Number} [h] - Calculates the cost to go from node to goal, defaults to the heuristic of the controller
+ * @param {(current: UMath.Vec2, next: UMath.Vec2, start: UMath.Vec2, goal: UMath.Vec2, worldMap: WorldMap) -> Number} [d] - Calculates the cost to go from current to next
+ * @returns {Array<UMath.Vec2>} The path from start to goal
+ */
+export async function BidirectionalAStar(
+    start, goal, worldMap, controller,
+    h = createHeuristic(controller.heuristic, controller.heuristicWeight), d = edgeWeigth
+) {
+
+    worldMap.putCell(CELL_TYPES.START, start.x, start.y);
+    worldMap.putCell(CELL_TYPES.GOAL, goal.x, goal.y);
+
+    const forward = createSearch(worldMap, start, goal, false, h, controller.tieBreaking);
+    const backward = createSearch(worldMap, goal, start, true, h, controller.tieBreaking);
+
+    /** The cost of the best path found so far */
+    let bestCost = start.x === goal.x && start.y === goal.y ? 0 : Number.POSITIVE_INFINITY;
+    /** The node where the two searches met on the best path */
+    let meeting = bestCost === 0 ? start : null;
+
+    while (peekOpenSet(forward) !== undefined && peekOpenSet(backward) !== undefined) {
+        // Every path that goes through an open node costs at least its fScore, so none of them can be cheaper
+        if (Math.max(peekOpenSet(forward).f, peekOpenSet(backward).f) >= bestCost) { break; }
+
+        const [ side, other ] = forward.openSet.size <= backward.openSet.size ? [ forward, backward ] : [ backward, forward ];
+
+        const { "node": current, "index": currentIndex } = side.openSet.pop();
+        side.closedSet.add(currentIndex);
+        await controller.beginStep(forward.openSet.size + backward.openSet.size);
+
+        const neighbours = worldMap.getNeighbours(current.x, current.y);
+        for (let i = 0; i < neighbours.length; i++) {
+            const neighbour = neighbours[i];
+            const neighbourIndex = worldMap.cellToIndex(neighbour.x, neighbour.y);
+            if (side.closedSet.has(neighbourIndex)) { continue; }
+
+            await visitCell(worldMap, neighbour, controller, side.isReverse);
+
+            // The backward search walks edges the other way around, so it pays for the cell it comes from
+            const edgeCost = side.isReverse ?
+                d(neighbour, current, start, goal, worldMap) :
+                d(current, neighbour, start, goal, worldMap);
+
+            const tentativeGScore = side.gScore.get(currentIndex) + edgeCost;
+            if (tentativeGScore < (side.gScore.get(neighbourIndex) ?? Number.POSITIVE_INFINITY)) {
+                side.cameFrom.set(neighbourIndex, currentIndex);
+                side.gScore.set(neighbourIndex, tentativeGScore);
+                const hScore = h(neighbour, side.target);
+                side.openSet.push({
+                    "node": neighbour, "index": neighbourIndex,
+                    "f": tentativeGScore + hScore, "g": tentativeGScore, "h": hScore, "order": side.addedNodes++
+                });
+
+                if (other.gScore.has(neighbourIndex) && tentativeGScore + other.gScore.get(neighbourIndex) < bestCost) {
+                    bestCost = tentativeGScore + other.gScore.get(neighbourIndex);
+                    meeting = neighbour;
+                }
+            }
+        }
+    }
+
+    if (meeting === null) { return []; }
+    return await joinPaths(forward.cameFrom, meeting, backward.cameFrom, meeting, worldMap, controller);
+}
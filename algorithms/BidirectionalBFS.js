@@ -0,0 +1,89 @@
+import { UMath } from "../wCanvas/wcanvas.js";
+import { WorldMap, CELL_TYPES } from "../WorldMap.js";
+import { SearchController } from "../SearchController.js";
+import { visitCell, joinPaths } from "./searchUtils.js";
+
+/**
+ * The Bidirectional Breadth-First search algorithm, it ignores terrain costs (source: https://en.wikipedia.org/wiki/Bidirectional_search)
+ * @param {UMath.Vec2} start - The starting node
+ * @param {UMath.Vec2} goal - The goal
+ * @param {WorldMap} worldMap - The World to search in
+ * @param {SearchController} controller - Controls the pace of the search
+ * @returns {Array<UMath.Vec2>} The path from start to goal
+ */
+export async function BidirectionalBFS(start, goal, worldMap, controller) {
+
+    worldMap.putCell(CELL_TYPES.START, start.x, start.y);
+    worldMap.putCell(CELL_TYPES.GOAL, goal.x, goal.y);
+
+    const forward = {
+        "frontier": [ start ],
+        /** @type {Map<Number, Number>} */
+        "cameFrom": new Map(),
+        /** @type {Map<Number, Number>} */
+        "depth": new Map([ [ worldMap.cellToIndex(start.x, start.y), 0 ] ]),
+        "isReverse": false
+    };
+
+    const backward = {
+        "frontier": [ goal ],
+        /** @type {Map<Number, Number>} */
+        "cameFrom": new Map(),
+        /** @type {Map<Number, Number>} */
+        "depth": new Map([ [ worldMap.cellToIndex(goal.x, goal.y), 0 ] ]),
+        "isReverse": true
+    };
+
+    if (start.x === goal.x && start.y === goal.y) {
+        return await joinPaths(forward.cameFrom, start, backward.cameFrom, goal, worldMap, controller);
+    }
+
+    while (forward.frontier.length > 0 && backward.frontier.length > 0) {
+        // The smallest frontier is expanded so that both searches do about the same amount of work
+        const [ side, other ] = forward.frontier.length <= backward.frontier.length ? [ forward, backward ] : [ backward, forward ];
+
+        /*
+            The whole layer is expanded even after the frontiers met,
+            a later node of the same layer may meet the other search at a lower depth
+        */
+        let meeting = null;
+        let meetingLength = Number.POSITIVE_INFINITY;
+        const nextFrontier = [ ];
+
+        for (const current of side.frontier) {
+            const currentIndex = worldMap.cellToIndex(current.x, current.y);
+            await controller.beginStep(side.frontier.length + nextFrontier.length + other.frontier.length);
+            const neighbours = worldMap.getNeighbours(current.x, current.y);
+
+            for (let i = 0; i < neighbours.length; i++) {
+                const neighbour = neighbours[i];
+                const neighbourIndex = worldMap.cellToIndex(neighbour.x, neighbour.y);
+
+                if (other.depth.has(neighbourIndex)) {
+                    const length = side.depth.get(currentIndex) + 1 + other.depth.get(neighbourIndex);
+                    if (length < meetingLength) {
+                        meetingLength = length;
+                        meeting = [ current, neighbour ];
+                    }
+                    continue;
+                }
+
+                if (side.depth.has(neighbourIndex)) { continue; }
+
+                side.depth.set(neighbourIndex, side.depth.get(currentIndex) + 1);
+                side.cameFrom.set(neighbourIndex, currentIndex);
+                await visitCell(worldMap, neighbour, controller, side.isReverse);
+                nextFrontier.push(neighbour);
+            }
+        }
+
+        if (meeting !== null) {
+            const [ forwardNode, backwardNode ] = side === forward ? meeting : meeting.reverse();
+            return await joinPaths(forward.cameFrom, forwardNode, backward.cameFrom, backwardNode, worldMap, controller);
+        }
+
+        side.frontier = nextFrontier;
+    }
+
+    return [];
+}
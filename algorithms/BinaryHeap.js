@@ -0,0 +1,78 @@
+/**
+ * A binary min-heap, used by searches as their open set
+ * @template T
+ */
+export class BinaryHeap {
+    /**
+     * @param {(a: T, b: T) -> Number} compare - Returns a negative number if a must be popped before b
+     */
+    constructor(compare) {
+        this.compare = compare;
+        /** @type {Array<T>} */
+        this.items = [ ];
+    }
+
+    /**
+     * The number of items in the heap
+     * @returns {Number}
+     */
+    get size() {
+        return this.items.length;
+    }
+
+    /**
+     * @returns {Boolean} Whether or not the heap is empty
+     */
+    isEmpty() {
+        return this.items.length === 0;
+    }
+
+    /**
+     * @returns {T|undefined} The item that would be popped next
+     */
+    peek() {
+        return this.items[0];
+    }
+
+    /**
+     * Adds an item to the heap
+     * @param {T} item - The item to add
+     */
+    push(item) {
+        this.items.push(item);
+
+        let i = this.items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (this.compare(this.items[i], this.items[parent]) >= 0) { break; }
+            [ this.items[i], this.items[parent] ] = [ this.items[parent], this.items[i] ];
+            i = parent;
+        }
+    }
+
+    /**
+     * Removes the first item from the heap
+     * @returns {T|undefined} The removed item
+     */
+    pop() {
+        const top = this.items[0];
+        const last = this.items.pop();
+        if (this.items.length === 0) { return top; }
+
+        this.items[0] = last;
+        let i = 0;
+        while (true) {
+            const left = i * 2 + 1;
+            const right = left + 1;
+            let smallest = i;
+            if (left < this.items.length && this.compare(this.items[left], this.items[smallest]) < 0) { smallest = left; }
+            if (right < this.items.length && this.compare(this.items[right], this.items[smallest]) < 0) { smallest = right; }
+            if (smallest === i) { break; }
+
+            [ this.items[i], this.items[smallest] ] = [ this.items[smallest], this.items[i] ];
+            i = smallest;
+        }
+
+        return top;
+    }
+}
@@ -0,0 +1,52 @@
+import { UMath } from "../wCanvas/wcanvas.js";
+import { WorldMap, CELL_TYPES } from "../WorldMap.js";
+import { SearchController } from "../SearchController.js";
+import { recostructPath, visitCell } from "./searchUtils.js";
+
+/**
+ * The Breadth-First search algorithm, it ignores terrain costs (source: https://en.wikipedia.org/wiki/Breadth-first_search)
+ * @param {UMath.Vec2} start - The starting node
+ * @param {UMath.Vec2} goal - The goal
+ * @param {WorldMap} worldMap - The World to search in
+ * @param {SearchController} controller - Controls the pace of the search
+ * @returns {Array<UMath.Vec2>} The path from start to goal
+ */
+export async function BreadthFirst(start, goal, worldMap, controller) {
+
+    worldMap.putCell(CELL_TYPES.START, start.x, start.y);
+    worldMap.putCell(CELL_TYPES.GOAL, goal.x, goal.y);
+
+    // Nodes are dequeued by moving the head forward, Array#shift would copy the whole queue
+    const queue = [ start ];
+    let queueHead = 0;
+
+    /**
+     * @type {Map<Number, Number>}
+     */
+    const cameFrom = new Map();
+    const visited = new Set([ worldMap.cellToIndex(start.x, start.y) ]);
+
+    while (queueHead < queue.length) {
+        const current = queue[queueHead++];
+        const currentIndex = worldMap.cellToIndex(current.x, current.y);
+        await controller.beginStep(queue.length - queueHead);
+
+        if (current.x === goal.x && current.y === goal.y) {
+            return await recostructPath(cameFrom, current, worldMap, controller);
+        }
+
+        const neighbours = worldMap.getNeighbours(current.x, current.y);
+        for (let i = 0; i < neighbours.length; i++) {
+            const neighbour = neighbours[i];
+            const neighbourIndex = worldMap.cellToIndex(neighbour.x, neighbour.y);
+            if (visited.has(neighbourIndex)) { continue; }
+
+            visited.add(neighbourIndex);
+            cameFrom.set(neighbourIndex, currentIndex);
+            await visitCell(worldMap, neighbour, controller);
+            queue.push(neighbour);
+        }
+    }
+
+    return [];
+}
@@ -0,0 +1,116 @@
+import { UMath } from "../wCanvas/wcanvas.js";
+import { WorldMap, CELL_TYPES } from "../WorldMap.js";
+import { SearchController } from "../SearchController.js";
+import { BinaryHeap } from "./BinaryHeap.js";
+import { findSpaceTimePath, findConflicts, getSumOfCosts } from "./spaceTime.js";
+
+/**
+ * @typedef {import("./spaceTime.js").Agent} Agent
+ * @typedef {import("./spaceTime.js").SpaceTimeRules} SpaceTimeRules
+ *
+ * @typedef {Object} Constraint - Forbids an agent from being on a cell or from making a move, cells are given by index (see WorldMap#cellToIndex)
+ * @property {Number} agent - The index of the agent
+ * @property {Number} index - The cell the agent can't be on, or the one it can't enter
+ * @property {Number} [fromIndex] - The cell the agent can't leave towards index, only vertex constraints are undefined
+ * @property {Number} time - When the agent can't be on the cell, or the end of the timestep it can't make the move during
+ *
+ * @typedef {Object} ConstraintNode - A node of the constraint tree
+ * @property {Array<Constraint>} constraints - The constraints of all agents
+ * @property {Array<Array<UMath.Vec2>>} paths - The fastest path of each agent that satisfies its constraints
+ * @property {Number} cost - The sum of costs of the paths
+ * @property {Number} conflicts - How many conflicts there are between the paths
+ * @property {Number} order - When the node was added to the open set
+ */
+
+/**
+ * Creates the rules the specified agent must follow to satisfy its constraints
+ * @param {Array<Constraint>} constraints - The constraints of all agents
+ * @param {Number} agent - The index of the agent
+ * @param {Number} goalIndex - The goal of the agent
+ * @returns {SpaceTimeRules} The rules of the agent
+ */
+function createConstraintRules(constraints, agent, goalIndex) {
+    /** @type {Set<String>} */
+    const blockedCells = new Set();
+    /** @type {Set<String>} */
+    const blockedMoves = new Set();
+    let [ goalFreeTime, lastChangeTime ] = [ 0, 0 ];
+
+    constraints.forEach(constraint => {
+        if (constraint.agent !== agent) { return; }
+        lastChangeTime = Math.max(lastChangeTime, constraint.time);
+        if (constraint.fromIndex !== undefined) {
+            blockedMoves.add(`${constraint.fromIndex}>${constraint.index}@${constraint.time}`);
+            return;
+        }
+
+        blockedCells.add(`${constraint.index}@${constraint.time}`);
+        if (constraint.index === goalIndex) { goalFreeTime = Math.max(goalFreeTime, constraint.time + 1); }
+    });
+
+    return {
+        "isCellBlocked": (index, time) => blockedCells.has(`${index}@${time}`),
+        "isMoveBlocked": (fromIndex, toIndex, time) => blockedMoves.has(`${fromIndex}>${toIndex}@${time}`),
+        "goalFreeTime": goalFreeTime,
+        "lastChangeTime": lastChangeTime
+    };
+}
+
+/**
+ * Conflict-Based Search (source: https://doi.org/10.1016/j.artint.2014.11.006).
+ * Agents plan on their own, then each conflict between two agents is solved by trying both ways of constraining one of them.
+ * It finds the paths with the lowest sum of costs, but it can't tell that there are none and keeps searching until cancelled
+ * @param {Array<Agent>} agents - The agents to search the paths of
+ * @param {WorldMap} worldMap - The World to search in
+ * @param {SearchController} controller - Controls the pace of the search
+ * @returns {Array<Array<UMath.Vec2>>} The path of each agent, all paths are empty if an agent can't reach its goal
+ */
+export async function ConflictBasedSearch(agents, worldMap, controller) {
+    const goalIndices = agents.map(agent => worldMap.cellToIndex(agent.goal.x, agent.goal.y));
+    const replan = (constraints, agent) => findSpaceTimePath(
+        agents[agent], worldMap, controller, createConstraintRules(constraints, agent, goalIndices[agent])
+    );
+
+    let addedNodes = 0;
+    /** @type {BinaryHeap<ConstraintNode>} */
+    const openSet = new BinaryHeap((a, b) => a.cost - b.cost || a.conflicts - b.conflicts || a.order - b.order);
+    /** @type {(constraints: Array<Constraint>, paths: Array<Array<UMath.Vec2>>) -> void} */
+    const addNode = (constraints, paths) => openSet.push({
+        "constraints": constraints, "paths": paths, "cost": getSumOfCosts(paths),
+        "conflicts": findConflicts(paths, worldMap).length, "order": addedNodes++
+    });
+
+    const rootPaths = [ ];
+    for (let i = 0; i < agents.length; i++) {
+        const path = await replan([ ], i);
+        if (path.length === 0) { return agents.map(() => [ ]); }
+        rootPaths.push(path);
+    }
+    addNode([ ], rootPaths);
+
+    while (!openSet.isEmpty()) {
+        controller.checkCancelled();
+        const node = openSet.pop();
+        const [ conflict ] = findConflicts(node.paths, worldMap);
+        if (conflict === undefined) { return node.paths; }
+
+        // Shows where the agents collided, the low-level searches draw over it
+        conflict.cells.forEach(cell => worldMap.putCell(CELL_TYPES.CONFLICT, cell.x, cell.y));
+        await controller.wait();
+
+        const cellIndices = conflict.cells.map(cell => worldMap.cellToIndex(cell.x, cell.y));
+        for (const [ side, agent ] of conflict.agents.entries()) {
+            // The second agent of edge conflicts makes the opposite move
+            const constraint = conflict.type === "vertex" ?
+                { "agent": agent, "index": cellIndices[0], "time": conflict.time } :
+                { "agent": agent, "index": cellIndices[1 - side], "fromIndex": cellIndices[side], "time": conflict.time };
+            const constraints = [ ...node.constraints, constraint ];
+
+            const path = await replan(constraints, agent);
+            if (path.length === 0) { continue; }
+            addNode(constraints, node.paths.map((oldPath, i) => i === agent ? path : oldPath));
+        }
+    }
+
+    return agents.map(() => [ ]);
+}
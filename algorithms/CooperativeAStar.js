@@ -0,0 +1,56 @@
+import { UMath } from "../wCanvas/wcanvas.js";
+import { WorldMap } from "../WorldMap.js";
+import { SearchController } from "../SearchController.js";
+import { findSpaceTimePath } from "./spaceTime.js";
+
+/** @typedef {import("./spaceTime.js").Agent} Agent */
+
+/**
+ * Cooperative A* (source: David Silver, "Cooperative Pathfinding", 2005).
+ * Agents plan one after the other, each one avoids the cells and moves reserved by the ones that planned before it.
+ * Its paths never conflict, but an agent may find no path because of the ones before it even if a solution exists
+ * @param {Array<Agent>} agents - The agents to search the paths of, in the order they plan in
+ * @param {WorldMap} worldMap - The World to search in
+ * @param {SearchController} controller - Controls the pace of the search
+ * @returns {Array<Array<UMath.Vec2>>} The path of each agent, empty for the ones that can't reach their goal
+ */
+export async function CooperativeAStar(agents, worldMap, controller) {
+    /** @type {Set<String>} The cells reserved at each time, as "index@time" */
+    const reservedCells = new Set();
+    /** @type {Set<String>} The moves reserved during each timestep, as "fromIndex>toIndex@time" */
+    const reservedMoves = new Set();
+    /** @type {Map<Number, Number>} The time each agent that planned before stays on its goal from */
+    const parkedSince = new Map();
+    /** @type {Map<Number, Number>} The last time each cell is reserved at */
+    const lastReservations = new Map();
+    let lastChangeTime = 0;
+
+    const paths = [ ];
+    for (const agent of agents) {
+        const goalIndex = worldMap.cellToIndex(agent.goal.x, agent.goal.y);
+        const path = await findSpaceTimePath(agent, worldMap, controller, {
+            "isCellBlocked": (index, time) => reservedCells.has(`${index}@${time}`) || parkedSince.get(index) <= time,
+            // Moving through an agent that moves the other way would swap their cells
+            "isMoveBlocked": (fromIndex, toIndex, time) => reservedMoves.has(`${toIndex}>${fromIndex}@${time}`),
+            "goalFreeTime": parkedSince.has(goalIndex) ? Number.POSITIVE_INFINITY : (lastReservations.get(goalIndex) ?? -1) + 1,
+            "lastChangeTime": lastChangeTime
+        });
+        paths.push(path);
+        // Agents without a path aren't in the way of the other ones
+        if (path.length === 0) { continue; }
+
+        path.forEach((cell, time) => {
+            const index = worldMap.cellToIndex(cell.x, cell.y);
+            reservedCells.add(`${index}@${time}`);
+            lastReservations.set(index, time);
+            if (time > 0) {
+                const from = path[time - 1];
+                reservedMoves.add(`${worldMap.cellToIndex(from.x, from.y)}>${index}@${time}`);
+            }
+        });
+        parkedSince.set(goalIndex, path.length - 1);
+        lastChangeTime = Math.max(lastChangeTime, path.length - 1);
+    }
+
+    return paths;
+}
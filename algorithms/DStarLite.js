@@ -0,0 +1,281 @@
+import { UMath } from "../wCanvas/wcanvas.js";
+import { WorldMap, CELL_TYPES } from "../WorldMap.js";
+import { SearchController } from "../SearchController.js";
+import { BinaryHeap } from "./BinaryHeap.js";
+import { edgeWeigth } from "./searchUtils.js";
+import { createHeuristic } from "./heuristics.js";
+
+/** @typedef {import("./searchUtils.js").OpenSetNode} OpenSetNode */
+
+/**
+ * Marks the specified cell to show what the planner did, the agent and the path it walked are never hidden
+ * @param {WorldMap} worldMap - The World the cell is in
+ * @param {String} cell - The cell to mark it with
+ * @param {UMath.Vec2} node - The pos of the cell
+ */
+function markCell(worldMap, cell, node) {
+    const current = worldMap.getCell(node.x, node.y);
+    if (current !== CELL_TYPES.AGENT && current !== CELL_TYPES.WALKED) {
+        worldMap.putCell(cell, node.x, node.y);
+    }
+}
+
+/**
+ * The D* Lite incremental planner, it searches from the goal to the start so that the costs it found stay valid
+ * while the start moves. When walls change only the nodes whose cost changed are expanded again
+ * (source: http://idm-lab.org/bib/abstracts/papers/aaai02b.pdf)
+ */
+export class DStarLitePlanner {
+    /**
+     * @param {WorldMap} worldMap - The World to plan in
+     * @param {UMath.Vec2} goal - The goal
+     * @param {SearchController} controller - Controls the pace of the planner
+     */
+    constructor(worldMap, goal, controller) {
+        this.worldMap = worldMap;
+        this.goal = goal;
+        this.controller = controller;
+        this.h = createHeuristic(controller.heuristic, controller.heuristicWeight);
+
+        /** The pos the path is planned from, undefined until the first plan */
+        this.start = undefined;
+        /** How much the keys of the nodes in the open set are underestimated since the start moved */
+        this.km = 0;
+        /** Whether or not the planner already planned once, later expansions are marked as re-expansions */
+        this.hasPlanned = false;
+
+        /**
+         * The cost from each node to the goal
+         * @type {Map<Number, Number>}
+         */
+        this.g = new Map();
+        /**
+         * The cost from each node to the goal, looking one move ahead (see DStarLitePlanner#updateVertex)
+         * @type {Map<Number, Number>}
+         */
+        this.rhs = new Map();
+
+        /*
+            Nodes aren't updated within the open set when their key changes, they're added again.
+            openKeys holds the current entry of each node that's in the open set, the other entries are skipped once popped
+        */
+        this.addedNodes = 0;
+        /** @type {Map<Number, OpenSetNode>} */
+        this.openKeys = new Map();
+        /** @type {BinaryHeap<OpenSetNode>} */
+        this.openSet = new BinaryHeap((a, b) => this.compareKeys(a, b) || controller.tieBreaking.compare(a, b));
+
+        const goalIndex = worldMap.cellToIndex(goal.x, goal.y);
+        this.rhs.set(goalIndex, 0);
+        const goalEntry = { "node": goal, "index": goalIndex, "f": 0, "g": 0, "h": 0, "order": this.addedNodes++ };
+        this.openKeys.set(goalIndex, goalEntry);
+        this.openSet.push(goalEntry);
+    }
+
+    /**
+     * Compares the keys of two nodes, keys are compared by f and then by g
+     * @param {{ "f": Number, "g": Number }} a - The key of the first node
+     * @param {{ "f": Number, "g": Number }} b - The key of the second node
+     * @returns {Number} A negative number if a comes first, 0 if the keys are equal
+     */
+    compareKeys(a, b) {
+        // Infinite keys would make their difference NaN
+        if (a.f !== b.f) { return a.f < b.f ? -1 : 1; }
+        if (a.g !== b.g) { return a.g < b.g ? -1 : 1; }
+        return 0;
+    }
+
+    /**
+     * Returns the open set entry the specified node would have, the key of the node is made of f and g
+     * @param {UMath.Vec2} node - The node
+     * @param {Number} index - The index of the node
+     * @returns {OpenSetNode} The entry
+     */
+    calculateKey(node, index) {
+        const g = Math.min(this.g.get(index) ?? Number.POSITIVE_INFINITY, this.rhs.get(index) ?? Number.POSITIVE_INFINITY);
+        const h = this.h(this.start, node);
+        return { "node": node, "index": index, "f": g + h + this.km, "g": g, "h": h, "order": this.addedNodes++ };
+    }
+
+    /**
+     * Returns the entry of the open set that would be popped next, outdated entries are dropped
+     * @returns {OpenSetNode|undefined} The entry, undefined if the open set is empty
+     */
+    peekOpenSet() {
+        while (!this.openSet.isEmpty()) {
+            const entry = this.openSet.peek();
+            if (this.openKeys.get(entry.index) === entry) { return entry; }
+            this.openSet.pop();
+        }
+        return undefined;
+    }
+
+    /**
+     * Recalculates the cost of the specified node from its neighbours, adding it to the open set if it changed
+     * @param {UMath.Vec2} node - The node to update
+     */
+    async updateVertex(node) {
+        const { worldMap } = this;
+        const index = worldMap.cellToIndex(node.x, node.y);
+
+        if (node.x !== this.goal.x || node.y !== this.goal.y) {
+            let rhs = Number.POSITIVE_INFINITY;
+            if (!worldMap.isCellSolid(node.x, node.y)) {
+                const neighbours = worldMap.getNeighbours(node.x, node.y);
+                for (let i = 0; i < neighbours.length; i++) {
+                    const neighbour = neighbours[i];
+                    const g = this.g.get(worldMap.cellToIndex(neighbour.x, neighbour.y)) ?? Number.POSITIVE_INFINITY;
+                    rhs = Math.min(rhs, g + edgeWeigth(node, neighbour, this.start, this.goal, worldMap));
+                }
+            }
+            this.rhs.set(index, rhs);
+        }
+
+        this.openKeys.delete(index);
+        if ((this.g.get(index) ?? Number.POSITIVE_INFINITY) !== (this.rhs.get(index) ?? Number.POSITIVE_INFINITY)) {
+            const entry = this.calculateKey(node, index);
+            this.openKeys.set(index, entry);
+            this.openSet.push(entry);
+
+            this.controller.stats.generated++;
+            markCell(worldMap, CELL_TYPES.CALCULATING, node);
+            await this.controller.wait();
+        }
+    }
+
+    /**
+     * Updates the nodes that can move into the specified node
+     * @param {UMath.Vec2} node - The node
+     */
+    async updatePredecessors(node) {
+        // Moves are symmetric, so the cells node can move to are also the ones that can move into it
+        const neighbours = this.worldMap.getNeighbours(node.x, node.y);
+        for (let i = 0; i < neighbours.length; i++) {
+            await this.updateVertex(neighbours[i]);
+        }
+    }
+
+    /**
+     * Expands nodes until the cost from the start to the goal is known
+     */
+    async computeShortestPath() {
+        const { worldMap } = this;
+        const startIndex = worldMap.cellToIndex(this.start.x, this.start.y);
+
+        while (true) {
+            const top = this.peekOpenSet();
+            const startRhs = this.rhs.get(startIndex) ?? Number.POSITIVE_INFINITY;
+            const startG = this.g.get(startIndex) ?? Number.POSITIVE_INFINITY;
+            if (top === undefined || (this.compareKeys(top, this.calculateKey(this.start, startIndex)) >= 0 && startRhs === startG)) {
+                return;
+            }
+
+            this.openSet.pop();
+            const { node, index } = top;
+            // The key was calculated before the start moved
+            const key = this.calculateKey(node, index);
+            if (this.compareKeys(top, key) < 0) {
+                this.openKeys.set(index, key);
+                this.openSet.push(key);
+                continue;
+            }
+
+            await this.controller.beginStep(this.openKeys.size);
+            this.openKeys.delete(index);
+            markCell(worldMap, this.hasPlanned ? CELL_TYPES.REEXPANDED : CELL_TYPES.CALCULATED, node);
+
+            const g = this.g.get(index) ?? Number.POSITIVE_INFINITY;
+            const rhs = this.rhs.get(index) ?? Number.POSITIVE_INFINITY;
+            if (g > rhs) {
+                this.g.set(index, rhs);
+            } else {
+                this.g.set(index, Number.POSITIVE_INFINITY);
+                await this.updateVertex(node);
+            }
+            await this.updatePredecessors(node);
+        }
+    }
+
+    /**
+     * Moves the start to the specified pos, the nodes in the open set keep their keys (km makes up for them)
+     * @param {UMath.Vec2} start - The new start
+     */
+    moveStart(start) {
+        if (this.start !== undefined) { this.km += this.h(this.start, start); }
+        this.start = start;
+    }
+
+    /**
+     * Makes the planner take into account walls that appeared or disappeared on the specified cells
+     * @param {Array<UMath.Vec2>} cells - The cells that changed
+     * @param {UMath.Vec2} start - Where the path will be planned from
+     */
+    async update(cells, start) {
+        this.moveStart(start);
+        for (const cell of cells) {
+            // Walls that appear or disappear can change the moves of all cells next to them (corners included)
+            const affectedCells = [ cell, ...this.worldMap.getAdjacentCells(cell.x, cell.y, true) ];
+            for (const affectedCell of affectedCells) {
+                // Cells outside of the World share their index with cells within it
+                if (this.worldMap.isInBounds(affectedCell.x, affectedCell.y)) { await this.updateVertex(affectedCell); }
+            }
+        }
+    }
+
+    /**
+     * Plans the path from the specified start to the goal, drawing it
+     * @param {UMath.Vec2} start - Where the path starts
+     * @returns {Promise<Array<UMath.Vec2>>} The path from start to goal, empty if there's none
+     */
+    async plan(start) {
+        this.moveStart(start);
+        await this.computeShortestPath();
+        this.hasPlanned = true;
+
+        const { worldMap } = this;
+        const path = [ start ];
+        let current = start;
+        // Each step goes to the neighbour the goal is cheapest from, a path never has more nodes than the known costs
+        while ((current.x !== this.goal.x || current.y !== this.goal.y) && path.length <= this.g.size) {
+            let next = undefined;
+            let nextCost = Number.POSITIVE_INFINITY;
+            const neighbours = worldMap.getNeighbours(current.x, current.y);
+            for (let i = 0; i < neighbours.length; i++) {
+                const neighbour = neighbours[i];
+                const g = this.g.get(worldMap.cellToIndex(neighbour.x, neighbour.y)) ?? Number.POSITIVE_INFINITY;
+                const cost = g + edgeWeigth(current, neighbour, start, this.goal, worldMap);
+                if (cost < nextCost) {
+                    next = neighbour;
+                    nextCost = cost;
+                }
+            }
+
+            if (next === undefined) { return [ ]; }
+            path.push(next);
+            current = next;
+        }
+        if (current.x !== this.goal.x || current.y !== this.goal.y) { return [ ]; }
+
+        for (const node of path) {
+            await this.controller.wait();
+            markCell(worldMap, CELL_TYPES.PATH, node);
+        }
+        return path;
+    }
+}
+
+/**
+ * The D* Lite search algorithm, planning once (see DStarLitePlanner)
+ * @param {UMath.Vec2} start - The starting node
+ * @param {UMath.Vec2} goal - The goal
+ * @param {WorldMap} worldMap - The World to search in
+ * @param {SearchController} controller - Controls the pace of the search
+ * @returns {Array<UMath.Vec2>} The path from start to goal
+ */
+export async function DStarLite(start, goal, worldMap, controller) {
+
+    worldMap.putCell(CELL_TYPES.START, start.x, start.y);
+    worldMap.putCell(CELL_TYPES.GOAL, goal.x, goal.y);
+
+    return await new DStarLitePlanner(worldMap, goal, controller).plan(start);
+}
@@ -0,0 +1,52 @@
+import { UMath } from "../wCanvas/wcanvas.js";
+import { WorldMap, CELL_TYPES } from "../WorldMap.js";
+import { SearchController } from "../SearchController.js";
+import { recostructPath, visitCell } from "./searchUtils.js";
+
+/**
+ * The Depth-First search algorithm, the path it finds is rarely the shortest one (source: https://en.wikipedia.org/wiki/Depth-first_search)
+ * @param {UMath.Vec2} start - The starting node
+ * @param {UMath.Vec2} goal - The goal
+ * @param {WorldMap} worldMap - The World to search in
+ * @param {SearchController} controller - Controls the pace of the search
+ * @returns {Array<UMath.Vec2>} The path from start to goal
+ */
+export async function DepthFirst(start, goal, worldMap, controller) {
+
+    worldMap.putCell(CELL_TYPES.START, start.x, start.y);
+    worldMap.putCell(CELL_TYPES.GOAL, goal.x, goal.y);
+
+    const stack = [ start ];
+
+    /**
+     * The last node that pushed each node is also the one that pops it first
+     * @type {Map<Number, Number>}
+     */
+    const cameFrom = new Map();
+    const visited = new Set();
+
+    while (stack.length > 0) {
+        const current = stack.pop();
+        const currentIndex = worldMap.cellToIndex(current.x, current.y);
+        if (visited.has(currentIndex)) { continue; }
+        visited.add(currentIndex);
+        await controller.beginStep(stack.length);
+
+        if (current.x === goal.x && current.y === goal.y) {
+            return await recostructPath(cameFrom, current, worldMap, controller);
+        }
+
+        const neighbours = worldMap.getNeighbours(current.x, current.y);
+        for (let i = 0; i < neighbours.length; i++) {
+            const neighbour = neighbours[i];
+            const neighbourIndex = worldMap.cellToIndex(neighbour.x, neighbour.y);
+            if (visited.has(neighbourIndex)) { continue; }
+
+            cameFrom.set(neighbourIndex, currentIndex);
+            await visitCell(worldMap, neighbour, controller);
+            stack.push(neighbour);
+        }
+    }
+
+    return [];
+}
@@ -6,9 +6,10 @@ import { AStar } from "./AStar.js";
  * @param {UMath.Vec2} start - The starting node
  * @param {UMath.Vec2} goal - The goal
  * @param {WorldMap} worldMap - The World to search in
- * @param {Number} [actionDelay] - Delay between actions
+ * @param {SearchController} controller - Controls the pace of the search
  * @returns {Array<UMath.Vec2>} The path from start to goal
  */
-export async function Dijkstra(start, goal, worldMap, actionDelay) {
-    return await AStar(start, goal, worldMap, actionDelay, () => 0, (c, n) => c.distSq(n));
+export async function Dijkstra(start, goal, worldMap, controller) {
+    // Without an heuristic AStar only looks at the cost of the path (terrain included)
+    return await AStar(start, goal, worldMap, controller, () => 0);
 }
@@ -0,0 +1,75 @@
+import { UMath } from "../wCanvas/wcanvas.js";
+import { WorldMap, CELL_TYPES } from "../WorldMap.js";
+import { SearchController } from "../SearchController.js";
+import { BinaryHeap } from "./BinaryHeap.js";
+import { createNodeComparator, recostructPath, visitCell, edgeWeigth } from "./searchUtils.js";
+import { createHeuristic } from "./heuristics.js";
+
+/** @typedef {import("./searchUtils.js").OpenSetNode} OpenSetNode */
+
+/**
+ * The Greedy Best-First search algorithm, it only looks at the heuristic (source: https://en.wikipedia.org/wiki/Best-first_search#Greedy_BFS)
+ * @param {UMath.Vec2} start - The starting node
+ * @param {UMath.Vec2} goal - The goal
+ * @param {WorldMap} worldMap - The World to search in
+ * @param {SearchController} controller - Controls the pace of the search
+ * @param {(node: UMath.Vec2, goal: UMath.Vec2) -> Number} [h] - Calculates the cost to go from node to goal, defaults to the heuristic of the controller
+ * @returns {Array<UMath.Vec2>} The path from start to goal
+ */
+export async function GreedyBestFirst(
+    start, goal, worldMap, controller,
+    h = createHeuristic(controller.heuristic, controller.heuristicWeight)
+) {
+
+    worldMap.putCell(CELL_TYPES.START, start.x, start.y);
+    worldMap.putCell(CELL_TYPES.GOAL, goal.x, goal.y);
+
+    const startIndex = worldMap.cellToIndex(start.x, start.y);
+    const goalIndex = worldMap.cellToIndex(goal.x, goal.y);
+
+    let addedNodes = 0;
+    /** @type {BinaryHeap<OpenSetNode>} */
+    const openSet = new BinaryHeap(createNodeComparator(controller.tieBreaking));
+    const startH = h(start, goal);
+    openSet.push({ "node": start, "index": startIndex, "f": startH, "g": 0, "h": startH, "order": addedNodes++ });
+
+    /**
+     * @type {Map<Number, Number>}
+     */
+    const cameFrom = new Map();
+
+    /**
+     * Nodes are never reopened, the first node that reaches another one is its parent
+     * @type {Set<Number>}
+     */
+    const reached = new Set([ startIndex ]);
+
+    while (!openSet.isEmpty()) {
+        const { "node": current, "index": currentIndex, "g": currentG } = openSet.pop();
+        await controller.beginStep(openSet.size);
+
+        if (currentIndex === goalIndex) {
+            return await recostructPath(cameFrom, current, worldMap, controller);
+        }
+
+        const neighbours = worldMap.getNeighbours(current.x, current.y);
+        for (let i = 0; i < neighbours.length; i++) {
+            const neighbour = neighbours[i];
+            const neighbourIndex = worldMap.cellToIndex(neighbour.x, neighbour.y);
+            if (reached.has(neighbourIndex)) { continue; }
+
+            await visitCell(worldMap, neighbour, controller);
+
+            reached.add(neighbourIndex);
+            cameFrom.set(neighbourIndex, currentIndex);
+            // The cost of the path is only tracked to break ties, it doesn't change the order nodes are expanded in
+            const hScore = h(neighbour, goal);
+            openSet.push({
+                "node": neighbour, "index": neighbourIndex,
+                "f": hScore, "g": currentG + edgeWeigth(current, neighbour, start, goal, worldMap), "h": hScore, "order": addedNodes++
+            });
+        }
+    }
+
+    return [];
+}
@@ -0,0 +1,317 @@
+import { UMath } from "../wCanvas/wcanvas.js";
+import { SearchController } from "../SearchController.js";
+import { WorldMap, CELL_TYPES, SEARCH_CELL_TYPES, CORNER_CUTTING_POLICIES } from "../WorldMap.js";
+import { TOPOLOGIES } from "../Topology.js";
+import { BinaryHeap } from "./BinaryHeap.js";
+import { AStar } from "./AStar.js";
+import { createNodeComparator, visitCell } from "./searchUtils.js";
+import { createHeuristic } from "./heuristics.js";
+
+/** @typedef {import("./searchUtils.js").OpenSetNode} OpenSetNode */
+
+/*
+    Pruning rules and forced neighbours depend on how diagonal moves can be made,
+    each corner cutting policy (and 4-connected movement) has its own set of them.
+    (source: https://github.com/qiao/PathFinding.js/tree/master/src/finders)
+*/
+
+/**
+ * Holds everything the jump and pruning functions need to know about the current search
+ * @typedef {Object} JumpContext
+ * @property {WorldMap} worldMap - The World the search is in
+ * @property {UMath.Vec2} goal - The goal
+ * @property {(x: Number, y: Number) -> Boolean} isWalkable - Checks if the specified cell isn't solid
+ * @property {{ "minX": Number, "minY": Number, "maxX": Number, "maxY": Number }|null} bounds - The region jumps can't leave
+ *  on Worlds without boundaries, null if the World has boundaries
+ */
+
+/**
+ * Returns the region that contains all walls, start and goal plus a margin of one cell.
+ * Jumps that leave it can't find jump points anymore: the cells around them are all empty and they never come back
+ * @param {WorldMap} worldMap - The World the search is in
+ * @param {UMath.Vec2} start - The starting node
+ * @param {UMath.Vec2} goal - The goal
+ * @returns {{ "minX": Number, "minY": Number, "maxX": Number, "maxY": Number }} The region
+ */
+function getJumpBounds(worldMap, start, goal) {
+    const bounds = {
+        "minX": Math.min(start.x, goal.x), "minY": Math.min(start.y, goal.y),
+        "maxX": Math.max(start.x, goal.x), "maxY": Math.max(start.y, goal.y)
+    };
+
+    worldMap.findCells(CELL_TYPES.WALL).forEach(wall => {
+        bounds.minX = Math.min(bounds.minX, wall.x);
+        bounds.minY = Math.min(bounds.minY, wall.y);
+        bounds.maxX = Math.max(bounds.maxX, wall.x);
+        bounds.maxY = Math.max(bounds.maxY, wall.y);
+    });
+
+    bounds.minX--;
+    bounds.minY--;
+    bounds.maxX++;
+    bounds.maxY++;
+    return bounds;
+}
+
+/**
+ * Marks the specified cell as scanned by a jump, unless a search already left something on it
+ * @param {JumpContext} ctx - The context of the current search
+ * @param {Number} x - The x pos of the cell
+ * @param {Number} y - The y pos of the cell
+ */
+function scanCell(ctx, x, y) {
+    if (!SEARCH_CELL_TYPES[ctx.worldMap.getCell(x, y)]) {
+        ctx.worldMap.putCell(CELL_TYPES.SCANNED, x, y);
+    }
+}
+
+/**
+ * Moves from the specified cell in the specified direction until a jump point is found
+ * @param {JumpContext} ctx - The context of the current search
+ * @param {Number} x - The x pos of the first cell to check
+ * @param {Number} y - The y pos of the first cell to check
+ * @param {Number} dx - The x direction of the jump (-1, 0 or 1)
+ * @param {Number} dy - The y direction of the jump (-1, 0 or 1)
+ * @returns {UMath.Vec2|null} The jump point, null if a wall was hit or the jump left its bounds
+ */
+function jump(ctx, x, y, dx, dy) {
+    const { worldMap, goal, isWalkable, bounds } = ctx;
+    const isCornerCutting = worldMap.diagonals && worldMap.cornerCutting !== CORNER_CUTTING_POLICIES.NEVER;
+
+    while (isWalkable(x, y)) {
+        // Without walls to stop it, the jump would go on forever
+        if (bounds !== null && (x < bounds.minX || y < bounds.minY || x > bounds.maxX || y > bounds.maxY)) { return null; }
+
+        scanCell(ctx, x, y);
+        if (x === goal.x && y === goal.y) { return new UMath.Vec2(x, y); }
+
+        if (dx !== 0 && dy !== 0) {
+            if (isCornerCutting && (
+                (isWalkable(x - dx, y + dy) && !isWalkable(x - dx, y)) ||
+                (isWalkable(x + dx, y - dy) && !isWalkable(x, y - dy))
+            )) { return new UMath.Vec2(x, y); }
+
+            // When moving diagonally, horizontal and vertical jump points must be checked
+            if (jump(ctx, x + dx, y, dx, 0) !== null || jump(ctx, x, y + dy, 0, dy) !== null) {
+                return new UMath.Vec2(x, y);
+            }
+
+            if (!worldMap.canMoveDiagonally(x, y, dx, dy)) { return null; }
+        } else if (dx !== 0) {
+            if (isCornerCutting ? (
+                (isWalkable(x + dx, y + 1) && !isWalkable(x, y + 1)) ||
+                (isWalkable(x + dx, y - 1) && !isWalkable(x, y - 1))
+            ) : (
+                (isWalkable(x, y - 1) && !isWalkable(x - dx, y - 1)) ||
+                (isWalkable(x, y + 1) && !isWalkable(x - dx, y + 1))
+            )) { return new UMath.Vec2(x, y); }
+        } else {
+            if (isCornerCutting ? (
+                (isWalkable(x + 1, y + dy) && !isWalkable(x + 1, y)) ||
+                (isWalkable(x - 1, y + dy) && !isWalkable(x - 1, y))
+            ) : (
+                (isWalkable(x - 1, y) && !isWalkable(x - 1, y - dy)) ||
+                (isWalkable(x + 1, y) && !isWalkable(x + 1, y - dy))
+            )) { return new UMath.Vec2(x, y); }
+
+            // Without diagonals, turning is only possible at jump points, so vertical moves must check horizontal ones
+            if (!worldMap.diagonals && (jump(ctx, x + 1, y, 1, 0) !== null || jump(ctx, x - 1, y, -1, 0) !== null)) {
+                return new UMath.Vec2(x, y);
+            }
+        }
+
+        x += dx;
+        y += dy;
+    }
+
+    return null;
+}
+
+/**
+ * Returns the directions that are worth jumping towards from the specified node
+ * @param {JumpContext} ctx - The context of the current search
+ * @param {UMath.Vec2} node - The node to prune the neighbours of
+ * @param {UMath.Vec2} [parent] - The jump point the node was reached from
+ * @returns {Array<{ x: Number, y: Number }>} The directions of all pruned neighbours
+ */
+function prunedDirections(ctx, node, parent) {
+    const { worldMap, isWalkable } = ctx;
+    const { x, y } = node;
+
+    if (parent === undefined) {
+        return worldMap.getNeighbours(x, y).map(neighbour => ({ x: neighbour.x - x, y: neighbour.y - y }));
+    }
+
+    const dx = Math.sign(x - parent.x);
+    const dy = Math.sign(y - parent.y);
+    const directions = [ ];
+
+    if (!worldMap.diagonals) {
+        if (dx !== 0) {
+            directions.push({ x: 0, y: -1 }, { x: 0, y: 1 }, { x: dx, y: 0 });
+        } else {
+            directions.push({ x: -1, y: 0 }, { x: 1, y: 0 }, { x: 0, y: dy });
+        }
+        return directions;
+    }
+
+    switch (worldMap.cornerCutting) {
+        case CORNER_CUTTING_POLICIES.NEVER: {
+            if (dx !== 0 && dy !== 0) {
+                directions.push({ x: 0, y: dy }, { x: dx, y: 0 }, { x: dx, y: dy });
+            } else if (dx !== 0) {
+                directions.push({ x: dx, y: 0 }, { x: dx, y: 1 }, { x: dx, y: -1 }, { x: 0, y: 1 }, { x: 0, y: -1 });
+            } else {
+                directions.push({ x: 0, y: dy }, { x: 1, y: dy }, { x: -1, y: dy }, { x: 1, y: 0 }, { x: -1, y: 0 });
+            }
+            break;
+        }
+        default: {
+            if (dx !== 0 && dy !== 0) {
+                directions.push({ x: 0, y: dy }, { x: dx, y: 0 }, { x: dx, y: dy });
+                if (!isWalkable(x - dx, y)) { directions.push({ x: -dx, y: dy }); }
+                if (!isWalkable(x, y - dy)) { directions.push({ x: dx, y: -dy }); }
+            } else if (dx !== 0) {
+                directions.push({ x: dx, y: 0 });
+                if (!isWalkable(x, y + 1)) { directions.push({ x: dx, y: 1 }); }
+                if (!isWalkable(x, y - 1)) { directions.push({ x: dx, y: -1 }); }
+            } else {
+                directions.push({ x: 0, y: dy });
+                if (!isWalkable(x + 1, y)) { directions.push({ x: 1, y: dy }); }
+                if (!isWalkable(x - 1, y)) { directions.push({ x: -1, y: dy }); }
+            }
+        }
+    }
+
+    // Diagonal moves must still respect the corner cutting policy
+    return directions.filter(
+        direction => direction.x === 0 || direction.y === 0 || worldMap.canMoveDiagonally(x, y, direction.x, direction.y)
+    );
+}
+
+/**
+ * Returns the path that goes through all the specified jump points, drawing it
+ * @param {Map<Number, Number>} cameFrom - The Map which contains the index of the previous jump point of each jump point
+ * @param {UMath.Vec2} node - The last jump point of the path
+ * @param {WorldMap} worldMap - The World the path is in
+ * @param {SearchController} controller - Controls the pace of the search
+ * @returns {Array<UMath.Vec2>} The path from the start to node
+ */
+async function recostructJumpPath(cameFrom, node, worldMap, controller) {
+    const path = [ node ];
+    worldMap.putCell(CELL_TYPES.PATH, node.x, node.y);
+
+    let current = node;
+    let currentIndex = worldMap.cellToIndex(node.x, node.y);
+    while (cameFrom.get(currentIndex) !== undefined) {
+        currentIndex = cameFrom.get(currentIndex);
+        const previous = worldMap.indexToCell(currentIndex);
+
+        // Jump points are always connected by straight or diagonal lines
+        const dx = Math.sign(previous.x - current.x);
+        const dy = Math.sign(previous.y - current.y);
+        while (current.x !== previous.x || current.y !== previous.y) {
+            current = new UMath.Vec2(current.x + dx, current.y + dy);
+
+            await controller.wait();
+
+            worldMap.putCell(CELL_TYPES.PATH, current.x, current.y);
+            path.unshift(current);
+        }
+    }
+
+    return path;
+}
+
+/**
+ * The Jump Point search algorithm (source: https://en.wikipedia.org/wiki/Jump_point_search).
+ * Jumps go along the rows, columns and diagonals of squares and assume every cell costs the same,
+ * so on other topologies and on Worlds with weighted terrain A* is used instead
+ * @param {UMath.Vec2} start - The starting node
+ * @param {UMath.Vec2} goal - The goal
+ * @param {WorldMap} worldMap - The World to search in
+ * @param {SearchController} controller - Controls the pace of the search
+ * @returns {Array<UMath.Vec2>} The path from start to goal
+ */
+export async function JumpPoint(start, goal, worldMap, controller) {
+    if (worldMap.topology !== TOPOLOGIES.SQUARE || worldMap.hasWeightedTerrain()) {
+        return await AStar(start, goal, worldMap, controller);
+    }
+
+    worldMap.putCell(CELL_TYPES.START, start.x, start.y);
+    worldMap.putCell(CELL_TYPES.GOAL, goal.x, goal.y);
+
+    /** @type {JumpContext} */
+    const ctx = {
+        "worldMap": worldMap,
+        "goal": goal,
+        "isWalkable": (x, y) => !worldMap.isCellSolid(x, y),
+        "bounds": worldMap.hasBoundary ? null : getJumpBounds(worldMap, start, goal)
+    };
+
+    const startIndex = worldMap.cellToIndex(start.x, start.y);
+    const goalIndex = worldMap.cellToIndex(goal.x, goal.y);
+
+    let addedNodes = 0;
+    /** @type {BinaryHeap<OpenSetNode>} */
+    const openSet = new BinaryHeap(createNodeComparator(controller.tieBreaking));
+    const h = createHeuristic(controller.heuristic, controller.heuristicWeight);
+    const startH = h(start, goal);
+    openSet.push({ "node": start, "index": startIndex, "f": startH, "g": 0, "h": startH, "order": addedNodes++ });
+
+    /**
+     * @type {Set<Number>}
+     */
+    const closedSet = new Set();
+
+    /**
+     * @type {Map<Number, Number>}
+     */
+    const cameFrom = new Map();
+
+    /**
+     * @type {Map<Number, Number>}
+     */
+    const gScore = new Map();
+    gScore.set(startIndex, 0);
+
+    while (!openSet.isEmpty()) {
+        const { "node": current, "index": currentIndex } = openSet.pop();
+        if (closedSet.has(currentIndex)) { continue; }
+
+        await controller.beginStep(openSet.size);
+
+        if (currentIndex === goalIndex) {
+            return await recostructJumpPath(cameFrom, current, worldMap, controller);
+        }
+
+        closedSet.add(currentIndex);
+
+        const parent = cameFrom.has(currentIndex) ? worldMap.indexToCell(cameFrom.get(currentIndex)) : undefined;
+        const directions = prunedDirections(ctx, current, parent);
+
+        for (let i = 0; i < directions.length; i++) {
+            const direction = directions[i];
+            const jumpPoint = jump(ctx, current.x + direction.x, current.y + direction.y, direction.x, direction.y);
+            if (jumpPoint === null) { continue; }
+
+            const jumpPointIndex = worldMap.cellToIndex(jumpPoint.x, jumpPoint.y);
+            if (closedSet.has(jumpPointIndex)) { continue; }
+
+            const tentativeGScore = gScore.get(currentIndex) + current.dist(jumpPoint);
+            if (tentativeGScore < (gScore.get(jumpPointIndex) ?? Number.POSITIVE_INFINITY)) {
+                cameFrom.set(jumpPointIndex, currentIndex);
+                gScore.set(jumpPointIndex, tentativeGScore);
+                const hScore = h(jumpPoint, goal);
+                openSet.push({
+                    "node": jumpPoint, "index": jumpPointIndex,
+                    "f": tentativeGScore + hScore, "g": tentativeGScore, "h": hScore, "order": addedNodes++
+                });
+
+                await visitCell(worldMap, jumpPoint, controller);
+            }
+        }
+    }
+
+    return [];
+}
@@ -1,16 +1,82 @@
-
 import { AStar } from "./AStar.js";
 import { Dijkstra } from "./Dijkstra.js";
+import { BreadthFirst } from "./BreadthFirst.js";
+import { DepthFirst } from "./DepthFirst.js";
+import { GreedyBestFirst } from "./GreedyBestFirst.js";
+import { BidirectionalAStar } from "./BidirectionalAStar.js";
+import { BidirectionalBFS } from "./BidirectionalBFS.js";
+import { JumpPoint } from "./JumpPoint.js";
+import { DStarLite, DStarLitePlanner } from "./DStarLite.js";
 
+/**
+ * All algorithms that can be used to search paths, the validator (see pathValidation.js) warns about
+ * - heuristics that overestimate when usesHeuristic is true
+ * - paths that aren't the cheapest ones when findsCheapestPath is true
+ * Algorithms with createPlanner can replan incrementally while walls change (see replanning.js)
+ */
 export const availableAlgorithms = [
     {
         "shortName": "A*",
         "longName": "AStar",
-        "search": AStar
+        "search": AStar,
+        "usesHeuristic": true,
+        "findsCheapestPath": true
     },
     {
         "shortName": "DSPF",
         "longName": "Dijkstra",
-        "search": Dijkstra
+        "search": Dijkstra,
+        "usesHeuristic": false,
+        "findsCheapestPath": true
+    },
+    {
+        "shortName": "BFS",
+        "longName": "BreadthFirst",
+        "search": BreadthFirst,
+        "usesHeuristic": false,
+        "findsCheapestPath": false
+    },
+    {
+        "shortName": "DFS",
+        "longName": "DepthFirst",
+        "search": DepthFirst,
+        "usesHeuristic": false,
+        "findsCheapestPath": false
+    },
+    {
+        "shortName": "GBFS",
+        "longName": "GreedyBestFirst",
+        "search": GreedyBestFirst,
+        "usesHeuristic": true,
+        "findsCheapestPath": false
+    },
+    {
+        "shortName": "BiA*",
+        "longName": "BidirectionalAStar",
+        "search": BidirectionalAStar,
+        "usesHeuristic": true,
+        "findsCheapestPath": true
+    },
+    {
+        "shortName": "BiBFS",
+        "longName": "BidirectionalBFS",
+        "search": BidirectionalBFS,
+        "usesHeuristic": false,
+        "findsCheapestPath": false
+    },
+    {
+        "shortName": "JPS",
+        "longName": "JumpPoint",
+        "search": JumpPoint,
+        "usesHeuristic": true,
+        "findsCheapestPath": true
+    },
+    {
+        "shortName": "D*Lite",
+        "longName": "DStarLite",
+        "search": DStarLite,
+        "createPlanner": (worldMap, goal, controller) => new DStarLitePlanner(worldMap, goal, controller),
+        "usesHeuristic": true,
+        "findsCheapestPath": true
     }
 ];
@@ -0,0 +1,25 @@
+import { IndependentAStar } from "./spaceTime.js";
+import { CooperativeAStar } from "./CooperativeAStar.js";
+import { ConflictBasedSearch } from "./ConflictBasedSearch.js";
+
+/**
+ * All solvers that can search the paths of several agents at once (see spaceTime.js),
+ * only the agents of IndependentAStar may conflict with each other
+ */
+export const availableMultiAgentSolvers = [
+    {
+        "shortName": "IA*",
+        "longName": "IndependentAStar",
+        "solve": IndependentAStar
+    },
+    {
+        "shortName": "CA*",
+        "longName": "CooperativeAStar",
+        "solve": CooperativeAStar
+    },
+    {
+        "shortName": "CBS",
+        "longName": "ConflictBasedSearch",
+        "solve": ConflictBasedSearch
+    }
+];
@@ -0,0 +1,86 @@
+import { UMath } from "../wCanvas/wcanvas.js";
+import { TOPOLOGIES } from "../Topology.js";
+
+/**
+ * All heuristics searches can estimate the cost to reach the goal with (source: http://theory.stanford.edu/~amitp/GameProgramming/Heuristics.html)
+ * estimate(node, goal) returns the estimated cost to go from node to goal, the cheapest terrain is assumed to cost 1
+ */
+export const HEURISTICS = [
+    {
+        "shortName": "MAN",
+        "longName": "Manhattan",
+        "estimate": (node, goal) => Math.abs(node.x - goal.x) + Math.abs(node.y - goal.y)
+    },
+    {
+        "shortName": "EUC",
+        "longName": "Euclidean",
+        "estimate": (node, goal) => node.dist(goal)
+    },
+    {
+        "shortName": "CHEB",
+        "longName": "Chebyshev",
+        "estimate": (node, goal) => Math.max(Math.abs(node.x - goal.x), Math.abs(node.y - goal.y))
+    },
+    {
+        "shortName": "OCT",
+        "longName": "Octile",
+        "estimate": (node, goal) => {
+            const dx = Math.abs(node.x - goal.x);
+            const dy = Math.abs(node.y - goal.y);
+            // Diagonal moves cost sqrt(2), so each of them saves (2 - sqrt(2)) over two orthogonal moves
+            return dx + dy + (Math.SQRT2 - 2) * Math.min(dx, dy);
+        }
+    },
+    {
+        "shortName": "HEX",
+        "longName": "Hex",
+        "estimate": (node, goal) => {
+            const dx = node.x - goal.x;
+            const dy = node.y - goal.y;
+            // The third axial coordinate of a hex is -x - y
+            return (Math.abs(dx) + Math.abs(dy) + Math.abs(dx + dy)) / 2;
+        }
+    },
+    {
+        "shortName": "TRI",
+        "longName": "Triangle",
+        "estimate": (node, goal) => {
+            // Triangles are between three sets of parallel lines, each move crosses one of those lines
+            const lineA = (pos) => Math.floor((pos.x + pos.y) / 2);
+            const lineB = (pos) => Math.floor((pos.x - pos.y + 1) / 2);
+            return Math.abs(node.y - goal.y) + Math.abs(lineA(node) - lineA(goal)) + Math.abs(lineB(node) - lineB(goal));
+        }
+    },
+    {
+        "shortName": "ZERO",
+        "longName": "Zero",
+        "estimate": () => 0
+    }
+];
+
+/**
+ * The index of the heuristic used when none is chosen (Euclidean)
+ */
+export const DEFAULT_HEURISTIC = 1;
+
+/**
+ * The index of the heuristic chosen when the World's topology changes (see TOPOLOGIES),
+ * coordinates of hexes and triangles aren't spaced like their centers so the other heuristics may overestimate
+ */
+export const TOPOLOGY_HEURISTICS = {
+    [TOPOLOGIES.SQUARE]: DEFAULT_HEURISTIC,
+    [TOPOLOGIES.HEX]: 4,
+    [TOPOLOGIES.TRIANGLE]: 5
+};
+
+/**
+ * Creates the function searches call to estimate the cost to reach the goal
+ * @param {HEURISTICS[0]} heuristic - The heuristic to use
+ * @param {Number} [weight] - What the estimates are multiplied by, weights above 1 make searches faster
+ *  but their paths may not be the cheapest ones (Weighted A*)
+ * @returns {(node: UMath.Vec2, goal: UMath.Vec2) -> Number} The function that estimates the cost
+ */
+export function createHeuristic(heuristic, weight = 1) {
+    if (weight === 1) { return heuristic.estimate; }
+    return (node, goal) => weight * heuristic.estimate(node, goal);
+}
@@ -0,0 +1,198 @@
+import { UMath } from "../wCanvas/wcanvas.js";
+import { WorldMap } from "../WorldMap.js";
+import { BinaryHeap } from "./BinaryHeap.js";
+import { edgeWeigth, getPathCost } from "./searchUtils.js";
+
+/**
+ * @typedef {Object} PathValidation - What was checked about a path returned by a search
+ * @property {Array<String>} errors - Why the path isn't valid, empty if it is
+ * @property {Number|null} optimalCost - The cost of the cheapest path from start to goal, Infinity if there's none, null if it's unknown
+ * @property {Boolean|null} isOptimal - Whether or not the path is as cheap as the cheapest one, null if it's unknown
+ * @property {Number} overestimates - How many cells the heuristic overestimated the cost to reach the goal from
+ * @property {Number} maxOverestimate - The most the heuristic overestimated the cost to reach the goal by
+ */
+
+/**
+ * Costs are sums of floats, two paths with the same cost may differ by this much
+ */
+const COST_TOLERANCE = 1e-6;
+
+/**
+ * How many times the cells of a World without boundaries the exact search can settle before giving up
+ */
+export const UNBOUNDED_SEARCH_LIMIT = 4;
+
+/**
+ * Runs Dijkstra backwards from the goal to calculate the exact cost of the cheapest path from each cell to it,
+ * without drawing anything. It stops once the cost from start is known.
+ * It yields before settling each cell, so that whoever runs it can stop it or let other work through
+ * @param {UMath.Vec2|undefined} start - The starting node, undefined to calculate the cost from all cells
+ * @param {UMath.Vec2} goal - The goal
+ * @param {WorldMap} worldMap - The World to search in
+ * @param {Map<Number, Number>} costs - Where the cost from each settled cell (by index) is put
+ * @returns {Generator<Number, void>} Yields how many cells are waiting to be settled
+ */
+export function* searchCostsToGoal(start, goal, worldMap, costs) {
+    const startIndex = start === undefined ? undefined : worldMap.cellToIndex(start.x, start.y);
+    const goalIndex = worldMap.cellToIndex(goal.x, goal.y);
+
+    /** @type {Map<Number, Number>} */
+    const tentativeCosts = new Map([ [ goalIndex, 0 ] ]);
+
+    /** @type {BinaryHeap<{ "node": UMath.Vec2, "index": Number, "cost": Number }>} */
+    const openSet = new BinaryHeap((a, b) => a.cost - b.cost);
+    openSet.push({ "node": goal, "index": goalIndex, "cost": 0 });
+
+    while (!openSet.isEmpty()) {
+        const { "node": current, "index": currentIndex, "cost": cost } = openSet.pop();
+        if (costs.has(currentIndex)) { continue; }
+
+        yield openSet.size;
+        costs.set(currentIndex, cost);
+        if (currentIndex === startIndex) { return; }
+
+        // Moves are symmetric, so the neighbours of a cell are also the cells that can move into it
+        const neighbours = worldMap.getNeighbours(current.x, current.y);
+        for (let i = 0; i < neighbours.length; i++) {
+            const neighbour = neighbours[i];
+            const neighbourIndex = worldMap.cellToIndex(neighbour.x, neighbour.y);
+            if (costs.has(neighbourIndex)) { continue; }
+
+            // Walking from neighbour to current costs as much as moving into current
+            const tentativeCost = cost + edgeWeigth(neighbour, current, neighbour, goal, worldMap);
+            if (tentativeCost < (tentativeCosts.get(neighbourIndex) ?? Number.POSITIVE_INFINITY)) {
+                tentativeCosts.set(neighbourIndex, tentativeCost);
+                openSet.push({ "node": neighbour, "index": neighbourIndex, "cost": tentativeCost });
+            }
+        }
+    }
+}
+
+/**
+ * Calculates the exact cost of the cheapest path from each cell to the goal (see searchCostsToGoal)
+ * @param {UMath.Vec2|undefined} start - The starting node, undefined to calculate the cost from all cells
+ * @param {UMath.Vec2} goal - The goal
+ * @param {WorldMap} worldMap - The World to search in
+ * @param {Number} [maxNodes] - How many cells can be settled before giving up
+ * @returns {{ "costs": Map<Number, Number>, "isComplete": Boolean }} The cost from each settled cell (by index)
+ *  and whether or not the search ended before reaching maxNodes
+ */
+export function findCostsToGoal(start, goal, worldMap, maxNodes = Number.POSITIVE_INFINITY) {
+    /** @type {Map<Number, Number>} */
+    const costs = new Map();
+    for (const _ of searchCostsToGoal(start, goal, worldMap, costs)) {
+        if (costs.size >= maxNodes) { return { "costs": costs, "isComplete": false }; }
+    }
+    return { "costs": costs, "isComplete": true };
+}
+
+/**
+ * Checks that the specified path could have been walked on the World and compares its cost to the cheapest one
+ * @param {Array<UMath.Vec2>} path - The path returned by the search, empty if it found none
+ * @param {UMath.Vec2} start - The starting node
+ * @param {UMath.Vec2} goal - The goal
+ * @param {WorldMap} worldMap - The World the path is in
+ * @param {(node: UMath.Vec2, goal: UMath.Vec2) -> Number} [h] - The heuristic used by the search, its estimates are checked too
+ * @returns {PathValidation} What was found
+ */
+export function validatePath(path, start, goal, worldMap, h) {
+    const errors = [];
+
+    if (path.length > 0) {
+        const [ first, last ] = [ path[0], path[path.length - 1] ];
+        if (first.x !== start.x || first.y !== start.y) {
+            errors.push(`The path begins at ${first.x}, ${first.y} instead of START`);
+        }
+        if (last.x !== goal.x || last.y !== goal.y) {
+            errors.push(`The path ends at ${last.x}, ${last.y} instead of GOAL`);
+        }
+
+        const solidCell = path.find(node => worldMap.isCellSolid(node.x, node.y));
+        if (solidCell !== undefined) {
+            errors.push(`The path goes through a solid cell at ${solidCell.x}, ${solidCell.y}`);
+        }
+
+        // Neighbours follow the diagonal and corner cutting settings, so illegal moves are caught too
+        const jumpIndex = path.findIndex((node, i) => i > 0 && !worldMap.getNeighbours(path[i - 1].x, path[i - 1].y).some(
+            neighbour => neighbour.x === node.x && neighbour.y === node.y
+        ));
+        if (jumpIndex > 0) {
+            const [ from, to ] = [ path[jumpIndex - 1], path[jumpIndex] ];
+            errors.push(`The path can't move from ${from.x}, ${from.y} to ${to.x}, ${to.y}`);
+        }
+    }
+
+    const maxNodes = worldMap.hasBoundary ? undefined : worldMap.size.x * worldMap.size.y * UNBOUNDED_SEARCH_LIMIT;
+    const { costs, isComplete } = findCostsToGoal(start, goal, worldMap, maxNodes);
+    const optimalCost = isComplete ? costs.get(worldMap.cellToIndex(start.x, start.y)) ?? Number.POSITIVE_INFINITY : null;
+
+    if (path.length === 0 && optimalCost !== null && optimalCost !== Number.POSITIVE_INFINITY) {
+        errors.push("No path was returned but one exists");
+    }
+
+    let isOptimal = null;
+    if (path.length > 0 && errors.length === 0 && optimalCost !== null) {
+        isOptimal = getPathCost(path, worldMap) <= optimalCost + COST_TOLERANCE;
+    } else if (path.length === 0 && optimalCost === Number.POSITIVE_INFINITY) {
+        isOptimal = true;
+    }
+
+    let overestimates = 0;
+    let maxOverestimate = 0;
+    if (h !== undefined) {
+        for (const [ index, cost ] of costs) {
+            const overestimate = h(worldMap.indexToCell(index), goal) - cost;
+            if (overestimate > COST_TOLERANCE) {
+                overestimates++;
+                maxOverestimate = Math.max(maxOverestimate, overestimate);
+            }
+        }
+    }
+
+    return {
+        "errors": errors,
+        "optimalCost": optimalCost,
+        "isOptimal": isOptimal,
+        "overestimates": overestimates,
+        "maxOverestimate": maxOverestimate
+    };
+}
+
+/**
+ * Returns what's wrong with a path that was validated, what an algorithm can't guarantee isn't reported
+ * @param {PathValidation} validation - The validation of the path
+ * @param {import("./allAlgorithms.js").availableAlgorithms[0]} algorithm - The algorithm that found the path
+ * @returns {Array<String>} The warnings, empty if nothing's wrong
+ */
+export function getValidationWarnings(validation, algorithm) {
+    const warnings = [ ...validation.errors ];
+    if (algorithm.findsCheapestPath && validation.isOptimal === false) {
+        warnings.push(`The path isn't the cheapest one, which costs ${validation.optimalCost.toFixed(2)}`);
+    }
+    if (algorithm.usesHeuristic && validation.overestimates > 0) {
+        warnings.push(
+            `The heuristic overestimated the cost from ${validation.overestimates} cells (by up to ${validation.maxOverestimate.toFixed(2)})`
+        );
+    }
+    return warnings;
+}
+
+/**
+ * Combines the validations of the legs of a route into the validation of the whole route,
+ * the cheapest cost is the sum of the cheapest cost of each leg
+ * @param {Array<PathValidation>} validations - The validation of each leg, in the order they're walked
+ * @returns {PathValidation} The validation of the route
+ */
+export function mergeValidations(validations) {
+    if (validations.length === 1) { return validations[0]; }
+
+    const optimalCosts = validations.map(validation => validation.optimalCost);
+    return {
+        "errors": validations.flatMap((validation, i) => validation.errors.map(error => `Leg ${i + 1}: ${error}`)),
+        "optimalCost": optimalCosts.includes(null) ? null : optimalCosts.reduce((sum, cost) => sum + cost, 0),
+        "isOptimal": validations.some(validation => validation.isOptimal === false) ? false :
+            validations.every(validation => validation.isOptimal === true) ? true : null,
+        "overestimates": validations.reduce((sum, validation) => sum + validation.overestimates, 0),
+        "maxOverestimate": Math.max(...validations.map(validation => validation.maxOverestimate))
+    };
+}
@@ -0,0 +1,65 @@
+import { UMath } from "../wCanvas/wcanvas.js";
+import { WorldMap, CELL_TYPES, SEARCH_CELL_TYPES } from "../WorldMap.js";
+import { SearchController } from "../SearchController.js";
+
+/**
+ * @typedef {Object} Planner - Plans paths to a goal while the World changes (see DStarLitePlanner)
+ * @property {(start: UMath.Vec2) -> Promise<Array<UMath.Vec2>>} plan - Plans and draws the path from start to the goal, empty if there's none
+ * @property {(cells: Array<UMath.Vec2>, start: UMath.Vec2) -> Promise<void>} update - Tells the planner that walls appeared or disappeared on cells
+ */
+
+/**
+ * The cells a new search clears, the agent and the path it walked must stay visible
+ */
+const REPLANNED_CELL_TYPES = { ...SEARCH_CELL_TYPES };
+delete REPLANNED_CELL_TYPES[CELL_TYPES.AGENT];
+delete REPLANNED_CELL_TYPES[CELL_TYPES.WALKED];
+
+/**
+ * Plans paths with algorithms that can't replan incrementally, each plan is a new search from scratch
+ */
+export class RestartPlanner {
+    /**
+     * @param {import("./allAlgorithms.js").availableAlgorithms[0]} algorithm - The algorithm to search with
+     * @param {WorldMap} worldMap - The World to plan in
+     * @param {UMath.Vec2} goal - The goal
+     * @param {SearchController} controller - Controls the pace of the searches
+     */
+    constructor(algorithm, worldMap, goal, controller) {
+        this.algorithm = algorithm;
+        this.worldMap = worldMap;
+        this.goal = goal;
+        this.controller = controller;
+        this.hasPlanned = false;
+    }
+
+    /**
+     * @param {UMath.Vec2} start - Where the path starts
+     * @returns {Promise<Array<UMath.Vec2>>} The path from start to goal, empty if there's none
+     */
+    async plan(start) {
+        // Each search shows only what it expanded
+        if (this.hasPlanned) { this.worldMap.clearCellTypes(REPLANNED_CELL_TYPES); }
+        this.hasPlanned = true;
+
+        return await this.algorithm.search(start, this.goal, this.worldMap, this.controller);
+    }
+
+    /**
+     * Changes are only looked at by the next search
+     */
+    async update() { }
+}
+
+/**
+ * Creates the planner that replans paths with the specified algorithm
+ * @param {import("./allAlgorithms.js").availableAlgorithms[0]} algorithm - The algorithm to plan with
+ * @param {WorldMap} worldMap - The World to plan in
+ * @param {UMath.Vec2} goal - The goal
+ * @param {SearchController} controller - Controls the pace of the planner
+ * @returns {Planner} The planner, algorithms without an incremental planner search again from scratch
+ */
+export function createPlanner(algorithm, worldMap, goal, controller) {
+    if (algorithm.createPlanner !== undefined) { return algorithm.createPlanner(worldMap, goal, controller); }
+    return new RestartPlanner(algorithm, worldMap, goal, controller);
+}
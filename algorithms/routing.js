@@ -0,0 +1,165 @@
+import { UMath } from "../wCanvas/wcanvas.js";
+import { WorldMap } from "../WorldMap.js";
+import { SearchController } from "../SearchController.js";
+import { searchCostsToGoal } from "./pathValidation.js";
+
+/**
+ * Routes with more waypoints than this are ordered by nearest neighbour instead of exactly,
+ * the exact order takes O(2^n * n^2) steps
+ */
+export const MAX_EXACT_WAYPOINTS = 12;
+
+/**
+ * Calculates the cost of the cheapest path between each pair of stops, without drawing anything.
+ * Each cell that's settled is a step of the controller, so it counts towards the expansion limit
+ * @param {Array<UMath.Vec2>} stops - The stops of the route, the first one is START and the last one is GOAL
+ * @param {WorldMap} worldMap - The World the stops are in
+ * @param {SearchController} controller - Controls the pace of the searches
+ * @returns {Array<Array<Number>>} costs[i][j] is the cost from stop i to stop j, Infinity if j can't be reached
+ */
+export async function getStopCosts(stops, worldMap, controller) {
+    const costs = stops.map(() => stops.map(() => Number.POSITIVE_INFINITY));
+
+    // START is never reached again, so there's no need to know the cost to it
+    for (let j = 1; j < stops.length; j++) {
+        await controller.wait();
+
+        /** @type {Map<Number, Number>} */
+        const costsToStop = new Map();
+        for (const openSetSize of searchCostsToGoal(undefined, stops[j], worldMap, costsToStop)) {
+            await controller.beginStep(openSetSize);
+        }
+        for (let i = 0; i < stops.length; i++) {
+            costs[i][j] = costsToStop.get(worldMap.cellToIndex(stops[i].x, stops[i].y)) ?? Number.POSITIVE_INFINITY;
+        }
+    }
+    return costs;
+}
+
+/**
+ * Orders the waypoints by always going to the cheapest one that wasn't visited yet
+ * @param {Array<Array<Number>>} costs - The costs between stops (see getStopCosts)
+ * @returns {Array<Number>} The index of each stop in the order they're visited
+ */
+function orderByNearestNeighbour(costs) {
+    const goal = costs.length - 1;
+    const order = [ 0 ];
+    const unvisited = new Set(costs.map((_, i) => i).slice(1, goal));
+
+    while (unvisited.size > 0) {
+        const current = order[order.length - 1];
+        let nearest = undefined;
+        for (const stop of unvisited) {
+            if (nearest === undefined || costs[current][stop] < costs[current][nearest]) { nearest = stop; }
+        }
+
+        order.push(nearest);
+        unvisited.delete(nearest);
+    }
+
+    order.push(goal);
+    return order;
+}
+
+/**
+ * Finds the cheapest order to visit the waypoints in (Held-Karp), too many waypoints are ordered by nearest neighbour
+ * (source: https://en.wikipedia.org/wiki/Held%E2%80%93Karp_algorithm)
+ * @param {Array<Array<Number>>} costs - The costs between stops (see getStopCosts)
+ * @returns {Array<Number>} The index of each stop in the order they're visited
+ */
+function orderExactly(costs) {
+    const waypoints = costs.length - 2;
+    if (waypoints > MAX_EXACT_WAYPOINTS) { return orderByNearestNeighbour(costs); }
+
+    const goal = costs.length - 1;
+    const fullSet = (1 << waypoints) - 1;
+    // routeCosts[set][last] is the cost of the cheapest route from START that visits the set of waypoints and ends on last
+    const routeCosts = Array.from({ "length": fullSet + 1 }, () => new Array(waypoints).fill(Number.POSITIVE_INFINITY));
+    const previous = Array.from({ "length": fullSet + 1 }, () => new Array(waypoints).fill(-1));
+
+    for (let i = 0; i < waypoints; i++) {
+        routeCosts[1 << i][i] = costs[0][i + 1];
+    }
+
+    for (let set = 1; set <= fullSet; set++) {
+        for (let last = 0; last < waypoints; last++) {
+            if ((set & (1 << last)) === 0 || routeCosts[set][last] === Number.POSITIVE_INFINITY) { continue; }
+
+            for (let next = 0; next < waypoints; next++) {
+                if ((set & (1 << next)) !== 0) { continue; }
+
+                const nextSet = set | (1 << next);
+                const cost = routeCosts[set][last] + costs[last + 1][next + 1];
+                if (cost < routeCosts[nextSet][next]) {
+                    routeCosts[nextSet][next] = cost;
+                    previous[nextSet][next] = last;
+                }
+            }
+        }
+    }
+
+    let last = -1;
+    let bestCost = Number.POSITIVE_INFINITY;
+    for (let i = 0; i < waypoints; i++) {
+        const cost = routeCosts[fullSet][i] + costs[i + 1][goal];
+        if (cost < bestCost) {
+            last = i;
+            bestCost = cost;
+        }
+    }
+
+    // No route reaches GOAL, so any order is as good as the given one
+    if (last === -1) { return costs.map((_, i) => i); }
+
+    const order = [ goal ];
+    for (let set = fullSet; last !== -1;) {
+        order.push(last + 1);
+        [ set, last ] = [ set & ~(1 << last), previous[set][last] ];
+    }
+    order.push(0);
+    return order.reverse();
+}
+
+/**
+ * All orders the waypoints of a route can be visited in,
+ * order(costs) returns the index of each stop in the order they're visited (see getStopCosts)
+ */
+export const ROUTE_ORDERS = [
+    {
+        "shortName": "Given",
+        "longName": "Given Order",
+        "needsCosts": false,
+        "order": (costs) => costs.map((_, i) => i)
+    },
+    {
+        "shortName": "NN",
+        "longName": "Nearest Neighbour",
+        "needsCosts": true,
+        "order": orderByNearestNeighbour
+    },
+    {
+        "shortName": "Exact",
+        "longName": "Exact",
+        "needsCosts": true,
+        "order": orderExactly
+    }
+];
+
+/**
+ * Orders the stops of a route
+ * @param {UMath.Vec2} start - Where the route starts
+ * @param {Array<UMath.Vec2>} waypoints - The waypoints to visit, in the given order
+ * @param {UMath.Vec2} goal - Where the route ends
+ * @param {WorldMap} worldMap - The World the stops are in
+ * @param {ROUTE_ORDERS[0]} routeOrder - How the waypoints are ordered
+ * @param {SearchController} controller - Controls the pace of the searches that calculate the costs between stops
+ * @returns {Array<UMath.Vec2>} All stops from START to GOAL, in the order they must be visited
+ */
+export async function orderRoute(start, waypoints, goal, worldMap, routeOrder, controller) {
+    const stops = [ start, ...waypoints, goal ];
+    if (waypoints.length <= 1) { return stops; }
+
+    // The orders that don't need costs only look at how many stops there are
+    const costs = routeOrder.needsCosts ? await getStopCosts(stops, worldMap, controller) : stops.map(() => null);
+    return routeOrder.order(costs).map(i => stops[i]);
+}
@@ -0,0 +1,116 @@
+import { UMath } from "../wCanvas/wcanvas.js";
+import { SearchController, TIE_BREAKING_POLICIES } from "../SearchController.js";
+import { WorldMap, CELL_TYPES } from "../WorldMap.js";
+
+/**
+ * @typedef {Object} OpenSetNode - A node waiting in the open set of a search
+ * @property {UMath.Vec2} node - The pos of the node
+ * @property {Number} index - The index of the node (see WorldMap#cellToIndex)
+ * @property {Number} f - The priority of the node, lower is popped first
+ * @property {Number} g - The cost of the path from the start to the node
+ * @property {Number} h - The estimated cost from the node to the goal
+ * @property {Number} order - When the node was added to the open set
+ */
+
+/**
+ * Creates a function that compares two nodes of an open set
+ * @param {TIE_BREAKING_POLICIES[0]} tieBreaking - How ties between nodes with the same priority are broken
+ * @returns {(a: OpenSetNode, b: OpenSetNode) -> Number} A function that returns a negative number if a must be popped before b
+ */
+export function createNodeComparator(tieBreaking) {
+    return (a, b) => a.f - b.f || tieBreaking.compare(a, b);
+}
+
+/**
+ * Returns the path from the specified node to the start
+ * @param {Map<Number, Number>} cameFrom - The Map which contains the index of all previous pos
+ * @param {UMath.Vec2} node - The node to generate the path for
+ * @param {WorldMap} worldMap - The World the path is in
+ * @param {SearchController} controller - Controls the pace of the search
+ * @returns {Array<UMath.Vec2>} The path from node to the start
+ */
+export async function recostructPath(cameFrom, node, worldMap, controller) {
+    const path = [ node ];
+
+    worldMap.putCell(CELL_TYPES.PATH, node.x, node.y)
+
+    let current = worldMap.cellToIndex(node.x, node.y);
+    while (cameFrom.get(current) !== undefined) {
+        current = cameFrom.get(current);
+        const currentVec = worldMap.indexToCell(current);
+        
+        await controller.wait();
+
+        worldMap.putCell(CELL_TYPES.PATH, currentVec.x, currentVec.y)
+        
+        path.unshift(currentVec);
+    }
+
+    return path;
+}
+
+/**
+ * Marks the specified cell as being calculated, waits and then marks it as calculated, counting it as generated
+ * @param {WorldMap} worldMap - The World the cell is in
+ * @param {UMath.Vec2} cell - The cell to mark
+ * @param {SearchController} controller - Controls the pace of the search
+ * @param {Boolean} [isReverse] - Whether or not the cell was reached by a search that started from the goal
+ */
+export async function visitCell(worldMap, cell, controller, isReverse = false) {
+    controller.stats.generated++;
+    worldMap.putCell(isReverse ? CELL_TYPES.REVERSE_CALCULATING : CELL_TYPES.CALCULATING, cell.x, cell.y);
+
+    await controller.wait();
+
+    worldMap.putCell(isReverse ? CELL_TYPES.REVERSE_CALCULATED : CELL_TYPES.CALCULATED, cell.x, cell.y);
+}
+
+/**
+ * Calculates the cost to go from current to next
+ * @param {UMath.Vec2} current - The node we're currently on
+ * @param {UMath.Vec2} next - The node we want to go to
+ * @param {UMath.Vec2} start - The starting node
+ * @param {UMath.Vec2} goal - The ending node
+ * @param {WorldMap} worldMap - The World the nodes are in
+ * @returns {Number} The cost to reach next from current
+ */
+export function edgeWeigth(current, next, start, goal, worldMap) {
+    return worldMap.getMoveDistance(current, next) * worldMap.getCellCost(next.x, next.y);
+}
+
+/**
+ * Calculates the cost of the specified path using the World's costs (see edgeWeigth)
+ * @param {Array<UMath.Vec2>} path - The path to calculate the cost of
+ * @param {WorldMap} worldMap - The World the path is in
+ * @returns {Number} The total cost of the path
+ */
+export function getPathCost(path, worldMap) {
+    let cost = 0;
+    for (let i = 1; i < path.length; i++) {
+        cost += edgeWeigth(path[i - 1], path[i], path[0], path[path.length - 1], worldMap);
+    }
+    return cost;
+}
+
+/**
+ * Joins the paths found by two searches that started from opposite ends, drawing the result
+ * @param {Map<Number, Number>} forwardCameFrom - The index of the previous pos of all nodes reached from the start
+ * @param {UMath.Vec2} forwardNode - The last node of the path that starts from the start
+ * @param {Map<Number, Number>} backwardCameFrom - The index of the previous pos of all nodes reached from the goal
+ * @param {UMath.Vec2} backwardNode - The first node of the path that ends at the goal
+ * @param {WorldMap} worldMap - The World the path is in
+ * @param {SearchController} controller - Controls the pace of the search
+ * @returns {Array<UMath.Vec2>} The path from start to goal
+ */
+export async function joinPaths(forwardCameFrom, forwardNode, backwardCameFrom, backwardNode, worldMap, controller) {
+    const forwardPath = await recostructPath(forwardCameFrom, forwardNode, worldMap, controller);
+    const backwardPath = await recostructPath(backwardCameFrom, backwardNode, worldMap, controller);
+    backwardPath.reverse();
+
+    // Both searches may have reached the same node
+    if (forwardNode.x === backwardNode.x && forwardNode.y === backwardNode.y) {
+        backwardPath.shift();
+    }
+
+    return forwardPath.concat(backwardPath);
+}
@@ -0,0 +1,227 @@
+import { UMath } from "../wCanvas/wcanvas.js";
+import { WorldMap } from "../WorldMap.js";
+import { SearchController } from "../SearchController.js";
+import { BinaryHeap } from "./BinaryHeap.js";
+import { createNodeComparator, visitCell } from "./searchUtils.js";
+import { HEURISTICS, TOPOLOGY_HEURISTICS } from "./heuristics.js";
+import { TOPOLOGIES } from "../Topology.js";
+
+/*
+    Agents of multi-agent searches plan in space-time: at each timestep an agent either moves to a neighbouring cell
+    or waits where it is, whatever the terrain costs. An agent that reached its goal stays there forever.
+    Two agents conflict when they're on the same cell at the same time (vertex conflict)
+    or when they swap their cells during the same timestep (edge conflict).
+*/
+
+/** @typedef {import("./searchUtils.js").OpenSetNode} OpenSetNode */
+
+/**
+ * @typedef {Object} Agent - An agent of a multi-agent search
+ * @property {UMath.Vec2} start - The cell the agent is on at time 0
+ * @property {UMath.Vec2} goal - The cell the agent must end on
+ *
+ * @typedef {Object} SpaceTimeRules - What stops an agent from being somewhere at some time, cells are given by index (see WorldMap#cellToIndex)
+ * @property {(index: Number, time: Number) -> Boolean} isCellBlocked - Whether or not the agent can't be on the cell at time
+ * @property {(fromIndex: Number, toIndex: Number, time: Number) -> Boolean} isMoveBlocked - Whether or not the agent can't
+ *  move between the cells during the timestep that ends at time
+ * @property {Number} goalFreeTime - The earliest time the agent can stop on its goal, it's blocked at some time before it
+ * @property {Number} lastChangeTime - The last time what's blocked changes, it stays the same after it
+ *
+ * @typedef {Object} Conflict - Two agents that get in each other's way
+ * @property {"vertex"|"edge"} type - Whether the agents are on the same cell or swap their cells
+ * @property {[ Number, Number ]} agents - The indices of the two agents
+ * @property {Number} time - When the agents collide, edge conflicts happen during the timestep that ends at time
+ * @property {Array<UMath.Vec2>} cells - The cell both agents are on, or the cell the first agent leaves followed by the one it enters
+ */
+
+/**
+ * The rules of agents that plan on their own, nothing is ever blocked
+ * @type {SpaceTimeRules}
+ */
+export const NO_RULES = {
+    "isCellBlocked": () => false,
+    "isMoveBlocked": () => false,
+    "goalFreeTime": 0,
+    "lastChangeTime": 0
+};
+
+/**
+ * Returns the heuristic that counts the timesteps an agent needs to go from a cell to another one on the specified World
+ * @param {WorldMap} worldMap - The World the agents are in
+ * @returns {HEURISTICS[0]} The heuristic, it never overestimates
+ */
+export function getTimestepHeuristic(worldMap) {
+    if (worldMap.topology !== TOPOLOGIES.SQUARE) { return HEURISTICS[TOPOLOGY_HEURISTICS[worldMap.topology]]; }
+    // Diagonal moves take one timestep too
+    const shortName = worldMap.diagonals ? "CHEB" : "MAN";
+    return HEURISTICS.find(heuristic => heuristic.shortName === shortName);
+}
+
+/**
+ * Checks whether or not the specified pos are the same cell
+ * @param {UMath.Vec2} a - The first pos
+ * @param {UMath.Vec2} b - The second pos
+ * @returns {Boolean} Whether or not the pos are the same
+ */
+function isSameCell(a, b) {
+    return a.x === b.x && a.y === b.y;
+}
+
+/**
+ * Returns the cell an agent that follows the specified path is on at the specified time
+ * @param {Array<UMath.Vec2>} path - The path of the agent, the cell it's on at each time
+ * @param {Number} time - The time to get the cell at
+ * @returns {UMath.Vec2} The cell the agent is on, its goal once it arrived
+ */
+export function getPositionAt(path, time) {
+    return path[Math.min(time, path.length - 1)];
+}
+
+/**
+ * Returns the time the last agent reaches its goal at
+ * @param {Array<Array<UMath.Vec2>>} paths - The path of each agent, empty for the ones that have none
+ * @returns {Number} The makespan of the paths
+ */
+export function getMakespan(paths) {
+    return Math.max(0, ...paths.map(path => path.length - 1));
+}
+
+/**
+ * Returns the sum of the times each agent reaches its goal at
+ * @param {Array<Array<UMath.Vec2>>} paths - The path of each agent, empty for the ones that have none
+ * @returns {Number} The sum of costs of the paths
+ */
+export function getSumOfCosts(paths) {
+    return paths.reduce((sum, path) => sum + Math.max(path.length - 1, 0), 0);
+}
+
+/**
+ * Finds all conflicts between the specified paths, agents without a path are left out
+ * @param {Array<Array<UMath.Vec2>>} paths - The path of each agent
+ * @param {WorldMap} worldMap - The World the agents are in
+ * @returns {Array<Conflict>} The conflicts, sorted by time
+ */
+export function findConflicts(paths, worldMap) {
+    /** @type {Array<Conflict>} */
+    const conflicts = [ ];
+    const agents = [ ...paths.keys() ].filter(i => paths[i].length > 0);
+
+    for (let time = 0; time <= getMakespan(paths); time++) {
+        /** @type {Map<Number, Number>} The first agent found on each cell */
+        const occupiedCells = new Map();
+        agents.forEach(i => {
+            const cell = getPositionAt(paths[i], time);
+            const index = worldMap.cellToIndex(cell.x, cell.y);
+            if (occupiedCells.has(index)) {
+                conflicts.push({ "type": "vertex", "agents": [ occupiedCells.get(index), i ], "time": time, "cells": [ cell ] });
+            } else {
+                occupiedCells.set(index, i);
+            }
+        });
+        if (time === 0) { continue; }
+
+        agents.forEach((i, place) => agents.slice(place + 1).forEach(j => {
+            const [ fromA, toA ] = [ getPositionAt(paths[i], time - 1), getPositionAt(paths[i], time) ];
+            const [ fromB, toB ] = [ getPositionAt(paths[j], time - 1), getPositionAt(paths[j], time) ];
+            const isSwap = !isSameCell(fromA, toA) && isSameCell(fromA, toB) && isSameCell(toA, fromB);
+            if (isSwap) { conflicts.push({ "type": "edge", "agents": [ i, j ], "time": time, "cells": [ fromA, toA ] }); }
+        }));
+    }
+
+    return conflicts;
+}
+
+/**
+ * Searches the fastest path of the specified agent in space-time with A*, the path has a cell for each timestep.
+ * Once nothing changes anymore times are merged, so that waiting forever doesn't make the search endless
+ * @param {Agent} agent - The agent to search the path of
+ * @param {WorldMap} worldMap - The World to search in
+ * @param {SearchController} controller - Controls the pace of the search
+ * @param {SpaceTimeRules} [rules] - What the agent must avoid
+ * @returns {Array<UMath.Vec2>} The cell the agent is on at each time, empty if it can't reach its goal
+ */
+export async function findSpaceTimePath(agent, worldMap, controller, rules = NO_RULES) {
+    const { start, goal } = agent;
+    const h = getTimestepHeuristic(worldMap).estimate;
+    const goalIndex = worldMap.cellToIndex(goal.x, goal.y);
+    // Each state is a cell at a time, times past the last change are all the same
+    const toKey = (index, time) => `${index}@${Math.min(time, rules.lastChangeTime + 1)}`;
+
+    let addedNodes = 0;
+    /** @type {BinaryHeap<OpenSetNode & { "time": Number, "key": String }>} */
+    const openSet = new BinaryHeap(createNodeComparator(controller.tieBreaking));
+    const startIndex = worldMap.cellToIndex(start.x, start.y);
+    const startH = h(start, goal);
+    openSet.push({
+        "node": start, "index": startIndex, "time": 0, "key": toKey(startIndex, 0),
+        "f": startH, "g": 0, "h": startH, "order": addedNodes++
+    });
+
+    /** @type {Set<String>} */
+    const closedSet = new Set();
+    /**
+     * The state each state was reached from the earliest, only merged times can be reached again earlier
+     * @type {Map<String, { "node": UMath.Vec2, "time": Number, "parent": String|undefined }>}
+     */
+    const cameFrom = new Map([ [ toKey(startIndex, 0), { "node": start, "time": 0, "parent": undefined } ] ]);
+    /** The cells that were drawn as visited, cells are only drawn the first time they're reached */
+    const visitedCells = new Set([ startIndex ]);
+
+    while (!openSet.isEmpty()) {
+        const current = openSet.pop();
+        if (closedSet.has(current.key)) { continue; }
+
+        await controller.beginStep(openSet.size);
+
+        if (current.index === goalIndex && current.time >= rules.goalFreeTime) {
+            const path = [ ];
+            for (let key = current.key; key !== undefined; key = cameFrom.get(key).parent) {
+                path.unshift(cameFrom.get(key).node);
+            }
+            return path;
+        }
+
+        closedSet.add(current.key);
+
+        const time = current.time + 1;
+        // Waiting is a move that doesn't leave the cell
+        const moves = [ current.node, ...worldMap.getNeighbours(current.node.x, current.node.y) ];
+        for (const next of moves) {
+            const nextIndex = worldMap.cellToIndex(next.x, next.y);
+            const nextKey = toKey(nextIndex, time);
+            if (closedSet.has(nextKey) || (cameFrom.get(nextKey)?.time ?? Number.POSITIVE_INFINITY) <= time) { continue; }
+            if (rules.isCellBlocked(nextIndex, time) || rules.isMoveBlocked(current.index, nextIndex, time)) { continue; }
+
+            if (visitedCells.has(nextIndex)) {
+                controller.stats.generated++;
+            } else {
+                visitedCells.add(nextIndex);
+                await visitCell(worldMap, next, controller);
+            }
+
+            cameFrom.set(nextKey, { "node": next, "time": time, "parent": current.key });
+            const hScore = h(next, goal);
+            openSet.push({
+                "node": next, "index": nextIndex, "time": time, "key": nextKey,
+                "f": time + hScore, "g": time, "h": hScore, "order": addedNodes++
+            });
+        }
+    }
+
+    return [];
+}
+
+/**
+ * Searches the path of each agent on its own, the paths may conflict with each other
+ * @param {Array<Agent>} agents - The agents to search the paths of
+ * @param {WorldMap} worldMap - The World to search in
+ * @param {SearchController} controller - Controls the pace of the search
+ * @returns {Array<Array<UMath.Vec2>>} The path of each agent, empty for the ones that can't reach their goal
+ */
+export async function IndependentAStar(agents, worldMap, controller) {
+    const paths = [ ];
+    for (const agent of agents) {
+        paths.push(await findSpaceTimePath(agent, worldMap, controller));
+    }
+    return paths;
+}
@@ -0,0 +1,254 @@
+import { readFile } from "node:fs/promises";
+import { parseArgs } from "node:util";
+import * as WorldMap from "./WorldMap.js";
+import * as MapIO from "./MapIO.js";
+import { UMath } from "./wCanvas/wcanvas.js";
+import { availableAlgorithms } from "./algorithms/allAlgorithms.js";
+import { getPathCost } from "./algorithms/searchUtils.js";
+import { HEURISTICS, TOPOLOGY_HEURISTICS } from "./algorithms/heuristics.js";
+import { validatePath, getValidationWarnings } from "./algorithms/pathValidation.js";
+import { SearchController, SearchLimitError, TIE_BREAKING_POLICIES, DEFAULT_EXPANSION_LIMIT } from "./SearchController.js";
+
+const USAGE = `Usage: node cli.js <map> [scenario] [options]
+
+Runs path finding algorithms on a JSON or MovingAI map and prints one JSON result per line.
+A MovingAI scenario (.scen) can be specified to run all of its problems,
+otherwise the map must be a JSON map with both START and GOAL.
+
+Options:
+  -a, --algorithm <name>       The algorithm to run (shortName or longName), can be repeated, "all" runs every one (default: A*)
+  -d, --diagonals              Allows diagonal moves
+  -c, --corner-cutting <mode>  How diagonal moves can go past walls: always, no_squeezing or never (default: always)
+  -t, --tie-breaking <policy>  How ties between nodes are broken: LIFO, FIFO, HighG or LowH (default: LIFO)
+  -e, --heuristic <name>       The heuristic (shortName or longName): MAN, EUC, CHEB, OCT, HEX, TRI or ZERO
+                               (default: EUC, HEX on maps of hexes and TRI on maps of triangles)
+  -w, --weight <weight>        What the estimates of the heuristic are multiplied by (default: 1)
+  -l, --expansion-limit <n>    How many nodes searches on maps without boundaries can expand (default: ${DEFAULT_EXPANSION_LIMIT})
+      --no-paths               Leaves the paths out of the results
+  -h, --help                   Shows this message
+
+MovingAI reference lengths assume diagonal moves that never cut corners (-d -c never).`;
+
+/** How much the cost of a path can differ from the reference length while still being optimal */
+const OPTIMALITY_TOLERANCE = 1e-4;
+
+/**
+ * @typedef {Object} SearchOptions - How searches are run
+ * @property {TIE_BREAKING_POLICIES[0]} tieBreaking - How ties between nodes are broken
+ * @property {HEURISTICS[0]} heuristic - The heuristic used by algorithms that need one
+ * @property {Number} heuristicWeight - What the estimates of the heuristic are multiplied by
+ * @property {Number} expansionLimit - How many nodes searches on maps without boundaries can expand before giving up
+ * @property {Boolean} includePath - Whether or not paths should be part of the results
+ */
+
+/**
+ * A World that only keeps its layout, the cells searches draw to show their progress are dropped
+ */
+class HeadlessWorldMap extends WorldMap.WorldMap {
+    /**
+     * @param {Number} w - The width (in cells) of the world
+     * @param {Number} h - The height (in cells) of the world
+     * @param {Boolean} [hasBoundary] - Whether or not the world has boundaries
+     */
+    constructor(w, h, hasBoundary = true) {
+        super(0, 0, w, h, hasBoundary, false, false);
+    }
+
+    putCell(cell = WorldMap.CELL_TYPES.WALL, x, y, force = false) {
+        // Otherwise the World would have to be cleaned after each search
+        if (WorldMap.SEARCH_CELL_TYPES[cell] || cell === WorldMap.CELL_TYPES.START || cell === WorldMap.CELL_TYPES.GOAL) {
+            return cell;
+        }
+        return super.putCell(cell, x, y, force);
+    }
+}
+
+/**
+ * Returns the algorithms with the specified names
+ * @param {Array<String>} names - The shortName or longName of each algorithm, "all" for every algorithm
+ * @returns {Array<availableAlgorithms[0]>} The algorithms
+ */
+function findAlgorithms(names) {
+    if (names.some(name => name.toLowerCase() === "all")) { return availableAlgorithms; }
+
+    return names.map(name => {
+        const algorithm = availableAlgorithms.find(
+            algo => algo.shortName.toLowerCase() === name.toLowerCase() || algo.longName.toLowerCase() === name.toLowerCase()
+        );
+        if (algorithm === undefined) {
+            throw new Error(`Unknown algorithm ${name}, available ones are: ${availableAlgorithms.map(algo => algo.shortName).join(", ")}`);
+        }
+        return algorithm;
+    });
+}
+
+/**
+ * Checks that a search can start and end where the specified problem says
+ * @param {HeadlessWorldMap} worldMap - The World to search in
+ * @param {{ "start": UMath.Vec2, "goal": UMath.Vec2 }} problem - Where the search starts and ends
+ * @returns {String|undefined} Why the problem can't be searched, undefined if it can
+ */
+function getProblemError(worldMap, problem) {
+    for (const [ name, pos ] of [ [ "START", problem.start ], [ "GOAL", problem.goal ] ]) {
+        if (!worldMap.isInBounds(pos.x, pos.y)) { return `${name} (${pos.x}, ${pos.y}) is out of the map`; }
+        if (worldMap.isCellSolid(pos.x, pos.y)) { return `${name} (${pos.x}, ${pos.y}) is on a solid cell`; }
+    }
+    return undefined;
+}
+
+/**
+ * Runs the specified algorithm without delay and returns what it found
+ * @param {HeadlessWorldMap} worldMap - The World to search in
+ * @param {availableAlgorithms[0]} algorithm - The algorithm to run
+ * @param {{ "start": UMath.Vec2, "goal": UMath.Vec2, "optimalLength": Number|undefined }} problem - Where the search starts and ends,
+ *  alongside the cost of the shortest path if it's known
+ * @param {SearchOptions} options - How the search is run
+ * @returns {Promise<Object>} The result
+ */
+async function runSearch(worldMap, algorithm, problem, options) {
+    const { start, goal, optimalLength } = problem;
+    const controller = new SearchController();
+    controller.tieBreaking = options.tieBreaking;
+    controller.heuristic = options.heuristic;
+    controller.heuristicWeight = options.heuristicWeight;
+    if (!worldMap.hasBoundary) { controller.expansionLimit = options.expansionLimit; }
+
+    const startTime = performance.now();
+    let path;
+    let limitReached = false;
+    try {
+        path = await algorithm.search(start, goal, worldMap, controller);
+    } catch (err) {
+        if (!(err instanceof SearchLimitError)) { throw err; }
+        path = [ ];
+        limitReached = true;
+    }
+    const time = performance.now() - startTime;
+
+    const cost = getPathCost(path, worldMap);
+    // Weighted heuristics overestimate on purpose, so only the heuristic itself is checked
+    // Searches that gave up have nothing to validate, and checking that no path exists could run forever too
+    const validation = limitReached ? null : validatePath(
+        path, start, goal, worldMap, algorithm.usesHeuristic ? options.heuristic.estimate : undefined
+    );
+    // Infinity would be written as null, which already means that the cheapest cost is unknown
+    const cheapestCost = validation === null ? null : validation.optimalCost;
+    return {
+        "algorithm": algorithm.longName,
+        "start": [ start.x, start.y ],
+        "goal": [ goal.x, goal.y ],
+        "found": path.length > 0,
+        "limitReached": limitReached,
+        "length": Math.max(path.length - 1, 0),
+        "cost": cost,
+        "expanded": controller.stats.expanded,
+        "generated": controller.stats.generated,
+        "maxOpenSetSize": controller.stats.maxOpenSetSize,
+        "time": time,
+        ...(algorithm.usesHeuristic ? { "heuristic": options.heuristic.longName, "heuristicWeight": options.heuristicWeight } : { }),
+        "optimalLength": optimalLength ?? null,
+        "isOptimal": optimalLength === undefined ? null : path.length > 0 && Math.abs(cost - optimalLength) <= OPTIMALITY_TOLERANCE,
+        "cheapestCost": cheapestCost === Number.POSITIVE_INFINITY ? null : cheapestCost,
+        "pathExists": cheapestCost === null ? null : cheapestCost !== Number.POSITIVE_INFINITY,
+        "warnings": validation === null ? [ ] : getValidationWarnings(validation, algorithm),
+        ...(options.includePath ? { "path": path.map(node => [ node.x, node.y ]) } : { })
+    };
+}
+
+async function main() {
+    const { values, positionals } = parseArgs({
+        "allowPositionals": true,
+        "options": {
+            "algorithm": { "type": "string", "short": "a", "multiple": true, "default": [ "A*" ] },
+            "diagonals": { "type": "boolean", "short": "d", "default": false },
+            "corner-cutting": { "type": "string", "short": "c", "default": WorldMap.CORNER_CUTTING_POLICIES.ALWAYS },
+            "tie-breaking": { "type": "string", "short": "t", "default": TIE_BREAKING_POLICIES[0].shortName },
+            "heuristic": { "type": "string", "short": "e" },
+            "weight": { "type": "string", "short": "w", "default": "1" },
+            "expansion-limit": { "type": "string", "short": "l", "default": DEFAULT_EXPANSION_LIMIT.toString() },
+            "no-paths": { "type": "boolean", "default": false },
+            "help": { "type": "boolean", "short": "h", "default": false }
+        }
+    });
+
+    if (values.help || positionals.length === 0) {
+        console.log(USAGE);
+        return;
+    }
+
+    const [ mapFile, scenarioFile ] = positionals;
+    if (!Object.values(WorldMap.CORNER_CUTTING_POLICIES).includes(values["corner-cutting"])) {
+        throw new Error(`Unknown corner cutting policy ${values["corner-cutting"]}`);
+    }
+    const tieBreaking = TIE_BREAKING_POLICIES.find(
+        policy => policy.shortName.toLowerCase() === values["tie-breaking"].toLowerCase()
+    );
+    if (tieBreaking === undefined) {
+        throw new Error(`Unknown tie breaking policy ${values["tie-breaking"]}`);
+    }
+    // The default heuristic depends on the topology of the map
+    const heuristic = values.heuristic === undefined ? undefined : HEURISTICS.find(
+        heur => heur.shortName.toLowerCase() === values.heuristic.toLowerCase() || heur.longName.toLowerCase() === values.heuristic.toLowerCase()
+    );
+    if (values.heuristic !== undefined && heuristic === undefined) {
+        throw new Error(`Unknown heuristic ${values.heuristic}`);
+    }
+    const heuristicWeight = Number(values.weight);
+    if (Number.isNaN(heuristicWeight) || heuristicWeight < 0) {
+        throw new Error(`Invalid heuristic weight ${values.weight}`);
+    }
+    const expansionLimit = Number(values["expansion-limit"]);
+    if (!Number.isInteger(expansionLimit) || expansionLimit <= 0) {
+        throw new Error(`Invalid expansion limit ${values["expansion-limit"]}`);
+    }
+    const algorithms = findAlgorithms(values.algorithm);
+
+    const mapData = MapIO.parseMapFile(mapFile, await readFile(mapFile, "utf8"));
+    const worldMap = new HeadlessWorldMap(mapData.width, mapData.height, mapData.hasBoundary);
+    MapIO.loadMapData(worldMap, mapData);
+    worldMap.diagonals = values.diagonals;
+    worldMap.cornerCutting = values["corner-cutting"];
+
+    /** @type {Array<MapIO.Scenario>} */
+    let scenarios;
+    if (scenarioFile === undefined) {
+        if (mapData.start === undefined || mapData.goal === undefined) {
+            throw new Error("Maps without a scenario must contain both START and GOAL");
+        }
+        scenarios = [ { "start": mapData.start, "goal": mapData.goal } ];
+    } else {
+        scenarios = MapIO.parseMovingAIScenario(await readFile(scenarioFile, "utf8"));
+    }
+
+    for (let i = 0; i < scenarios.length; i++) {
+        const scenario = scenarios[i];
+        if (scenario.mapWidth !== undefined && (scenario.mapWidth !== mapData.width || scenario.mapHeight !== mapData.height)) {
+            throw new Error(`Problem ${i} is on a ${scenario.mapWidth}x${scenario.mapHeight} map, not on a ${mapData.width}x${mapData.height} one`);
+        }
+
+        // Searches would return paths that go through walls, so the problem is reported instead
+        const error = getProblemError(worldMap, scenario);
+        if (error !== undefined) {
+            console.log(JSON.stringify({
+                "scenario": i, "start": [ scenario.start.x, scenario.start.y ], "goal": [ scenario.goal.x, scenario.goal.y ], "error": error
+            }));
+            continue;
+        }
+
+        for (const algorithm of algorithms) {
+            const result = await runSearch(worldMap, algorithm, scenario, {
+                "tieBreaking": tieBreaking,
+                "heuristic": heuristic ?? HEURISTICS[TOPOLOGY_HEURISTICS[worldMap.topology]],
+                "heuristicWeight": heuristicWeight,
+                "expansionLimit": expansionLimit,
+                "includePath": !values["no-paths"]
+            });
+            console.log(JSON.stringify({ "scenario": i, ...result }));
+        }
+    }
+}
+
+main().catch(err => {
+    console.error(err.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,77 @@
+import { SearchController } from "../SearchController.js";
+import { WorldMap, CELL_TYPES } from "../WorldMap.js";
+
+const GENERATIONS = 5;
+
+/**
+ * Counts the walls around the specified cell, cells outside of the world count as walls
+ * @param {Uint8Array} walls - Whether or not each cell is a wall, indexed by x + y * w
+ * @param {Number} w - The width of the world
+ * @param {Number} h - The height of the world
+ * @param {Number} x - The x pos of the cell
+ * @param {Number} y - The y pos of the cell
+ * @returns {Number} The number of walls around the cell
+ */
+function countWallsAround(walls, w, h, x, y) {
+    let count = 0;
+    for (let relX = -1; relX <= 1; relX++) {
+        for (let relY = -1; relY <= 1; relY++) {
+            if (relX === 0 && relY === 0) { continue; }
+            const nX = x + relX, nY = y + relY;
+            if (nX < 0 || nX >= w || nY < 0 || nY >= h || walls[nX + nY * w]) {
+                count++;
+            }
+        }
+    }
+    return count;
+}
+
+/**
+ * Generates caves by smoothing random noise with the 4-5 rule (source: https://www.roguebasin.com/index.php/Cellular_Automata_Method_for_Generating_Random_Cave-Like_Levels)
+ * @param {WorldMap} worldMap - The World to generate the caves in
+ * @param {SearchController} controller - Controls the pace of the generator
+ * @param {Number} [density] - The chance (0-1) of each cell being a wall before smoothing
+ */
+export async function CellularAutomaton(worldMap, controller, density = 0.45) {
+    const w = worldMap.size.x;
+    const h = worldMap.size.y;
+
+    let walls = new Uint8Array(w * h);
+    for (let x = 0; x < w; x++) {
+        for (let y = 0; y < h; y++) {
+            if (controller.random() < density) {
+                walls[x + y * w] = 1;
+                worldMap.putCell(CELL_TYPES.WALL, x, y);
+            }
+        }
+    }
+
+    for (let generation = 0; generation < GENERATIONS; generation++) {
+        const nextWalls = new Uint8Array(w * h);
+        for (let x = 0; x < w; x++) {
+            for (let y = 0; y < h; y++) {
+                const wallsAround = countWallsAround(walls, w, h, x, y);
+                nextWalls[x + y * w] = wallsAround >= 5 || (walls[x + y * w] && wallsAround >= 4) ? 1 : 0;
+            }
+        }
+
+        // Changes are drawn one column at a time so that each generation can be seen sweeping the map
+        for (let x = 0; x < w; x++) {
+            await controller.beginStep();
+            let hasChanged = false;
+            for (let y = 0; y < h; y++) {
+                const i = x + y * w;
+                if (walls[i] !== nextWalls[i]) {
+                    worldMap.putCell(nextWalls[i] ? CELL_TYPES.WALL : CELL_TYPES.EMPTY, x, y, true);
+                    hasChanged = true;
+                }
+            }
+
+            if (hasChanged) {
+                await controller.wait();
+            }
+        }
+
+        walls = nextWalls;
+    }
+}
@@ -0,0 +1,18 @@
+import { WorldMap, CELL_TYPES } from "../WorldMap.js";
+import { SearchController } from "../SearchController.js";
+
+/**
+ * Scatters walls randomly, each cell has the same chance of being a wall
+ * @param {WorldMap} worldMap - The World to generate the map in
+ * @param {SearchController} controller - Controls the pace of the generator
+ * @param {Number} [density] - The chance (0-1) of each cell being a wall
+ */
+export async function Noise(worldMap, controller, density = 1 / 3) {
+    for (let x = 0; x < worldMap.size.x; x++) {
+        for (let y = 0; y < worldMap.size.y; y++) {
+            if (controller.random() < density) {
+                worldMap.putCell(CELL_TYPES.WALL, x, y);
+            }
+        }
+    }
+}
@@ -0,0 +1,61 @@
+import { UMath } from "../wCanvas/wcanvas.js";
+import * as mazeUtils from "./mazeUtils.js";
+import * as utils from "../utils.js";
+import { WorldMap } from "../WorldMap.js";
+import { SearchController } from "../SearchController.js";
+
+/**
+ * Returns the root of the set the specified element is in, compressing its path
+ * @param {Array<Number>} parents - The parent of each element
+ * @param {Number} element - The element to find the root of
+ * @returns {Number} The root of the set
+ */
+function findRoot(parents, element) {
+    while (parents[element] !== element) {
+        parents[element] = parents[parents[element]];
+        element = parents[element];
+    }
+    return element;
+}
+
+/**
+ * The Randomized Kruskal's maze generator (source: https://en.wikipedia.org/wiki/Maze_generation_algorithm#Iterative_randomized_Kruskal's_algorithm_(with_sets))
+ * @param {WorldMap} worldMap - The World to generate the maze in
+ * @param {SearchController} controller - Controls the pace of the generator
+ */
+export async function RandomizedKruskal(worldMap, controller) {
+    mazeUtils.fillWithWalls(worldMap);
+
+    const gridSize = mazeUtils.getRoomGridSize(worldMap);
+
+    /** @type {Array<[UMath.Vec2, UMath.Vec2]>} */
+    const edges = [ ];
+    for (let x = 0; x < worldMap.size.x; x += 2) {
+        for (let y = 0; y < worldMap.size.y; y += 2) {
+            const room = new UMath.Vec2(x, y);
+            if (x + 2 < worldMap.size.x) { edges.push([ room, new UMath.Vec2(x + 2, y) ]); }
+            if (y + 2 < worldMap.size.y) { edges.push([ room, new UMath.Vec2(x, y + 2) ]); }
+        }
+    }
+
+    if (edges.length === 0) {
+        const room = mazeUtils.pickRandomRoom(worldMap, controller.random);
+        await mazeUtils.carvePassage(worldMap, room, room, controller);
+        return;
+    }
+
+    const parents = [ ];
+    for (let i = 0; i < gridSize.x * gridSize.y; i++) {
+        parents.push(i);
+    }
+
+    utils.shuffle(edges, controller.random);
+    for (const [ from, to ] of edges) {
+        const fromRoot = findRoot(parents, mazeUtils.roomToIndex(worldMap, from));
+        const toRoot = findRoot(parents, mazeUtils.roomToIndex(worldMap, to));
+        if (fromRoot !== toRoot) {
+            parents[fromRoot] = toRoot;
+            await mazeUtils.carvePassage(worldMap, from, to, controller);
+        }
+    }
+}
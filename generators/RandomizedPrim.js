@@ -0,0 +1,49 @@
+import * as mazeUtils from "./mazeUtils.js";
+import * as utils from "../utils.js";
+import { WorldMap } from "../WorldMap.js";
+import { SearchController } from "../SearchController.js";
+
+/**
+ * The Randomized Prim's maze generator (source: https://en.wikipedia.org/wiki/Maze_generation_algorithm#Iterative_randomized_Prim's_algorithm_(without_stack,_without_sets))
+ * @param {WorldMap} worldMap - The World to generate the maze in
+ * @param {SearchController} controller - Controls the pace of the generator
+ */
+export async function RandomizedPrim(worldMap, controller) {
+    mazeUtils.fillWithWalls(worldMap);
+
+    const start = mazeUtils.pickRandomRoom(worldMap, controller.random);
+    await mazeUtils.carvePassage(worldMap, start, start, controller);
+
+    const inMaze = new Set([ mazeUtils.roomToIndex(worldMap, start) ]);
+    const inFrontier = new Set();
+    const frontier = [ ];
+
+    const addToFrontier = room => {
+        mazeUtils.getRoomNeighbours(worldMap, room).forEach(neighbour => {
+            const index = mazeUtils.roomToIndex(worldMap, neighbour);
+            if (!inMaze.has(index) && !inFrontier.has(index)) {
+                inFrontier.add(index);
+                frontier.push(neighbour);
+            }
+        });
+    };
+
+    addToFrontier(start);
+    while (frontier.length > 0) {
+        // Swap-removes a random room from the frontier
+        const i = utils.randomInt(frontier.length, controller.random);
+        const room = frontier[i];
+        frontier[i] = frontier[frontier.length - 1];
+        frontier.pop();
+
+        const connections = mazeUtils.getRoomNeighbours(worldMap, room).filter(
+            neighbour => inMaze.has(mazeUtils.roomToIndex(worldMap, neighbour))
+        );
+
+        const connection = connections[utils.randomInt(connections.length, controller.random)];
+        inMaze.add(mazeUtils.roomToIndex(worldMap, room));
+        await mazeUtils.carvePassage(worldMap, connection, room, controller);
+
+        addToFrontier(room);
+    }
+}
@@ -0,0 +1,37 @@
+import * as mazeUtils from "./mazeUtils.js";
+import * as utils from "../utils.js";
+import { WorldMap } from "../WorldMap.js";
+import { SearchController } from "../SearchController.js";
+
+/**
+ * The Recursive Backtracker maze generator (source: https://en.wikipedia.org/wiki/Maze_generation_algorithm#Randomized_depth-first_search)
+ * @param {WorldMap} worldMap - The World to generate the maze in
+ * @param {SearchController} controller - Controls the pace of the generator
+ */
+export async function RecursiveBacktracker(worldMap, controller) {
+    mazeUtils.fillWithWalls(worldMap);
+
+    const start = mazeUtils.pickRandomRoom(worldMap, controller.random);
+    await mazeUtils.carvePassage(worldMap, start, start, controller);
+
+    // An explicit stack is used instead of recursion, big worlds would overflow the call stack
+    const stack = [ start ];
+    const visited = new Set([ mazeUtils.roomToIndex(worldMap, start) ]);
+
+    while (stack.length > 0) {
+        const current = stack[stack.length - 1];
+        const unvisited = mazeUtils.getRoomNeighbours(worldMap, current).filter(
+            room => !visited.has(mazeUtils.roomToIndex(worldMap, room))
+        );
+
+        if (unvisited.length === 0) {
+            stack.pop();
+            continue;
+        }
+
+        const next = unvisited[utils.randomInt(unvisited.length, controller.random)];
+        visited.add(mazeUtils.roomToIndex(worldMap, next));
+        await mazeUtils.carvePassage(worldMap, current, next, controller);
+        stack.push(next);
+    }
+}
@@ -0,0 +1,63 @@
+import * as mazeUtils from "./mazeUtils.js";
+import * as utils from "../utils.js";
+import { WorldMap, CELL_TYPES } from "../WorldMap.js";
+import { SearchController } from "../SearchController.js";
+import { TOPOLOGIES } from "../Topology.js";
+
+/**
+ * The Recursive Division maze generator (source: https://en.wikipedia.org/wiki/Maze_generation_algorithm#Recursive_division_method)
+ * @param {WorldMap} worldMap - The World to generate the maze in
+ * @param {SearchController} controller - Controls the pace of the generator
+ */
+export async function RecursiveDivision(worldMap, controller) {
+    const gridSize = mazeUtils.getRoomGridSize(worldMap);
+    const lastRoomX = (gridSize.x - 1) * 2;
+    const lastRoomY = (gridSize.y - 1) * 2;
+
+    // Worlds with an even size have a trailing line of cells which isn't part of any room
+    if (lastRoomX < worldMap.size.x - 1) { worldMap.fillRect(CELL_TYPES.WALL, worldMap.size.x - 1, 0, 1, worldMap.size.y); }
+    if (lastRoomY < worldMap.size.y - 1) { worldMap.fillRect(CELL_TYPES.WALL, 0, worldMap.size.y - 1, worldMap.size.x, 1); }
+
+    /**
+     * Chambers that still need to be divided, as (minX, maxX, minY, maxY) tuples of room coords
+     * @type {Array<[Number, Number, Number, Number]>}
+     */
+    const chambers = [ [ 0, lastRoomX, 0, lastRoomY ] ];
+    /** The indices of the cells below the gaps of triangle Worlds, which walls built later must leave open */
+    const keptOpen = new Set();
+    // A single column of triangles can't be walked down, so vertical walls leave at least two columns of rooms on each side
+    const wallMargin = worldMap.topology === TOPOLOGIES.TRIANGLE ? 2 : 0;
+    while (chambers.length > 0) {
+        const [ minX, maxX, minY, maxY ] = chambers.pop();
+        const w = maxX - minX;
+        const h = maxY - minY;
+        // Dividing a single row or column of rooms would only add gaps
+        if (w < 2 || h < 2) { continue; }
+
+        const isHorizontal = w < 2 + wallMargin * 2 || w < h || (w === h && controller.random() < 0.5);
+        if (isHorizontal) {
+            const wallY = minY + 1 + utils.randomInt(h / 2, controller.random) * 2;
+            const gapX = minX + utils.randomInt(w / 2 + 1, controller.random) * 2;
+            // On triangles the gap only touches the room above it, the cell next to it leads to the room below
+            const sideGapX = worldMap.topology !== TOPOLOGIES.TRIANGLE ? gapX : (gapX < maxX ? gapX + 1 : gapX - 1);
+            if (sideGapX !== gapX) { keptOpen.add(worldMap.cellToIndex(sideGapX, wallY + 1)); }
+            for (let x = minX; x <= maxX; x++) {
+                if (x === gapX || x === sideGapX) { continue; }
+                await controller.beginStep();
+                worldMap.putCell(CELL_TYPES.WALL, x, wallY);
+                await controller.wait();
+            }
+            chambers.push([ minX, maxX, minY, wallY - 1 ], [ minX, maxX, wallY + 1, maxY ]);
+        } else {
+            const wallX = minX + 1 + wallMargin + utils.randomInt(w / 2 - wallMargin, controller.random) * 2;
+            const gapY = minY + utils.randomInt(h / 2 + 1, controller.random) * 2;
+            for (let y = minY; y <= maxY; y++) {
+                if (y === gapY || keptOpen.has(worldMap.cellToIndex(wallX, y))) { continue; }
+                await controller.beginStep();
+                worldMap.putCell(CELL_TYPES.WALL, wallX, y);
+                await controller.wait();
+            }
+            chambers.push([ minX, wallX - 1, minY, maxY ], [ wallX + 1, maxX, minY, maxY ]);
+        }
+    }
+}
@@ -0,0 +1,45 @@
+import { Noise } from "./Noise.js";
+import { RecursiveBacktracker } from "./RecursiveBacktracker.js";
+import { RandomizedPrim } from "./RandomizedPrim.js";
+import { RandomizedKruskal } from "./RandomizedKruskal.js";
+import { RecursiveDivision } from "./RecursiveDivision.js";
+import { CellularAutomaton } from "./CellularAutomaton.js";
+
+export const availableGenerators = [
+    {
+        "shortName": "NOISE",
+        "longName": "Noise",
+        "usesDensity": true,
+        "generate": Noise
+    },
+    {
+        "shortName": "RB",
+        "longName": "RecursiveBacktracker",
+        "usesDensity": false,
+        "generate": RecursiveBacktracker
+    },
+    {
+        "shortName": "PRIM",
+        "longName": "RandomizedPrim",
+        "usesDensity": false,
+        "generate": RandomizedPrim
+    },
+    {
+        "shortName": "KRUSKAL",
+        "longName": "RandomizedKruskal",
+        "usesDensity": false,
+        "generate": RandomizedKruskal
+    },
+    {
+        "shortName": "RD",
+        "longName": "RecursiveDivision",
+        "usesDensity": false,
+        "generate": RecursiveDivision
+    },
+    {
+        "shortName": "CA",
+        "longName": "CellularAutomaton",
+        "usesDensity": true,
+        "generate": CellularAutomaton
+    }
+];
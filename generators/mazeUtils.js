@@ -0,0 +1,89 @@
+import { UMath } from "../wCanvas/wcanvas.js";
+import * as utils from "../utils.js";
+import { WorldMap, CELL_TYPES } from "../WorldMap.js";
+import { SearchController } from "../SearchController.js";
+import { TOPOLOGIES } from "../Topology.js";
+
+/*
+    Maze generators work on a grid of rooms placed on even coordinates,
+    the cells between two rooms are the walls that can be carved to connect them.
+    Rooms are triangles that point up, so the cell below one only touches it and not the room below that cell.
+*/
+
+/**
+ * Returns how many rooms fit within the world on each axis
+ * @param {WorldMap} worldMap - The World the maze is in
+ * @returns {UMath.Vec2} The number of columns and rows of rooms
+ */
+export function getRoomGridSize(worldMap) {
+    return new UMath.Vec2(Math.ceil(worldMap.size.x / 2), Math.ceil(worldMap.size.y / 2));
+}
+
+/**
+ * Converts the pos of a room to an unique index
+ * @param {WorldMap} worldMap - The World the maze is in
+ * @param {UMath.Vec2} room - The pos of the room
+ * @returns {Number} The index of the room
+ */
+export function roomToIndex(worldMap, room) {
+    return room.x / 2 + room.y / 2 * getRoomGridSize(worldMap).x;
+}
+
+/**
+ * Picks a random room within the world
+ * @param {WorldMap} worldMap - The World the maze is in
+ * @param {() -> Number} random - The random number generator to use (see utils.createRandom)
+ * @returns {UMath.Vec2} The pos of the room
+ */
+export function pickRandomRoom(worldMap, random) {
+    const gridSize = getRoomGridSize(worldMap);
+    return new UMath.Vec2(utils.randomInt(gridSize.x, random) * 2, utils.randomInt(gridSize.y, random) * 2);
+}
+
+/**
+ * Returns all rooms that are adjacent to the specified one
+ * @param {WorldMap} worldMap - The World the maze is in
+ * @param {UMath.Vec2} room - The pos of the room
+ * @returns {Array<UMath.Vec2>} The pos of all adjacent rooms
+ */
+export function getRoomNeighbours(worldMap, room) {
+    return [
+        UMath.Vec2.add(room, { x:  2, y:  0 }),
+        UMath.Vec2.add(room, { x: -2, y:  0 }),
+        UMath.Vec2.add(room, { x:  0, y:  2 }),
+        UMath.Vec2.add(room, { x:  0, y: -2 })
+    ].filter(
+        neighbour => neighbour.x >= 0 && neighbour.x < worldMap.size.x && neighbour.y >= 0 && neighbour.y < worldMap.size.y
+    );
+}
+
+/**
+ * Fills the whole world with walls, which is where carving maze generators start from
+ * @param {WorldMap} worldMap - The World to fill
+ */
+export function fillWithWalls(worldMap) {
+    worldMap.fillRect(CELL_TYPES.WALL, 0, 0, worldMap.size.x, worldMap.size.y);
+}
+
+/**
+ * Carves the passage between two adjacent rooms
+ * @param {WorldMap} worldMap - The World the maze is in
+ * @param {UMath.Vec2} from - The room to start from
+ * @param {UMath.Vec2} to - The room to connect to
+ * @param {SearchController} controller - Controls the pace of the generator
+ */
+export async function carvePassage(worldMap, from, to, controller) {
+    await controller.beginStep();
+    worldMap.putCell(CELL_TYPES.EMPTY, from.x, from.y, true);
+    worldMap.putCell(CELL_TYPES.EMPTY, (from.x + to.x) / 2, (from.y + to.y) / 2, true);
+    worldMap.putCell(CELL_TYPES.EMPTY, to.x, to.y, true);
+    if (worldMap.topology === TOPOLOGIES.TRIANGLE && from.x === to.x) {
+        // The passage goes around through the column next to the rooms, the lower room is reached from its side
+        const sideX = from.x + 1 < worldMap.size.x ? from.x + 1 : from.x - 1;
+        const lowerY = Math.max(from.y, to.y);
+        worldMap.putCell(CELL_TYPES.EMPTY, sideX, lowerY - 1, true);
+        worldMap.putCell(CELL_TYPES.EMPTY, sideX, lowerY, true);
+    }
+
+    await controller.wait();
+}
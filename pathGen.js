@@ -1,51 +1,511 @@
-
+import { UMath } from "./wCanvas/wcanvas.js";
 import * as WorldMap from "./WorldMap.js";
 import { availableAlgorithms } from "./algorithms/allAlgorithms.js";
+import { availableGenerators } from "./generators/allGenerators.js";
+import { availableMultiAgentSolvers } from "./algorithms/allMultiAgentSolvers.js";
+import { SearchController, SearchCancelledError, SearchLimitError, TIE_BREAKING_POLICIES } from "./SearchController.js";
+import { getPathCost } from "./algorithms/searchUtils.js";
+import { HEURISTICS } from "./algorithms/heuristics.js";
+import { validatePath, mergeValidations } from "./algorithms/pathValidation.js";
+import { createPlanner } from "./algorithms/replanning.js";
+import { ROUTE_ORDERS, orderRoute } from "./algorithms/routing.js";
+import { getTimestepHeuristic, findConflicts, getPositionAt, getMakespan, getSumOfCosts } from "./algorithms/spaceTime.js";
+import * as utils from "./utils.js";
+import { TOPOLOGIES } from "./Topology.js";
+
+// How often (ms) stats are sent while a search is running
+const STATS_INTERVAL = 100;
+// How long (ms) agents take to walk each cell of their path
+const WALK_STEP_TIME = 150;
 
 // Used to lock path gen when one is already being generated
 let lockPathGen = false;
+
+/** @type {SearchController} The controller of the path gen that's currently running */
+let currentController = null;
+/** @type {WorldMap.WorkerWorldMap} The world map the current path gen is running on */
+let currentWorldMap = null;
+/** @type {Array<UMath.Vec2>} The cells the user toggled walls on while the agent walks, applied before its next step */
+let pendingWallToggles = [ ];
+
 /**
- * Generates a starting point, an end point, a WorldMap with random walls and calculates the path from start to end
- * @param {WorldMap.WorkerWorldMap} worldMap - The world map to get cell data from
- * @param {availableAlgorithms[0]} algorithm - The algorithm to use
- * @param {Number} actionDelay - The delay between each algorithm's move
- * @returns {Array<UMath.Vec2>} The path to the goal
+ * Runs the specified function while path gen is locked, does nothing if it's already locked
+ * @param {WorldMap.WorkerWorldMap} worldMap - The world map func runs on
+ * @param {SearchController} controller - The controller that can pause or cancel func
+ * @param {() => Promise<any>} func - The function to run
+ * @returns {Promise<any>} The value returned by func or null if path gen was locked or cancelled
  */
-async function generatePath(worldMap, algorithm, actionDelay = 0) {
+async function withPathGenLock(worldMap, controller, func) {
     if (lockPathGen) { return null; }
     lockPathGen = true;
+    currentWorldMap = worldMap;
+    currentController = controller;
     self.postMessage([ "lock_gen" ]);
 
-    worldMap.clearMap();
-    
-    const start = worldMap.pickRandomPos();
-    const goal = worldMap.pickRandomPos();
+    try {
+        return await func();
+    } catch (err) {
+        if (!(err instanceof SearchCancelledError)) { throw err; }
+        // Shows what was done before the path gen was cancelled
+        worldMap.sendCellQueue();
+        return null;
+    } finally {
+        lockPathGen = false;
+        currentWorldMap = null;
+        currentController = null;
+        self.postMessage([ "unlock_gen" ]);
+    }
+}
+
+/**
+ * Changes the delay of the path gen that's currently running
+ * @param {Number} actionDelay - The new delay between each action
+ */
+function setActionDelay(actionDelay) {
+    currentController.actionDelay = actionDelay;
+
+    // Cells are only queued when there's no delay, so the ones that were queued must be sent
+    currentWorldMap.alwaysUpdate = actionDelay > 0;
+    currentWorldMap.sendCellQueue();
+}
+
+/**
+ * Creates the stats of the search that's running on the specified controller
+ * @param {SearchController} controller - The controller of the search
+ * @param {Number} startTime - When the search started (see performance.now)
+ * @param {"running"|"found"|"no_path"|"cancelled"|"limit_reached"} state - The state of the search
+ * @param {WorldMap.WorkerWorldMap} [worldMap] - The World the path is in
+ * @param {Array<UMath.Vec2>} [path] - The path that was found
+ * @param {Array<Array<UMath.Vec2>>} [legs] - The path between each pair of stops of the route the path follows
+ * @returns {import("./utils.js").PathGenStats} The stats
+ */
+function createStats(controller, startTime, state, worldMap, path = [ ], legs = [ ]) {
+    return {
+        "state": state,
+        "expanded": controller.stats.expanded,
+        "generated": controller.stats.generated,
+        "maxOpenSetSize": controller.stats.maxOpenSetSize,
+        "pathLength": Math.max(path.length - 1, 0),
+        "pathCost": path.length > 0 ? getPathCost(path, worldMap) : 0,
+        "time": performance.now() - startTime - controller.stats.pausedTime,
+        "heuristic": controller.heuristic.longName,
+        "heuristicWeight": controller.heuristicWeight,
+        "legs": legs.map(leg => ({
+            "pathLength": Math.max(leg.length - 1, 0),
+            "pathCost": leg.length > 0 ? getPathCost(leg, worldMap) : 0
+        }))
+    };
+}
+
+/**
+ * Sends the stats of the search that's running on the specified controller (see createStats)
+ * @param {SearchController} controller - The controller of the search
+ * @param {Number} startTime - When the search started (see performance.now)
+ * @param {"running"|"found"|"no_path"|"cancelled"|"limit_reached"} state - The state of the search
+ * @param {WorldMap.WorkerWorldMap} [worldMap] - The World the path is in
+ * @param {Array<UMath.Vec2>} [path] - The path that was found
+ * @param {Array<Array<UMath.Vec2>>} [legs] - The path between each pair of stops of the route the path follows
+ */
+function sendStats(controller, startTime, state, worldMap, path = [ ], legs = [ ]) {
+    self.postMessage([ "stats", createStats(controller, startTime, state, worldMap, path, legs) ]);
+}
+
+/**
+ * Sends the stats of the multi-agent search that was running on the specified controller,
+ * the length and cost of the paths are summed and waiting is free
+ * @param {SearchController} controller - The controller of the search
+ * @param {Number} startTime - When the search started (see performance.now)
+ * @param {"found"|"no_path"} state - The state of the search
+ * @param {WorldMap.WorkerWorldMap} worldMap - The World the agents are in
+ * @param {Array<Array<UMath.Vec2>>} paths - The path of each agent, empty for the ones that have none
+ * @param {Number} conflicts - How many conflicts there are between the paths
+ */
+function sendAgentStats(controller, startTime, state, worldMap, paths, conflicts) {
+    // Waits are left out, they don't move the agent
+    const moves = paths.map(path => path.filter((cell, i) => i === 0 || cell.x !== path[i - 1].x || cell.y !== path[i - 1].y));
+    const stats = {
+        ...createStats(controller, startTime, state),
+        "pathLength": moves.reduce((length, path) => length + Math.max(path.length - 1, 0), 0),
+        "pathCost": moves.reduce((cost, path) => cost + getPathCost(path, worldMap), 0),
+        "makespan": getMakespan(paths),
+        "sumOfCosts": getSumOfCosts(paths),
+        "conflicts": conflicts
+    };
+    self.postMessage([ "stats", stats ]);
+}
 
-    for (let i = 0; i < worldMap.size.x * worldMap.size.y / 3; i++) {
-        const pos = worldMap.pickRandomPos();
-        if (start.x === pos.x && start.y === pos.y || goal.x === pos.x && goal.y === pos.y) {
-            continue;
+/**
+ * Calculates the path from start to goal on the specified WorldMap, visiting all waypoints along the way.
+ * Each leg of the route is searched on its own and drawn with its own shade (see PATH_SHADES)
+ * @param {WorldMap.WorkerWorldMap} worldMap - The world map to get cell data from
+ * @param {availableAlgorithms[0]} algorithm - The algorithm to use
+ * @param {UMath.Vec2} start - The starting point
+ * @param {UMath.Vec2} goal - The end point
+ * @param {SearchController} controller - Controls the pace of the algorithm
+ * @param {Number} expansionLimit - How many nodes the algorithm can expand (in total) before giving up
+ * @param {Array<UMath.Vec2>} [waypoints] - The waypoints to visit, in the given order
+ * @param {ROUTE_ORDERS[0]} [routeOrder] - How the waypoints are ordered
+ * @returns {Array<UMath.Vec2>} The path to the goal
+ */
+async function searchPath(worldMap, algorithm, start, goal, controller, expansionLimit, waypoints = [ ], routeOrder = ROUTE_ORDERS[0]) {
+    controller.resetStats();
+    controller.expansionLimit = expansionLimit;
+    const startTime = performance.now();
+    const statsInterval = setInterval(() => sendStats(controller, startTime, "running"), STATS_INTERVAL);
+
+    /** @type {Array<UMath.Vec2>} */
+    let stops;
+    /** @type {Array<Array<UMath.Vec2>>} */
+    const legs = [ ];
+    try {
+        // Ordering the waypoints is part of the search, so it's timed and limited too
+        stops = await orderRoute(start, waypoints, goal, worldMap, routeOrder, controller);
+        for (let i = 1; i < stops.length; i++) {
+            const leg = await algorithm.search(stops[i - 1], stops[i], worldMap, controller);
+            legs.push(leg);
+            if (leg.length === 0) { break; }
         }
+    } catch (err) {
+        if (err instanceof SearchCancelledError) { sendStats(controller, startTime, "cancelled"); }
+        if (!(err instanceof SearchLimitError)) { throw err; }
 
-        worldMap.putCell(WorldMap.CELL_TYPES.WALL, pos.x, pos.y);
+        // There's no path to validate, and checking that none exists could run forever too
+        worldMap.sendCellQueue();
+        sendStats(controller, startTime, "limit_reached");
+        return [];
+    } finally {
+        clearInterval(statsInterval);
     }
 
-    const path = await algorithm.search(
-        start, goal,
-        worldMap, actionDelay
-    );
+    const isComplete = legs.length === stops.length - 1 && legs[legs.length - 1].length > 0;
+    const path = isComplete ? legs.flatMap((leg, i) => i === 0 ? leg : leg.slice(1)) : [ ];
+    // Later legs drew over the earlier ones
+    if (isComplete && legs.length > 1) {
+        legs.forEach((leg, i) => leg.forEach(
+            node => worldMap.putCell(WorldMap.PATH_SHADES[i % WorldMap.PATH_SHADES.length], node.x, node.y)
+        ));
+    }
 
     worldMap.sendCellQueue();
+    sendStats(controller, startTime, isComplete ? "found" : "no_path", worldMap, path, legs);
 
-    lockPathGen = false;
-    self.postMessage([ "unlock_gen" ]);
+    // Validating takes time, so it's done once the time of the search was sent
+    // The weight makes the heuristic overestimate on purpose, so only the heuristic itself is checked
+    const h = algorithm.usesHeuristic ? controller.heuristic.estimate : undefined;
+    self.postMessage([ "validation", mergeValidations(
+        legs.map((leg, i) => validatePath(leg, stops[i], stops[i + 1], worldMap, h))
+    ) ]);
     return path;
 }
 
+/**
+ * Puts a wall on the specified cell or removes the one that's there, START, GOAL and the agent can't be walled in
+ * @param {WorldMap.WorkerWorldMap} worldMap - The World the cell is in
+ * @param {UMath.Vec2} cell - The pos of the cell
+ * @returns {Boolean} Whether or not the cell changed
+ */
+function toggleWall(worldMap, cell) {
+    if (!worldMap.isInBounds(cell.x, cell.y)) { return false; }
+
+    const selectedCell = worldMap.getCell(cell.x, cell.y);
+    if (selectedCell === WorldMap.CELL_TYPES.WALL) {
+        worldMap.putCell(WorldMap.CELL_TYPES.EMPTY, cell.x, cell.y, true);
+        return true;
+    }
+    if (WorldMap.PERMANENT_CELL_TYPES[selectedCell] || selectedCell === WorldMap.CELL_TYPES.AGENT) { return false; }
+
+    worldMap.putCell(WorldMap.CELL_TYPES.WALL, cell.x, cell.y);
+    return true;
+}
+
+/**
+ * Makes an agent walk from start to goal one cell at a time while walls appear and disappear,
+ * the path is planned again each time the walls change (see replanning.js)
+ * @param {WorldMap.WorkerWorldMap} worldMap - The world map to get cell data from
+ * @param {availableAlgorithms[0]} algorithm - The algorithm to plan with
+ * @param {UMath.Vec2} start - The starting point
+ * @param {UMath.Vec2} goal - The end point
+ * @param {SearchController} controller - Controls the pace of the agent and of the algorithm
+ * @param {Number} expansionLimit - How many nodes the algorithm can expand (in total) before giving up
+ * @param {Number} randomChanges - How many random cells have their wall toggled before each step of the agent
+ * @returns {Array<UMath.Vec2>} The path the agent walked, empty if it couldn't reach the goal
+ */
+async function walkPath(worldMap, algorithm, start, goal, controller, expansionLimit, randomChanges) {
+    controller.resetStats();
+    controller.expansionLimit = expansionLimit;
+    pendingWallToggles = [ ];
+    const startTime = performance.now();
+    const statsInterval = setInterval(() => sendStats(controller, startTime, "running"), STATS_INTERVAL);
+
+    const planner = createPlanner(algorithm, worldMap, goal, controller);
+    const walkedPath = [ start ];
+    let agent = start;
+    try {
+        let path = await planner.plan(agent);
+        while (path.length > 1) {
+            await waitForWalkStep(controller);
+
+            // START stays where the walk began
+            if (agent !== start) { worldMap.putCell(WorldMap.CELL_TYPES.WALKED, agent.x, agent.y, true); }
+            agent = path[1];
+            walkedPath.push(agent);
+            if (agent.x === goal.x && agent.y === goal.y) { break; }
+            worldMap.putCell(WorldMap.CELL_TYPES.AGENT, agent.x, agent.y, true);
+
+            const toggledCells = pendingWallToggles.splice(0);
+            for (let i = 0; i < randomChanges; i++) { toggledCells.push(worldMap.pickRandomPos(controller.random)); }
+            const changedCells = toggledCells.filter(cell => (cell.x !== goal.x || cell.y !== goal.y) && toggleWall(worldMap, cell));
+            if (changedCells.length === 0) {
+                path = path.slice(1);
+                continue;
+            }
+
+            // What's left of the old path is only shown as explored
+            path.slice(2).forEach(node => {
+                if (worldMap.isCellType(WorldMap.CELL_TYPES.PATH, node.x, node.y)) {
+                    worldMap.putCell(WorldMap.CELL_TYPES.CALCULATED, node.x, node.y);
+                }
+            });
+            await planner.update(changedCells, agent);
+            path = await planner.plan(agent);
+            worldMap.putCell(WorldMap.CELL_TYPES.AGENT, agent.x, agent.y, true);
+        }
+    } catch (err) {
+        if (err instanceof SearchCancelledError) { sendStats(controller, startTime, "cancelled"); }
+        if (!(err instanceof SearchLimitError)) { throw err; }
+
+        worldMap.sendCellQueue();
+        sendStats(controller, startTime, "limit_reached");
+        return [];
+    } finally {
+        clearInterval(statsInterval);
+    }
+
+    worldMap.sendCellQueue();
+    // Walls changed while the agent walked, so its path can't be validated against the World it ended in
+    const hasArrived = agent.x === goal.x && agent.y === goal.y;
+    sendStats(controller, startTime, hasArrived ? "found" : "no_path", worldMap, hasArrived ? walkedPath : [ ]);
+    return hasArrived ? walkedPath : [ ];
+}
+
+/**
+ * Waits for the next step of walking agents, the time they spend walking is left out of the search
+ * @param {SearchController} controller - Controls the pace of the agents
+ */
+async function waitForWalkStep(controller) {
+    const stepStart = Date.now();
+    await utils.sleep(WALK_STEP_TIME);
+    controller.stats.pausedTime += Date.now() - stepStart;
+    controller.checkCancelled();
+    if (controller.isPaused) { await controller.waitForStep(); }
+}
+
+/**
+ * Searches the paths of all agents on the specified WorldMap (see WorldMap#getAgentCells) with a multi-agent solver,
+ * then moves the agents along their paths one timestep at a time, showing where they conflict
+ * @param {WorldMap.WorkerWorldMap} worldMap - The world map to get cell data from
+ * @param {availableMultiAgentSolvers[0]} solver - The solver to use
+ * @param {SearchController} controller - Controls the pace of the solver and of the agents
+ * @param {Number} expansionLimit - How many nodes the solver can expand (in total) before giving up
+ * @returns {Array<Array<UMath.Vec2>>} The path of each agent, empty for the ones that have none
+ */
+async function solveAgents(worldMap, solver, controller, expansionLimit) {
+    controller.resetStats();
+    controller.expansionLimit = expansionLimit;
+    // Agents that are missing START or GOAL are left out, the others keep their color
+    const agentIndices = [ ];
+    const agents = [ ];
+    worldMap.getAgentCells().forEach((cells, i) => {
+        if (cells.start === undefined || cells.goal === undefined) { return; }
+        agentIndices.push(i);
+        agents.push(cells);
+    });
+    // Each move takes a timestep, so the heuristic counts moves
+    controller.heuristic = getTimestepHeuristic(worldMap);
+    controller.heuristicWeight = 1;
+    const startTime = performance.now();
+    const statsInterval = setInterval(() => sendStats(controller, startTime, "running"), STATS_INTERVAL);
+
+    let paths;
+    try {
+        paths = await solver.solve(agents, worldMap, controller);
+    } catch (err) {
+        if (err instanceof SearchCancelledError) { sendStats(controller, startTime, "cancelled"); }
+        if (!(err instanceof SearchLimitError)) { throw err; }
+
+        worldMap.sendCellQueue();
+        sendStats(controller, startTime, "limit_reached");
+        return [];
+    } finally {
+        clearInterval(statsInterval);
+    }
+
+    // The cells explored by all agents would hide their paths, each path is drawn with the color of its agent
+    worldMap.clearCellTypes(WorldMap.SEARCH_CELL_TYPES);
+    paths.forEach((path, i) => path.forEach(
+        cell => worldMap.putCell(WorldMap.AGENT_CELL_TYPES[agentIndices[i]].path, cell.x, cell.y)
+    ));
+    worldMap.sendCellQueue();
+
+    const conflicts = findConflicts(paths, worldMap);
+    const isSolved = agents.length > 0 && paths.every(path => path.length > 0);
+    sendAgentStats(controller, startTime, isSolved ? "found" : "no_path", worldMap, paths, conflicts.length);
+
+    for (let time = 1; time <= getMakespan(paths); time++) {
+        await waitForWalkStep(controller);
+
+        // All agents leave their cells before any of them enters one, conflicts stay visible
+        paths.forEach((path, i) => {
+            if (path.length === 0) { return; }
+            const cell = getPositionAt(path, time - 1);
+            if (!worldMap.isCellType(WorldMap.CELL_TYPES.CONFLICT, cell.x, cell.y)) {
+                worldMap.putCell(WorldMap.AGENT_CELL_TYPES[agentIndices[i]].path, cell.x, cell.y);
+            }
+        });
+        paths.forEach((path, i) => {
+            if (path.length === 0) { return; }
+            const cell = getPositionAt(path, time);
+            worldMap.putCell(WorldMap.AGENT_CELL_TYPES[agentIndices[i]].marker, cell.x, cell.y);
+        });
+        conflicts.filter(conflict => conflict.time === time).forEach(
+            conflict => conflict.cells.forEach(cell => worldMap.putCell(WorldMap.CELL_TYPES.CONFLICT, cell.x, cell.y))
+        );
+        worldMap.sendCellQueue();
+    }
+
+    return paths;
+}
+
+/**
+ * Generates a WorldMap using the specified generator, a starting point, an end point and calculates the path from start to end
+ * @param {WorldMap.WorkerWorldMap} worldMap - The world map to get cell data from
+ * @param {availableGenerators[0]} generator - The map generator to use
+ * @param {availableAlgorithms[0]} [algorithm] - The algorithm to use, only the map is generated if null
+ * @param {SearchController} controller - Controls the pace of the generator and of the algorithm
+ * @param {Number} [density] - The wall density passed to the generator
+ * @param {Number} [expansionLimit] - How many nodes the algorithm can expand before giving up
+ * @param {Number} [waypointCount] - How many waypoints are put on random empty cells once the map is generated
+ * @param {ROUTE_ORDERS[0]} [routeOrder] - How the waypoints are ordered
+ * @returns {Array<UMath.Vec2>} The path to the goal
+ */
+async function generatePath(
+    worldMap, generator, algorithm, controller, density,
+    expansionLimit = Number.POSITIVE_INFINITY, waypointCount = 0, routeOrder = ROUTE_ORDERS[0]
+) {
+    worldMap.clearMap();
+
+    await generator.generate(worldMap, controller, density);
+    const waypoints = [ ];
+    for (let i = 0; i < waypointCount; i++) {
+        const waypoint = worldMap.pickRandomEmptyPos(controller.random);
+        if (waypoint === undefined) { break; }
+        worldMap.putCell(WorldMap.CELL_TYPES.WAYPOINT, waypoint.x, waypoint.y);
+        waypoints.push(waypoint);
+    }
+    worldMap.sendCellQueue();
+    if (algorithm === null) { return []; }
+
+    const start = worldMap.pickRandomEmptyPos(controller.random);
+    if (start === undefined) { return []; }
+    worldMap.putCell(WorldMap.CELL_TYPES.START, start.x, start.y);
+
+    const goal = worldMap.pickRandomEmptyPos(controller.random);
+    if (goal === undefined) { return []; }
+
+    return await searchPath(worldMap, algorithm, start, goal, controller, expansionLimit, waypoints, routeOrder);
+}
+
 self.addEventListener("message", ev => {
-    /** @type {[ Number, Number, Number, Number, Number, Boolean ]} */
-    const [ width, height, hasBounds, actionTime, maxCellQueue, algoIndex ] = ev.data;
-    const worldMap = new WorldMap.WorkerWorldMap(self, width, height, hasBounds, actionTime > 0, maxCellQueue);
+    /** @type {[ import("./utils.js").PathGenMessages, ...any ]} */
+    const [ messageType, ...args ] = ev.data;
 
-    generatePath(worldMap, availableAlgorithms[algoIndex], actionTime);
+    switch (messageType) {
+        case "generate":
+        case "search":
+        case "walk":
+        case "solve_agents": {
+            if (lockPathGen) { break; }
+
+            /** @type {import("./utils.js").PathGenSettings} */
+            const settings = args.shift();
+            const worldMap = new WorldMap.WorkerWorldMap(
+                self, settings.width, settings.height, settings.hasBoundary,
+                settings.actionDelay > 0, settings.maxCellQueue
+            );
+            worldMap.terrainCosts = settings.terrainCosts;
+            worldMap.diagonals = settings.diagonals;
+            worldMap.cornerCutting = settings.cornerCutting;
+            worldMap.topology = settings.topology ?? TOPOLOGIES.SQUARE;
+            const algorithm = availableAlgorithms[settings.algorithmIndex];
+
+            // Cells queued while paused must be sent, the page would show an outdated map otherwise
+            const controller = new SearchController(settings.actionDelay, () => worldMap.sendCellQueue());
+            controller.random = utils.createRandom(settings.seed);
+            controller.tieBreaking = TIE_BREAKING_POLICIES[settings.tieBreakingIndex];
+            controller.heuristic = HEURISTICS[settings.heuristicIndex];
+            controller.heuristicWeight = settings.heuristicWeight;
+            if (settings.startPaused) { controller.pause(); }
+            // Worlds with boundaries can't be searched forever
+            const expansionLimit = settings.hasBoundary ? Number.POSITIVE_INFINITY : settings.expansionLimit;
+            const routeOrder = ROUTE_ORDERS[settings.routeOrderIndex] ?? ROUTE_ORDERS[0];
+
+            if (messageType === "solve_agents") {
+                /** @type {[ Array<String|Number> ]} */
+                const [ cellArray ] = args;
+                worldMap.loadCellArray(cellArray);
+                const solver = availableMultiAgentSolvers[settings.agentSolverIndex];
+                withPathGenLock(worldMap, controller, () => solveAgents(worldMap, solver, controller, expansionLimit));
+            } else if (messageType === "generate") {
+                withPathGenLock(worldMap, controller, () => generatePath(
+                    worldMap, availableGenerators[settings.generatorIndex], settings.mapOnly ? null : algorithm,
+                    controller, settings.generatorDensity, expansionLimit, settings.waypointCount, routeOrder
+                ));
+            } else {
+                /** @type {[ Number, Number, Number, Number, Array<String|Number>, Array<Number> ]} */
+                const [ startX, startY, goalX, goalY, cellArray, waypointArray = [ ] ] = args;
+                worldMap.loadCellArray(cellArray);
+                const [ start, goal ] = [ new UMath.Vec2(startX, startY), new UMath.Vec2(goalX, goalY) ];
+                // Waypoints are sent as (x, y) pairs, in the given order
+                const waypoints = [ ];
+                for (let i = 0; i < waypointArray.length; i += 2) {
+                    waypoints.push(new UMath.Vec2(waypointArray[i], waypointArray[i + 1]));
+                }
+
+                // Walking agents go straight to GOAL, only searches visit the waypoints
+                withPathGenLock(worldMap, controller, () => messageType === "walk" ?
+                    walkPath(worldMap, algorithm, start, goal, controller, expansionLimit, settings.walkChanges) :
+                    searchPath(worldMap, algorithm, start, goal, controller, expansionLimit, waypoints, routeOrder)
+                );
+            }
+            break;
+        }
+        case "toggle_wall": {
+            /** @type {[ Number, Number ]} */
+            const [ x, y ] = args;
+            if (currentController !== null) { pendingWallToggles.push(new UMath.Vec2(x, y)); }
+            break;
+        }
+        case "pause": {
+            if (currentController !== null) { currentController.pause(); }
+            break;
+        }
+        case "resume": {
+            if (currentController !== null) { currentController.resume(); }
+            break;
+        }
+        case "step": {
+            if (currentController !== null) { currentController.advance(); }
+            break;
+        }
+        case "cancel": {
+            if (currentController !== null) { currentController.cancel(); }
+            break;
+        }
+        case "set_delay": {
+            /** @type {[ Number ]} */
+            const [ actionDelay ] = args;
+            if (currentController !== null) { setActionDelay(actionDelay); }
+            break;
+        }
+    }
 });
@@ -1,175 +1,1861 @@
 
-import { wCanvas, Color } from "./wCanvas/wcanvas.js";
+import { wCanvas, Color, UMath } from "./wCanvas/wcanvas.js";
 import { capitalize } from "./utils.js";
 import * as WorldMap from "./WorldMap.js";
 import { availableAlgorithms } from "./algorithms/allAlgorithms.js";
+import { availableGenerators } from "./generators/allGenerators.js";
+import { availableMultiAgentSolvers } from "./algorithms/allMultiAgentSolvers.js";
 import * as utils from "./utils.js";
+import { Viewport } from "./Viewport.js";
+import * as MapIO from "./MapIO.js";
+import { TIE_BREAKING_POLICIES, DEFAULT_EXPANSION_LIMIT } from "./SearchController.js";
+import { getValidationWarnings } from "./algorithms/pathValidation.js";
+import { HEURISTICS, DEFAULT_HEURISTIC, TOPOLOGY_HEURISTICS } from "./algorithms/heuristics.js";
+import { ROUTE_ORDERS } from "./algorithms/routing.js";
+import * as Permalink from "./Permalink.js";
+import { Recording, recordingsToJSON, parseRecordings } from "./Recording.js";
+import { recordingToGIF, worldToPNG } from "./MediaExport.js";
+import { Minimap } from "./Minimap.js";
+import { TOPOLOGIES, getCellsIn } from "./Topology.js";
+import * as Settings from "./Settings.js";
 
 // SETTINGS
-const KEY_BINDINGS = {
+/** The keys bound to each action until the user rebinds them */
+const DEFAULT_KEY_BINDINGS = {
     "restart"               : "R",
+    "find_path"             : "F",
+    "walk"                  : "W",
+    "solve_agents"          : "A",
+    "clear_map"             : "C",
     "toggle_settings"       : "H",
     "toggle_grid"           : "G",
+    "toggle_diagonals"      : "D",
     "toggle_restart_message": "U",
-    "toggle_info"           : "I"
+    "toggle_info"           : "I",
+    "toggle_stats"          : "S",
+    "toggle_pause"          : "P",
+    "step"                  : "N",
+    "cancel"                : "X",
+    "speed_up"              : "+",
+    "slow_down"             : "-",
+    "toggle_replay"         : "Y",
+    "timeline_back"         : "[",
+    "timeline_forward"      : "]",
+    "timeline_jump_back"    : "{",
+    "timeline_jump_forward" : "}",
+    "pan_up"                : "ARROWUP",
+    "pan_down"              : "ARROWDOWN",
+    "pan_left"              : "ARROWLEFT",
+    "pan_right"             : "ARROWRIGHT",
+    "reset_camera"          : "0",
+    "toggle_minimap"        : "M"
+};
+
+/** The settings used until the user changes them, the ones the user changes are saved in the browser (see Settings.js) */
+const DEFAULT_SETTINGS = {
+    "keyBindings": DEFAULT_KEY_BINDINGS,
+    "actionDelay": 25,
+    "gridEnabled": true,
+    "worldWidth": 30,
+    "worldHeight": 15,
+    "algorithm": availableAlgorithms[0].shortName
+};
+
+/** The setting that holds the size of the World on each axis */
+const WORLD_SIZE_SETTINGS = { "x": "worldWidth", "y": "worldHeight" };
+/** The input that shows the size of the World on each axis */
+const WORLD_SIZE_INPUTS = { "x": "worldWidthInput", "y": "worldHeightInput" };
+/** The key that cancels the rebinding of an action, it can't be bound */
+const CANCEL_REBIND_KEY = "ESCAPE";
+/** Keys that are only pressed alongside other ones, they're skipped while an action is being rebound */
+const MODIFIER_KEYS = [ "SHIFT", "CONTROL", "ALT", "META", "ALTGRAPH" ];
+
+const MOUSE_BINDINGS = {
+    "LMB": "Draw With Brush, Drag Start/Goal/Waypoints/Agents, Toggle Walls While Walking",
+    "RMB": "Erase",
+    "MMB, Shift + LMB": "Pan",
+    "Wheel": "Zoom"
 };
 
 const MIN_WORLD_SIZE = 8;
 const MAX_WORLD_SIZE = 400;
 const MAX_ACTION_TIME = 100;
+const MIN_TERRAIN_COST = 1; // The heuristics assume that no move costs less than 1
+const MAX_TERRAIN_COST = 100;
+const DEFAULT_AGENT_COUNT = 4; // Agents put on the map by a multi-agent search when there are none
+const MAX_WAYPOINT_COUNT = 32; // Waypoints put on generated maps, each one makes ordering the route search the whole World again
+
+/** What the settings saved in the browser or opened from a file can be set to */
+const SETTINGS_LIMITS = {
+    "minWorldSize": MIN_WORLD_SIZE,
+    "maxWorldSize": MAX_WORLD_SIZE,
+    "maxActionDelay": MAX_ACTION_TIME,
+    "algorithms": availableAlgorithms.map(algo => algo.shortName)
+};
+
+/** The brush that puts the START and GOAL of agents, it isn't a cell type */
+const AGENT_BRUSH = "AGENTS";
 
-const GRID_COLOR = new Color("#444");
-const BACKGROUND_COLOR = new Color("#000");
+const GRID_HEX = "#444";
+const GRID_COLOR = new Color(GRID_HEX);
+/** Hexes and triangles are outlined one by one, so their grid isn't drawn when cells are smaller than this (px) */
+const MIN_SHAPED_GRID_SIZE = 4;
+const BACKGROUND_HEX = "#000"; // Exported images use it too
+const BACKGROUND_COLOR = new Color(BACKGROUND_HEX);
 const TEXT_OUTLINE = new Color("#000");
 const TEXT_COLOR = new Color("#fff");
 
+/** The stats shown in the stats panel, lower values are better */
+const SHOWN_STATS = [
+    { "name": "Expanded Nodes"   , "key": "expanded"      , "digits": 0 },
+    { "name": "Generated Nodes"  , "key": "generated"     , "digits": 0 },
+    { "name": "Max Open Set Size", "key": "maxOpenSetSize", "digits": 0 },
+    { "name": "Path Length"      , "key": "pathLength"    , "digits": 0 },
+    { "name": "Path Cost"        , "key": "pathCost"      , "digits": 2 },
+    { "name": "Time (ms)"        , "key": "time"          , "digits": 1 }
+];
+
+/** The stats shown in the stats panel after a multi-agent search, lower values are better */
+const AGENT_STATS = [
+    { "name": "Makespan"         , "key": "makespan"      , "digits": 0 },
+    { "name": "Sum Of Costs"     , "key": "sumOfCosts"    , "digits": 0 },
+    { "name": "Conflicts"        , "key": "conflicts"     , "digits": 0 }
+];
+
+/** The text shown in the stats panel for each state of the search */
+const SEARCH_STATES = {
+    "running"  : "Searching...",
+    "found"    : "Path Found",
+    "no_path"  : "No Path Found!",
+    "cancelled": "Cancelled",
+    "limit_reached": "Expansion Limit Reached"
+};
+
 const MAX_CELL_QUEUE = 50; // Higher = More Performance (but less visual appeal, 50 should be enough)
+
+const DEFAULT_REPLAY_SPEED = 60; // Recorded messages replayed each second
+const REPLAY_INTERVAL = 16; // ms between two updates of a replay
+const TIMELINE_JUMP = 0.05; // How much of the timeline is skipped by a jump
+
+const DEFAULT_EXPORT_SIZE = 1024; // px, how big exported images are when no cell size is chosen
+const MAX_EXPORT_SIZE = 4096; // px, exported images are never bigger than this
+
+const MAX_CELL_SIZE = 128; // px, how much the camera can zoom in
+const ZOOM_STEP = 1.25; // How much each step of the mouse wheel zooms
+const KEYBOARD_PAN = 0.1; // How much of the viewport is panned by each key press
+
+const MINIMAP_SIZE = 200; // px, the max width and height of the minimap
+const MINIMAP_REFRESH_INTERVAL = 250; // ms between two refreshes of the minimap
+const MINIMAP_MARGIN = 10; // px between the minimap and the edges of the viewport
 // END SETTINGS
 
-let actionDelay = 25;
-let gridEnabled = true;
+/** The settings that are saved in the browser, they're kept up to date by the inputs that change them */
+let settings = Settings.copySettings(DEFAULT_SETTINGS);
+/** The key bound to each action, rebinding an action changes it */
+const KEY_BINDINGS = { ...DEFAULT_SETTINGS.keyBindings };
+/** Whether or not the inputs that change settings save them, they don't while a link restores its run */
+let isSavingSettings = true;
+/** The action that's waiting for a key to be bound to, undefined if none is */
+let rebindingAction = undefined;
+
+let actionDelay = DEFAULT_SETTINGS.actionDelay;
+let gridEnabled = DEFAULT_SETTINGS.gridEnabled;
 let restartMessage = true;
+let minimapEnabled = true;
 
 /** @type {WorldMap.WorldMap} */
-const WORLD_MAP = new WorldMap.WorldMap(0, 0, 30, 15, true, true, true);
+const WORLD_MAP = new WorldMap.WorldMap(0, 0, DEFAULT_SETTINGS.worldWidth, DEFAULT_SETTINGS.worldHeight, true, true, true);
 
 let SCALE = 64;
-let currentAlgorithm = availableAlgorithms[0];
+/** The cell size (px) that fits the whole World within each viewport, SCALE is that size zoomed in */
+let fitScale = 64;
+/** How much the camera is zoomed in, 1 shows the whole World */
+let zoom = 1;
+/** The point of the World (in cells) that's shown at the center of each viewport */
+const cameraCenter = new UMath.Vec2(WORLD_MAP.size.x / 2, WORLD_MAP.size.y / 2);
+/** The last pos of the mouse while it's panning the camera, null if it isn't */
+let panOrigin = null;
+/** Whether or not the camera follows the mouse on the minimap */
+let isMinimapHeld = false;
+const minimap = new Minimap(MINIMAP_SIZE, MINIMAP_REFRESH_INTERVAL);
+/** The index of the algorithm used by the main viewport (see availableAlgorithms) */
+let currentAlgorithm = 0;
+let currentGenerator = 0;
+/** The cell drawn by the left mouse button, either WALL, WAYPOINT, a terrain type or AGENT_BRUSH */
+let currentBrush = WorldMap.CELL_TYPES.WALL;
+/** The wall density (0-1) used by generators, undefined to use the generator's default */
+let generatorDensity = undefined;
+/** The seed of the random numbers used by the last path gen */
+let seed = utils.randomSeed();
+/** Whether or not the seed was chosen by the user, otherwise each map is generated with a new one */
+let isSeedFixed = false;
+/** The index of the policy used to break ties between nodes (see TIE_BREAKING_POLICIES) */
+let currentTieBreaking = 0;
+/** The index of the heuristic used by algorithms that need one (see HEURISTICS) */
+let currentHeuristic = DEFAULT_HEURISTIC;
+/** What the estimates of the heuristic are multiplied by, above 1 searches are faster but may not find the cheapest path */
+let heuristicWeight = 1;
+/** How many nodes searches on Worlds without boundaries can expand before giving up */
+let expansionLimit = DEFAULT_EXPANSION_LIMIT;
+/** How many random cells have their wall toggled before each step of a walking agent */
+let walkChanges = 0;
+/** The index of the order waypoints are visited in (see ROUTE_ORDERS) */
+let currentRouteOrder = 0;
+/** How many waypoints are put on generated maps */
+let waypointCount = 0;
+/** The index of the solver used by multi-agent searches (see availableMultiAgentSolvers) */
+let currentAgentSolver = 0;
+/** How many agents multi-agent searches put on maps that have none */
+let agentCount = DEFAULT_AGENT_COUNT;
+
+/**
+ * The viewports the canvas is split into, the first one shows WORLD_MAP
+ * and the other ones compare algorithms on copies of it
+ * @type {Array<Viewport>}
+ */
+const viewports = [ ];
 
-/** Whether or not the path gen worker is currently generating/calculating a path */
+/** Whether or not any path gen worker is currently generating/calculating a path */
 let isPathGenLocked = false;
+/** Whether or not the path gen that's currently running is paused */
+let isPathGenPaused = false;
+/** Whether or not an agent is walking its path, walls can be toggled while it does */
+let isWalking = false;
+/** Whether or not the viewports are waiting for each other before starting to search */
+let isStartPending = false;
+/** Whether or not the viewports must start comparing algorithms once the map is generated */
+let isComparisonPending = false;
+
+/** How many recorded messages are replayed each second */
+let replaySpeed = DEFAULT_REPLAY_SPEED;
+/** The step of the recordings shown by the viewports (see Recording#seek) */
+let timelineStep = 0;
+/** The id of the interval that's replaying the recordings, null if they aren't being replayed */
+let replayInterval = null;
+
+/** The size (px) of each cell of exported images, undefined to make them about DEFAULT_EXPORT_SIZE big */
+let exportCellSize = undefined;
+/** How many recorded steps are skipped between two frames of exported GIFs */
+let gifFrameSkip = 0;
+/** Whether or not a GIF is being exported */
+let isExporting = false;
+
+/**
+ * The cell that is being drawn/dragged with the mouse, null if the mouse isn't held
+ * @type {{ "cell": String, "isDragged": Boolean, "x": Number, "y": Number }}
+ */
+let heldCell = null;
 
 /**
- * Draws a grid on the specified pos with the specified size
+ * Draws the grid of the specified World, only within the specified region of the canvas
  * @param {wCanvas} canvas - The canvas to draw the grid on
- * @param {Number} x - The x pos of the origin of the grid
- * @param {Number} y - The y pos of the origin of the grid
- * @param {Number} cols - The number of columns in the grid
- * @param {Number} rows - The number of rows in the grid
+ * @param {WorldMap.WorldMap} worldMap - The World the grid is aligned to, bounded Worlds have no grid around them
+ * @param {{ "x": Number, "y": Number, "w": Number, "h": Number }} area - The visible region of the canvas
  * @param {Number} cellSize - The spacing between each column and row
  */
-function drawGrid(canvas, x, y, cols, rows, cellSize) {
+function drawGrid(canvas, worldMap, area, cellSize) {
     canvas.stroke(GRID_COLOR);
     canvas.strokeWeight(1);
 
-    if (cellSize < 1) { return; }
-    for (let col = 0; col <= cols; col++) {
-        canvas.line(
-            x + col * cellSize, 0,
-            x + col * cellSize, canvas.element.height
-        );
+    if (cellSize < 1) { return; }
+    const { pos, size } = worldMap;
+    let [ minX, minY, maxX, maxY ] = [ area.x, area.y, area.x + area.w, area.y + area.h ];
+    if (worldMap.topology !== TOPOLOGIES.SQUARE) {
+        drawShapedGrid(canvas, worldMap, minX, minY, maxX, maxY, cellSize);
+        return;
+    }
+
+    if (worldMap.hasBoundary) {
+        minX = Math.max(minX, pos.x);
+        minY = Math.max(minY, pos.y);
+        maxX = Math.min(maxX, pos.x + size.x * cellSize);
+        maxY = Math.min(maxY, pos.y + size.y * cellSize);
+    }
+
+    // The first line of each axis is the first one that's within the region
+    for (let x = pos.x + Math.ceil((minX - pos.x) / cellSize) * cellSize; x <= maxX; x += cellSize) {
+        canvas.line(x, minY, x, maxY);
+    }
+
+    for (let y = pos.y + Math.ceil((minY - pos.y) / cellSize) * cellSize; y <= maxY; y += cellSize) {
+        canvas.line(minX, y, maxX, y);
+    }
+}
+
+/**
+ * Draws the grid of a World made of hexes or triangles by outlining each cell within the specified region of the canvas
+ * @param {wCanvas} canvas - The canvas to draw the grid on
+ * @param {WorldMap.WorldMap} worldMap - The World the grid is aligned to, bounded Worlds have no grid around them
+ * @param {Number} minX - The left side of the region
+ * @param {Number} minY - The top side of the region
+ * @param {Number} maxX - The right side of the region
+ * @param {Number} maxY - The bottom side of the region
+ * @param {Number} cellSize - The size (px) of each cell
+ */
+function drawShapedGrid(canvas, worldMap, minX, minY, maxX, maxY, cellSize) {
+    if (cellSize < MIN_SHAPED_GRID_SIZE) { return; }
+    const { pos, size, topology } = worldMap;
+    let range = getCellsIn(
+        topology,
+        (minX - pos.x) / cellSize, (minY - pos.y) / cellSize, (maxX - pos.x) / cellSize, (maxY - pos.y) / cellSize
+    );
+    if (worldMap.hasBoundary) {
+        range = {
+            "minX": Math.max(range.minX, 0), "minY": Math.max(range.minY, 0),
+            "maxX": Math.min(range.maxX, size.x - 1), "maxY": Math.min(range.maxY, size.y - 1)
+        };
+    }
+
+    // Sides shared by two cells are stroked twice, which is still cheaper than stroking each cell on its own
+    const { context } = canvas;
+    context.strokeStyle = GRID_HEX;
+    context.lineWidth = 1;
+    context.beginPath();
+    for (let y = range.minY; y <= range.maxY; y++) {
+        for (let x = range.minX; x <= range.maxX; x++) {
+            utils.traceCell(context, { x, y }, pos.x, pos.y, cellSize, topology);
+        }
+    }
+    context.stroke();
+}
+
+/**
+ * Checks whether or not the camera shows only a part of the World
+ * @returns {Boolean} Whether or not some cells of the World are outside of the viewports
+ */
+function isWorldCropped() {
+    const { area } = viewports[0];
+    const layoutSize = WORLD_MAP.getLayoutSize();
+    return layoutSize.x * SCALE > area.w || layoutSize.y * SCALE > area.h;
+}
+
+/**
+ * @param {wCanvas} canvas
+ * @param {Number} deltaTime
+ */
+function draw(canvas, deltaTime) {
+    canvas.background(BACKGROUND_COLOR);
+
+    // Zoomed in Worlds would go across other viewports
+    viewports.forEach(viewport => {
+        const { area } = viewport;
+        canvas.context.save();
+        canvas.context.beginPath();
+        canvas.context.rect(area.x, area.y, area.w, area.h);
+        canvas.context.clip();
+        viewport.worldMap.draw(canvas, SCALE, area);
+        if (gridEnabled) { drawGrid(canvas, viewport.worldMap, area, SCALE); }
+        canvas.context.restore();
+    });
+
+    if (viewports.length > 1) {
+        drawViewportLabels(canvas);
+    }
+
+    if (minimapEnabled && isWorldCropped()) {
+        const { area } = viewports[0];
+        const { h } = minimap.getSize(WORLD_MAP);
+        minimap.draw(canvas, viewports[0], SCALE, area.x + MINIMAP_MARGIN, area.y + area.h - h - MINIMAP_MARGIN);
+    }
+
+    if (!isPathGenLocked && restartMessage && replayInterval === null) {
+        drawMessage(canvas, `Press ${KEY_BINDINGS.restart} to generate a new path`);
+    } else if (isPathGenPaused) {
+        drawMessage(canvas, `Paused, press ${KEY_BINDINGS.step} to step or ${KEY_BINDINGS.toggle_pause} to resume`);
+    }
+}
+
+/**
+ * Draws the specified message centered on the specified pos
+ * @param {wCanvas} canvas - The canvas to draw the message on
+ * @param {String} message - The message to draw
+ * @param {Number} [x] - The x pos of the center of the message, defaults to the center of the canvas
+ * @param {Number} [y] - The y pos of the center of the message, defaults to the center of the canvas
+ * @param {Number} [textSize] - The size of the text
+ */
+function drawMessage(
+    canvas, message,
+    x = canvas.element.width / 2, y = canvas.element.height / 2,
+    textSize = Math.min(canvas.element.width, canvas.element.height) / 15
+) {
+    canvas.stroke(TEXT_OUTLINE);
+    canvas.strokeWeight(textSize / 55);
+    canvas.fill(TEXT_COLOR);
+    canvas.textSize(textSize);
+    canvas.text(
+        message, x, y,
+        { "alignment": { "horizontal": "center", "vertical": "center" }, "noStroke": false }
+    );
+}
+
+/**
+ * Draws the name of the algorithm used by each viewport on top of its World, marking the winner
+ * @param {wCanvas} canvas - The canvas to draw the names on
+ */
+function drawViewportLabels(canvas) {
+    const winner = getWinner();
+    const textSize = Math.min(canvas.element.width, canvas.element.height) / 30;
+
+    viewports.forEach(viewport => {
+        const { area } = viewport;
+        const top = Math.max(area.y, viewport.worldMap.pos.y);
+        const algorithm = availableAlgorithms[viewport.algorithmIndex];
+        drawMessage(
+            canvas, viewport === winner ? `${algorithm.longName} (Winner)` : algorithm.longName,
+            area.x + area.w / 2, top + textSize, textSize
+        );
+    });
+}
+
+/**
+ * Keeps the camera within the World, Worlds that fit the viewports are centered. Worlds without boundaries go on forever,
+ * so the camera is free to move anywhere
+ * @param {Number} viewportWidth - The width of each viewport
+ * @param {Number} viewportHeight - The height of each viewport
+ */
+function clampCamera(viewportWidth, viewportHeight) {
+    if (!WORLD_MAP.hasBoundary) { return; }
+    const layoutSize = WORLD_MAP.getLayoutSize();
+    [ [ "x", viewportWidth ], [ "y", viewportHeight ] ].forEach(([ axis, viewportSize ]) => {
+        const halfView = viewportSize / 2 / SCALE;
+        const worldSize = layoutSize[axis];
+        cameraCenter[axis] = halfView * 2 >= worldSize ?
+            worldSize / 2 : Math.max(halfView, Math.min(cameraCenter[axis], worldSize - halfView));
+    });
+}
+
+function recalcScale() {
+    // Viewports are laid out on the grid that gives them the biggest cells
+    let cols = 1;
+    fitScale = 0;
+    const layoutSize = WORLD_MAP.getLayoutSize();
+    for (let gridCols = 1; gridCols <= viewports.length; gridCols++) {
+        const gridRows = Math.ceil(viewports.length / gridCols);
+        const scale = Math.min(
+            window.innerHeight / gridRows / layoutSize.y,
+            window.innerWidth / gridCols / layoutSize.x
+        );
+
+        if (scale > fitScale) {
+            fitScale = scale;
+            cols = gridCols;
+        }
+    }
+    SCALE = Math.max(Math.floor(fitScale * zoom), 1);
+
+    const viewportWidth = window.innerWidth / cols;
+    const viewportHeight = window.innerHeight / Math.ceil(viewports.length / cols);
+    clampCamera(viewportWidth, viewportHeight);
+    viewports.forEach((viewport, i) => viewport.fit(
+        (i % cols) * viewportWidth, Math.floor(i / cols) * viewportHeight,
+        viewportWidth, viewportHeight, SCALE, cameraCenter
+    ));
+}
+
+/**
+ * Zooms the camera out to show the whole World
+ */
+function resetCamera() {
+    zoom = 1;
+    const layoutSize = WORLD_MAP.getLayoutSize();
+    cameraCenter.x = layoutSize.x / 2;
+    cameraCenter.y = layoutSize.y / 2;
+    recalcScale();
+}
+
+/**
+ * Zooms the camera, the point of the World that's under the specified pos stays there
+ * @param {Number} x - The x pos on the screen
+ * @param {Number} y - The y pos on the screen
+ * @param {Number} factor - What the zoom is multiplied by
+ */
+function zoomAt(x, y, factor) {
+    const viewport = viewports.find(viewport => viewport.isInArea(x, y)) ?? viewports[0];
+    const { area, worldMap } = viewport;
+    const anchorX = (x - worldMap.pos.x) / SCALE;
+    const anchorY = (y - worldMap.pos.y) / SCALE;
+
+    // Cells can't be smaller than the ones that fit the whole World, unless it has no boundaries
+    const minZoom = WORLD_MAP.hasBoundary ? 1 : 1 / fitScale;
+    zoom = Math.max(minZoom, Math.min(zoom * factor, Math.max(MAX_CELL_SIZE / fitScale, 1)));
+    const newScale = Math.max(Math.floor(fitScale * zoom), 1);
+    cameraCenter.x = anchorX - (x - area.x - area.w / 2) / newScale;
+    cameraCenter.y = anchorY - (y - area.y - area.h / 2) / newScale;
+    recalcScale();
+}
+
+/**
+ * Moves the camera by the specified amount
+ * @param {Number} dx - How much (px) the camera is moved on the x axis
+ * @param {Number} dy - How much (px) the camera is moved on the y axis
+ */
+function panCamera(dx, dy) {
+    cameraCenter.x += dx / SCALE;
+    cameraCenter.y += dy / SCALE;
+    recalcScale();
+}
+
+/**
+ * Centers the camera on the point of the World that's under the specified pos on the minimap
+ * @param {Number} x - The x pos on the screen
+ * @param {Number} y - The y pos on the screen
+ * @returns {Boolean} Whether or not the pos is on the minimap
+ */
+function centerOnMinimap(x, y) {
+    if (!minimapEnabled || !isWorldCropped()) { return false; }
+    const center = minimap.toWorld(WORLD_MAP, x, y);
+    if (center === undefined) { return false; }
+
+    cameraCenter.x = center.x;
+    cameraCenter.y = center.y;
+    recalcScale();
+    return true;
+}
+
+/**
+ * Converts a pos on the screen to the pos of the cell that is under it
+ * @param {Number} x - The x pos on the screen
+ * @param {Number} y - The y pos on the screen
+ * @returns {UMath.Vec2} The pos of the cell
+ */
+function screenToCell(x, y) {
+    return WORLD_MAP.layoutToCell((x - WORLD_MAP.pos.x) / SCALE, (y - WORLD_MAP.pos.y) / SCALE);
+}
+
+/**
+ * Checks whether or not the specified cell is the START or GOAL of an agent of multi-agent searches
+ * @param {String} cell - The cell to check
+ * @returns {Boolean} Whether or not the cell belongs to an agent
+ */
+function isAgentCell(cell) {
+    return WorldMap.AGENT_CELL_TYPES.some(cellTypes => cellTypes.start === cell || cellTypes.goal === cell);
+}
+
+/**
+ * Draws the specified cell on the map, START and GOAL are never replaced and the cells of agents can only be erased
+ * @param {String} cell - The cell to draw (either WALL, EMPTY or a terrain type)
+ * @param {Number} x - The x pos of the cell
+ * @param {Number} y - The y pos of the cell
+ */
+function paintCell(cell, x, y) {
+    if (!WORLD_MAP.isInBounds(x, y)) { return; }
+    const oldCell = WORLD_MAP.getCell(x, y);
+    if (oldCell === WorldMap.CELL_TYPES.START || oldCell === WorldMap.CELL_TYPES.GOAL) { return; }
+    if (isAgentCell(oldCell) && cell !== WorldMap.CELL_TYPES.EMPTY) { return; }
+    WORLD_MAP.putCell(cell, x, y, true);
+}
+
+/**
+ * Puts the missing cell of the first agent that only has its START or its GOAL on the specified cell,
+ * or the START of the first agent that has neither if every agent has both
+ * @param {Number} x - The x pos of the cell
+ * @param {Number} y - The y pos of the cell
+ */
+function putAgentCell(x, y) {
+    const cell = WORLD_MAP.getCell(x, y);
+    if (WorldMap.SOLID_CELL_TYPES[cell] || WorldMap.PERMANENT_CELL_TYPES[cell]) { return; }
+
+    const agentCells = WORLD_MAP.getAgentCells();
+    const waitingAgent = agentCells.findIndex(cells => (cells.start === undefined) !== (cells.goal === undefined));
+    if (waitingAgent !== -1) {
+        const cellTypes = WorldMap.AGENT_CELL_TYPES[waitingAgent];
+        WORLD_MAP.putCell(agentCells[waitingAgent].start === undefined ? cellTypes.start : cellTypes.goal, x, y);
+        return;
+    }
+
+    const newAgent = agentCells.findIndex(cells => cells.start === undefined && cells.goal === undefined);
+    if (newAgent === -1) {
+        window.alert(`There can't be more than ${WorldMap.AGENT_CELL_TYPES.length} agents`);
+        return;
+    }
+    WORLD_MAP.putCell(WorldMap.AGENT_CELL_TYPES[newAgent].start, x, y);
+}
+
+/**
+ * Moves the held cell to the specified pos, drawing along the way if it's not being dragged
+ * @param {Number} x - The x pos of the cell to move to
+ * @param {Number} y - The y pos of the cell to move to
+ */
+function moveHeldCell(x, y) {
+    if (heldCell.x === x && heldCell.y === y) { return; }
+
+    if (heldCell.isDragged) {
+        if (!WORLD_MAP.isInBounds(x, y)) { return; }
+        const targetCell = WORLD_MAP.getCell(x, y);
+        if (WorldMap.SOLID_CELL_TYPES[targetCell] || WorldMap.PERMANENT_CELL_TYPES[targetCell]) { return; }
+
+        WORLD_MAP.moveCell(heldCell.x, heldCell.y, x, y);
+    } else {
+        // Fills the gap between the last and the current cell if the mouse moved too fast
+        const steps = Math.max(Math.abs(x - heldCell.x), Math.abs(y - heldCell.y));
+        for (let i = 1; i <= steps; i++) {
+            paintCell(
+                heldCell.cell,
+                Math.round(heldCell.x + (x - heldCell.x) * i / steps),
+                Math.round(heldCell.y + (y - heldCell.y) * i / steps)
+            );
+        }
+    }
+
+    heldCell.x = x;
+    heldCell.y = y;
+}
+
+/**
+ * Returns the first cell of the specified type, placing it on a random empty cell if none is found
+ * @param {String} cell - The cell to search for
+ * @param {() -> Number} random - The random number generator used to pick the empty cell (see utils.createRandom)
+ * @returns {UMath.Vec2|undefined} The pos of the cell, undefined if no empty cell was found
+ */
+function findOrPlaceCell(cell, random) {
+    const found = WORLD_MAP.findCells(cell);
+    if (found.length > 0) { return found[0]; }
+
+    const pos = WORLD_MAP.pickRandomEmptyPos(random);
+    if (pos !== undefined) {
+        WORLD_MAP.putCell(cell, pos.x, pos.y);
+    }
+    return pos;
+}
+
+/**
+ * Changes the current algorithm based on a select HTML Element
+ * @param {HTMLSelectElement} element - The select HTML Element to take info from
+ */
+window.changeAlgorithm = (element) => {
+    console.log(`Selected Algorithm: ${element.value}`);
+    for (let i = 0; i < availableAlgorithms.length; i++) {
+        if (availableAlgorithms[i].longName === element.value) {
+            console.log(`Chosen Algorithm was found at index ${i}`);
+            currentAlgorithm = i;
+            viewports[0].algorithmIndex = i;
+            updateSettings({ "algorithm": availableAlgorithms[i].shortName });
+            updateStatsPanel();
+            return;
+        }
+    }
+    console.log(`No Algorithm was found for ${element.value}`);
+}
+
+/**
+ * Changes the current map generator based on a select HTML Element
+ * @param {HTMLSelectElement} element - The select HTML Element to take info from
+ */
+window.changeGenerator = (element) => {
+    const index = availableGenerators.findIndex(gen => gen.longName === element.value);
+    if (index >= 0) {
+        currentGenerator = index;
+        /** @type {HTMLInputElement} */
+        const densityInput = document.getElementById("densityInput");
+        densityInput.disabled = !availableGenerators[index].usesDensity;
+    }
+}
+
+/**
+ * Changes the wall density used by the map generators
+ * @param {HTMLInputElement} element - The element to take the density (%) from
+ */
+window.changeGeneratorDensity = (element) => {
+    const newDensity = parseFloat(element.value);
+    if (element.value.trim() === "") {
+        generatorDensity = undefined;
+    } else if (isPathGenLocked || Number.isNaN(newDensity) || newDensity < 0 || newDensity > 100) {
+        element.value = "";
+        generatorDensity = undefined;
+    } else {
+        generatorDensity = newDensity / 100;
+    }
+}
+
+/**
+ * Changes the seed used by path gens, an empty seed makes each map be generated with a new random one
+ * @param {HTMLInputElement} element - The element to take the seed from
+ */
+window.changeSeed = (element) => {
+    const newSeed = Number(element.value.trim());
+    if (element.value.trim() === "") {
+        isSeedFixed = false;
+    } else if (isPathGenLocked || !Number.isInteger(newSeed) || newSeed < 0 || newSeed >= 0x100000000) {
+        element.value = "";
+        isSeedFixed = false;
+    } else {
+        seed = newSeed;
+        isSeedFixed = true;
+    }
+}
+
+/**
+ * Shows the current seed as the placeholder of the seed input, which is visible while the user didn't type a seed
+ */
+function updateSeedInput() {
+    /** @type {HTMLInputElement} */
+    const seedInput = document.getElementById("seedInput");
+    seedInput.placeholder = `Seed (${seed})`;
+}
+
+/**
+ * Changes how searches break ties between nodes with the same priority
+ * @param {HTMLSelectElement} element - The select HTML Element which contains the index of the policy
+ */
+window.changeTieBreaking = (element) => {
+    if (isPathGenLocked) {
+        element.value = currentTieBreaking.toString();
+        return;
+    }
+    currentTieBreaking = parseInt(element.value);
+}
+
+/**
+ * Changes the heuristic used by algorithms that need one
+ * @param {HTMLSelectElement} element - The select HTML Element which contains the index of the heuristic
+ */
+window.changeHeuristic = (element) => {
+    if (isPathGenLocked) {
+        element.value = currentHeuristic.toString();
+        return;
+    }
+    currentHeuristic = parseInt(element.value);
+}
+
+/**
+ * Changes what the estimates of the heuristic are multiplied by, showing the weight next to the slider
+ * @param {HTMLInputElement} element - The range input to take the weight from
+ */
+window.changeHeuristicWeight = (element) => {
+    if (isPathGenLocked) {
+        element.value = heuristicWeight.toString();
+    } else {
+        heuristicWeight = parseFloat(element.value);
+    }
+
+    /** @type {HTMLDivElement} */
+    const weightLabel = document.getElementById("weightLabel");
+    weightLabel.innerText = `Heuristic Weight: ${heuristicWeight.toFixed(1)}`;
+}
+
+/**
+ * Changes the order waypoints are visited in
+ * @param {HTMLSelectElement} element - The select HTML Element which contains the index of the order
+ */
+window.changeRouteOrder = (element) => {
+    if (isPathGenLocked) {
+        element.value = currentRouteOrder.toString();
+        return;
+    }
+    currentRouteOrder = parseInt(element.value);
+}
+
+/**
+ * Changes how many waypoints are put on generated maps
+ * @param {HTMLInputElement} element - The element to take the number of waypoints from
+ */
+window.changeWaypointCount = (element) => {
+    const newCount = Number(element.value.trim());
+    if (element.value.trim() === "" || !Number.isInteger(newCount) || newCount < 0 || newCount > MAX_WAYPOINT_COUNT) {
+        element.value = "";
+        waypointCount = 0;
+    } else {
+        waypointCount = newCount;
+    }
+}
+
+/**
+ * Changes the solver used by multi-agent searches
+ * @param {HTMLSelectElement} element - The select HTML Element which contains the index of the solver
+ */
+window.changeAgentSolver = (element) => {
+    if (isPathGenLocked) {
+        element.value = currentAgentSolver.toString();
+        return;
+    }
+    currentAgentSolver = parseInt(element.value);
+}
+
+/**
+ * Changes how many agents multi-agent searches put on maps that have none
+ * @param {HTMLInputElement} element - The element to take the number of agents from
+ */
+window.changeAgentCount = (element) => {
+    const newCount = Number(element.value.trim());
+    if (element.value.trim() === "" || !Number.isInteger(newCount) || newCount < 1 || newCount > WorldMap.AGENT_CELL_TYPES.length) {
+        element.value = "";
+        agentCount = DEFAULT_AGENT_COUNT;
+    } else {
+        agentCount = newCount;
+    }
+}
+
+/**
+ * Changes the cell drawn with the left mouse button
+ * @param {HTMLSelectElement} element - The select HTML Element which contains the name of the cell type
+ */
+window.changeBrush = (element) => {
+    currentBrush = element.value === AGENT_BRUSH ? AGENT_BRUSH : WorldMap.CELL_TYPES[element.value] ?? WorldMap.CELL_TYPES.WALL;
+}
+
+/**
+ * Changes the cost of moving into the specified terrain type
+ * @param {HTMLInputElement} element - The element to take the cost from
+ * @param {String} terrainType - The name of the terrain type (a key of CELL_TYPES)
+ */
+window.changeTerrainCost = (element, terrainType) => {
+    const terrain = WorldMap.CELL_TYPES[terrainType];
+    if (isPathGenLocked) {
+        const cost = WORLD_MAP.terrainCosts[terrain];
+        element.value = cost === WorldMap.TERRAIN_CELL_TYPES[terrain] ? "" : cost.toString();
+        return;
+    }
+
+    const newCost = parseFloat(element.value);
+    if (element.value.trim() === "") {
+        WORLD_MAP.terrainCosts[terrain] = WorldMap.TERRAIN_CELL_TYPES[terrain];
+    } else if (Number.isNaN(newCost) || newCost < MIN_TERRAIN_COST || newCost > MAX_TERRAIN_COST) {
+        element.value = "";
+        WORLD_MAP.terrainCosts[terrain] = WorldMap.TERRAIN_CELL_TYPES[terrain];
+    } else {
+        WORLD_MAP.terrainCosts[terrain] = newCost;
+    }
+}
+
+/**
+ * Toggles diagonal moves, the change is ignored while a path is being calculated
+ */
+window.toggleDiagonals = () => {
+    if (isPathGenLocked) { return; }
+    WORLD_MAP.diagonals = !WORLD_MAP.diagonals;
+
+    /** @type {HTMLButtonElement} */
+    const diagonalsToggle = document.getElementById("diagonalsToggle");
+    diagonalsToggle.innerText = `Diagonals: ${WORLD_MAP.diagonals ? "On" : "Off"}`;
+    /** @type {HTMLSelectElement} */
+    const cornerSelect = document.getElementById("cornerSelect");
+    cornerSelect.disabled = !WORLD_MAP.diagonals || WORLD_MAP.topology !== TOPOLOGIES.SQUARE;
+}
+
+/**
+ * Changes the shape of the cells of all Worlds, the change is ignored while a path is being calculated.
+ * The heuristic that fits the new shape is selected
+ * @param {HTMLSelectElement} element - The element to take the topology from
+ */
+window.changeTopology = (element) => {
+    if (isPathGenLocked) {
+        element.value = WORLD_MAP.topology;
+        return;
+    }
+
+    discardRecordings();
+    viewports.forEach(viewport => {
+        viewport.worldMap.topology = element.value;
+        viewport.worldMap.redraw();
+        viewport.resetStats();
+    });
+
+    selectTopologyHeuristic();
+    updateTopologySelect();
+    updateStatsPanel();
+    resetCamera();
+}
+
+/**
+ * Selects the heuristic that fits the topology of the World (see TOPOLOGY_HEURISTICS)
+ */
+function selectTopologyHeuristic() {
+    /** @type {HTMLSelectElement} */
+    const heuristicSelect = document.getElementById("heuristicSelect");
+    heuristicSelect.value = TOPOLOGY_HEURISTICS[WORLD_MAP.topology].toString();
+    window.changeHeuristic(heuristicSelect);
+}
+
+/**
+ * Shows the topology of the World on the element that changes it, diagonal moves only exist on squares
+ */
+function updateTopologySelect() {
+    /** @type {HTMLSelectElement} */
+    const topologySelect = document.getElementById("topologySelect");
+    topologySelect.value = WORLD_MAP.topology;
+
+    const isSquare = WORLD_MAP.topology === TOPOLOGIES.SQUARE;
+    /** @type {HTMLButtonElement} */
+    const diagonalsToggle = document.getElementById("diagonalsToggle");
+    diagonalsToggle.disabled = !isSquare;
+    /** @type {HTMLSelectElement} */
+    const cornerSelect = document.getElementById("cornerSelect");
+    cornerSelect.disabled = !WORLD_MAP.diagonals || !isSquare;
+}
+
+/**
+ * Toggles the boundaries of all Worlds, the change is ignored while a path is being calculated.
+ * Cells outside of the World are kept, so they come back once its boundaries are removed again
+ */
+window.toggleBounds = () => {
+    if (isPathGenLocked) { return; }
+    discardRecordings();
+    viewports.forEach(viewport => {
+        viewport.worldMap.hasBoundary = !viewport.worldMap.hasBoundary;
+        viewport.worldMap.redraw();
+        viewport.resetStats();
+    });
+
+    updateBoundsToggle();
+    updateStatsPanel();
+    resetCamera();
+}
+
+/**
+ * Shows whether or not the World has boundaries on the button that toggles them
+ */
+function updateBoundsToggle() {
+    /** @type {HTMLButtonElement} */
+    const boundsToggle = document.getElementById("boundsToggle");
+    boundsToggle.innerText = `Bounds: ${WORLD_MAP.hasBoundary ? "On" : "Off (Infinite World)"}`;
+}
+
+/**
+ * Changes how many nodes searches on Worlds without boundaries can expand, an empty input restores the default limit
+ * @param {HTMLInputElement} element - The element to take the limit from
+ */
+window.changeExpansionLimit = (element) => {
+    const newLimit = Number(element.value.trim());
+    if (element.value.trim() === "" || !Number.isInteger(newLimit) || newLimit <= 0) {
+        element.value = "";
+        expansionLimit = DEFAULT_EXPANSION_LIMIT;
+    } else {
+        expansionLimit = newLimit;
+    }
+}
+
+/**
+ * Changes how many random cells have their wall toggled before each step of a walking agent
+ * @param {HTMLInputElement} element - The element to take the number of cells from
+ */
+window.changeWalkChanges = (element) => {
+    const newChanges = Number(element.value.trim());
+    if (element.value.trim() === "" || !Number.isInteger(newChanges) || newChanges < 0) {
+        element.value = "";
+        walkChanges = 0;
+    } else {
+        walkChanges = newChanges;
+    }
+}
+
+/**
+ * Changes how diagonal moves can go past walls
+ * @param {HTMLSelectElement} element - The select HTML Element which contains the policy
+ */
+window.changeCornerCutting = (element) => {
+    if (isPathGenLocked) {
+        element.value = WORLD_MAP.cornerCutting;
+        return;
+    }
+    WORLD_MAP.cornerCutting = element.value;
+}
+
+/**
+ * Called after a path gen worker sends a message to its viewport
+ * @param {Viewport} viewport - The viewport of the worker
+ * @param {utils.WorkerMessages} messageType - The type of the message
+ */
+function handleViewportMessage(viewport, messageType) {
+    switch (messageType) {
+        case "lock_gen": {
+            isPathGenLocked = true;
+            stopReplay();
+            updateTimeline();
+            // Viewports wait for each other so that their searches start at the same time
+            if (isStartPending && viewports.every(other => other.isLocked)) {
+                isStartPending = false;
+                if (!isPathGenPaused) { postToViewports([ "resume" ]); }
+            }
+            break;
+        }
+        case "unlock_gen": {
+            isPathGenLocked = viewports.some(other => other.isLocked);
+            if (isPathGenLocked) { break; }
+
+            isPathGenPaused = false;
+            isWalking = false;
+            // Recordings end where the path gen left the World
+            timelineStep = getTimelineLength();
+            updateTimeline();
+            if (isComparisonPending) {
+                isComparisonPending = false;
+                searchPath();
+            }
+            break;
+        }
+        case "stats": {
+            updateStatsPanel();
+            break;
+        }
+    }
+}
+
+viewports.push(new Viewport(WORLD_MAP, 0, handleViewportMessage));
+
+/**
+ * Sends the specified message to the path gen workers of all viewports
+ * @param {[ utils.PathGenMessages, ...any ]} message - The message to send
+ */
+function postToViewports(message) {
+    viewports.forEach(viewport => viewport.postMessage(message));
+}
+
+/**
+ * Returns the viewport which found the cheapest path, ties are broken by the number of expanded nodes and then by time
+ * @returns {Viewport|undefined} The winner, undefined if a viewport is still searching or no path was found
+ */
+function getWinner() {
+    if (isPathGenLocked) { return undefined; }
+
+    let winner = undefined;
+    viewports.forEach(viewport => {
+        if (viewport.stats === undefined || viewport.stats.state !== "found") { return; }
+        // Paths that couldn't have been walked can't win, neither can agents that collide
+        if (viewport.validation !== undefined && viewport.validation.errors.length > 0) { return; }
+        if (viewport.stats.conflicts > 0) { return; }
+        if (winner === undefined) { winner = viewport; return; }
+
+        const [ stats, best ] = [ viewport.stats, winner.stats ];
+        // Costs are sums of floats, the same path may have slightly different costs
+        const costDiff = Math.abs(stats.pathCost - best.pathCost) > 1e-9 ? stats.pathCost - best.pathCost : 0;
+        if ((costDiff || stats.expanded - best.expanded || stats.time - best.time) < 0) {
+            winner = viewport;
+        }
+    });
+
+    return winner;
+}
+
+/**
+ * Returns what's wrong with the last path found by the specified viewport
+ * @param {Viewport} viewport - The viewport to get the warnings of
+ * @returns {Array<String>} The warnings, empty if the path wasn't validated yet or nothing's wrong
+ */
+function getViewportWarnings(viewport) {
+    if (viewport.validation === undefined) { return [ ]; }
+    return getValidationWarnings(viewport.validation, availableAlgorithms[viewport.algorithmIndex]);
+}
+
+/**
+ * Formats the cost of the cheapest path found by the validator of the specified viewport
+ * @param {Viewport} viewport - The viewport to get the cost from
+ * @returns {String} The formatted cost
+ */
+function formatCheapestCost(viewport) {
+    const cost = viewport.validation === undefined ? null : viewport.validation.optimalCost;
+    if (cost === null) { return "-"; }
+    return cost === Number.POSITIVE_INFINITY ? "No Path" : cost.toFixed(2);
+}
+
+/**
+ * Formats the cost and length of each leg of the route found by the specified viewport
+ * @param {Viewport} viewport - The viewport to get the legs from
+ * @returns {Array<String>} The formatted legs, empty if the route has a single leg
+ */
+function formatLegs(viewport) {
+    // Recordings made before routes had legs don't have them
+    const legs = viewport.stats?.legs ?? [ ];
+    if (legs.length <= 1) { return [ ]; }
+    return legs.map(leg => `${leg.pathCost.toFixed(2)} (${leg.pathLength} moves)`);
+}
+
+/**
+ * Formats the heuristic used by the last search of the specified viewport
+ * @param {Viewport} viewport - The viewport to get the heuristic of
+ * @returns {String} The formatted heuristic, "-" if the algorithm doesn't use one
+ */
+function formatHeuristic(viewport) {
+    if (viewport.stats === undefined || !availableAlgorithms[viewport.algorithmIndex].usesHeuristic) { return "-"; }
+    const { heuristic, heuristicWeight } = viewport.stats;
+    return heuristicWeight === 1 ? heuristic : `${heuristic} x ${heuristicWeight.toFixed(1)}`;
+}
+
+/**
+ * Shows the stats of all viewports in the stats panel, the best values are highlighted when comparing algorithms
+ */
+function updateStatsPanel() {
+    /** @type {HTMLDivElement} */
+    const statsPanel = document.getElementById("statsPanel");
+    statsPanel.innerHTML = "";
+
+    if (viewports.length === 1) {
+        const stats = viewports[0].stats;
+        const lines = stats === undefined ? [ "No Search Yet" ] : [
+            SEARCH_STATES[stats.state],
+            ...SHOWN_STATS.map(stat => `${stat.name} : ${stats[stat.key].toFixed(stat.digits)}`),
+            // Only multi-agent searches have them
+            ...AGENT_STATS.filter(stat => stats[stat.key] !== undefined).map(stat => `${stat.name} : ${stats[stat.key].toFixed(stat.digits)}`)
+        ];
+        formatLegs(viewports[0]).forEach((leg, i) => lines.push(`Leg ${i + 1} Cost : ${leg}`));
+        if (viewports[0].validation !== undefined) { lines.push(`Cheapest Path Cost : ${formatCheapestCost(viewports[0])}`); }
+        if (formatHeuristic(viewports[0]) !== "-") { lines.push(`Heuristic : ${formatHeuristic(viewports[0])}`); }
+
+        const addLine = (line, isWarning) => {
+            const statDiv = document.createElement("div");
+            statDiv.innerText = line;
+            statDiv.classList.add("infoItem");
+            if (isWarning) { statDiv.classList.add("warning"); }
+            statsPanel.appendChild(statDiv);
+        };
+
+        lines.forEach(line => addLine(line, false));
+        getViewportWarnings(viewports[0]).forEach(warning => addLine(`Warning: ${warning}`, true));
+        return;
+    }
+
+    const table = document.createElement("table");
+    table.classList.add("infoItem");
+    const addRow = (name, values) => {
+        const row = table.insertRow();
+        [ name, ...values ].forEach(value => { row.insertCell().innerText = value; });
+        return row;
+    };
+
+    addRow("", viewports.map(viewport => availableAlgorithms[viewport.algorithmIndex].shortName));
+    addRow("State", viewports.map(viewport => viewport.stats === undefined ? "-" : SEARCH_STATES[viewport.stats.state]));
+
+    const foundPath = viewports.filter(viewport => viewport.stats !== undefined && viewport.stats.state === "found");
+    // Only multi-agent searches have the stats of agents
+    const shownAgentStats = AGENT_STATS.filter(stat => viewports.some(viewport => viewport.stats?.[stat.key] !== undefined));
+    [ ...SHOWN_STATS, ...shownAgentStats ].forEach(stat => {
+        const row = addRow(stat.name, viewports.map(
+            viewport => viewport.stats?.[stat.key] === undefined ? "-" : viewport.stats[stat.key].toFixed(stat.digits)
+        ));
+
+        const best = Math.min(...foundPath.map(viewport => viewport.stats[stat.key] ?? Number.POSITIVE_INFINITY));
+        viewports.forEach((viewport, i) => {
+            if (foundPath.includes(viewport) && viewport.stats[stat.key] === best) {
+                row.cells[i + 1].classList.add("bestStat");
+            }
+        });
+    });
+
+    const legs = viewports.map(formatLegs);
+    for (let i = 0; i < Math.max(...legs.map(viewportLegs => viewportLegs.length)); i++) {
+        addRow(`Leg ${i + 1} Cost`, legs.map(viewportLegs => viewportLegs[i] ?? "-"));
+    }
+    addRow("Cheapest Cost", viewports.map(formatCheapestCost));
+    addRow("Heuristic", viewports.map(formatHeuristic));
+    const warningsRow = addRow("Warnings", viewports.map(viewport => getViewportWarnings(viewport).length.toString()));
+    viewports.forEach((viewport, i) => {
+        const warnings = getViewportWarnings(viewport);
+        if (warnings.length > 0) {
+            // The warnings are shown when hovering their count
+            warningsRow.cells[i + 1].title = warnings.join("\n");
+            warningsRow.cells[i + 1].classList.add("warning");
+        }
+    });
+
+    const winner = getWinner();
+    if (winner !== undefined) {
+        addRow("Winner", viewports.map(viewport => viewport === winner ? availableAlgorithms[viewport.algorithmIndex].shortName : ""));
+    }
+
+    statsPanel.appendChild(table);
+}
+
+/**
+ * Returns the settings that must be sent to the path gen worker alongside every message
+ * @returns {utils.PathGenSettings} The current settings
+ */
+function getPathGenSettings() {
+    return {
+        "width": WORLD_MAP.size.x,
+        "height": WORLD_MAP.size.y,
+        "hasBoundary": WORLD_MAP.hasBoundary,
+        "actionDelay": actionDelay,
+        "maxCellQueue": MAX_CELL_QUEUE,
+        "algorithmIndex": currentAlgorithm,
+        "generatorIndex": currentGenerator,
+        "generatorDensity": generatorDensity,
+        "terrainCosts": WORLD_MAP.terrainCosts,
+        "diagonals": WORLD_MAP.diagonals,
+        "cornerCutting": WORLD_MAP.cornerCutting,
+        "topology": WORLD_MAP.topology,
+        "seed": seed,
+        "tieBreakingIndex": currentTieBreaking,
+        "heuristicIndex": currentHeuristic,
+        "heuristicWeight": heuristicWeight,
+        "expansionLimit": expansionLimit,
+        "walkChanges": walkChanges,
+        "routeOrderIndex": currentRouteOrder,
+        "waypointCount": waypointCount
+    };
+}
+
+/**
+ * Asks path gen worker to generate and calculate a new path if possible
+ */
+function generatePath() {
+    if (isPathGenLocked) { return; }
+    if (!isSeedFixed) {
+        seed = utils.randomSeed();
+        updateSeedInput();
+    }
+
+    // When comparing algorithms the map is generated once and then searched by all viewports
+    isComparisonPending = viewports.length > 1;
+    viewports[0].postMessage([ "generate", { ...getPathGenSettings(), "mapOnly": isComparisonPending } ]);
+}
+
+/**
+ * Asks path gen worker to calculate the path on the current map if possible
+ * @param {"search"|"walk"} [messageType] - Whether the path is only searched or walked by an agent while walls change
+ */
+function searchPath(messageType = "search") {
+    if (isPathGenLocked) { return; }
+    WORLD_MAP.clearCellTypes(WorldMap.SEARCH_CELL_TYPES);
+
+    // START and GOAL are placed with the seed too, so that searching the same map again replays the same run
+    const random = utils.createRandom(seed);
+    const start = findOrPlaceCell(WorldMap.CELL_TYPES.START, random);
+    const goal = findOrPlaceCell(WorldMap.CELL_TYPES.GOAL, random);
+    if (start === undefined || goal === undefined) {
+        window.alert("There's no room for START and GOAL on the map");
+        return;
+    }
+
+    const settings = getPathGenSettings();
+    const cellArray = WORLD_MAP.mapToCellArray();
+    // The copies of the World don't know the order the waypoints were put in
+    const waypointArray = WORLD_MAP.getWaypoints().flatMap(waypoint => [ waypoint.x, waypoint.y ]);
+    isStartPending = viewports.length > 1;
+    isWalking = messageType === "walk";
+
+    // Start and Goal's pos are followed by the map's cells (see WorldMap#mapToCellArray) and by the waypoints
+    startViewportSearches(cellArray, viewport => [
+        messageType, { ...settings, "algorithmIndex": viewport.algorithmIndex, "startPaused": isStartPending },
+        start.x, start.y, goal.x, goal.y,
+        cellArray, waypointArray
+    ]);
+}
+
+/**
+ * Asks path gen workers to search the paths of all agents on the current map and to play them,
+ * agents are put on random empty cells if there are none
+ */
+function solveAgents() {
+    if (isPathGenLocked) { return; }
+    WORLD_MAP.clearCellTypes(WorldMap.SEARCH_CELL_TYPES);
+
+    // Agents are placed with the seed too, like START and GOAL
+    const random = utils.createRandom(seed);
+    const agentCells = WORLD_MAP.getAgentCells();
+    if (agentCells.every(cells => cells.start === undefined && cells.goal === undefined)) {
+        for (let i = 0; i < agentCount; i++) {
+            const start = WORLD_MAP.pickRandomEmptyPos(random);
+            if (start === undefined) { break; }
+            WORLD_MAP.putCell(WorldMap.AGENT_CELL_TYPES[i].start, start.x, start.y);
+
+            const goal = WORLD_MAP.pickRandomEmptyPos(random);
+            if (goal === undefined) { break; }
+            WORLD_MAP.putCell(WorldMap.AGENT_CELL_TYPES[i].goal, goal.x, goal.y);
+        }
+    }
+
+    const settings = { ...getPathGenSettings(), "agentSolverIndex": currentAgentSolver };
+    const cellArray = WORLD_MAP.mapToCellArray();
+    isStartPending = viewports.length > 1;
+
+    // The agents are found by the workers within the map's cells, all viewports use the same solver
+    startViewportSearches(cellArray, () => [
+        "solve_agents", { ...settings, "startPaused": isStartPending }, cellArray
+    ]);
+}
+
+/**
+ * Makes the other viewports copy the main World, then sends a search to the path gen workers of all viewports
+ * @param {Array<String|Number>} cellArray - The cells of the main World (see WorldMap#mapToCellArray)
+ * @param {(viewport: Viewport) -> [ utils.PathGenMessages, ...any ]} createMessage - Creates the message sent to the worker of a viewport
+ */
+function startViewportSearches(cellArray, createMessage) {
+    viewports.forEach(viewport => {
+        // The other viewports search on a copy of the main World
+        if (viewport.worldMap !== WORLD_MAP) {
+            viewport.worldMap.clearMap();
+            viewport.worldMap.loadCellArray(cellArray);
+        }
+
+        viewport.resetStats();
+        viewport.postMessage(createMessage(viewport));
+    });
+
+    updateStatsPanel();
+}
+
+/**
+ * Pauses the path gen that's currently running or resumes it if it's paused
+ */
+function togglePathGenPause() {
+    if (!isPathGenLocked) { return; }
+    isPathGenPaused = !isPathGenPaused;
+    // Viewports that are waiting for the others to start are resumed once they're all ready
+    if (!isStartPending) { postToViewports([ isPathGenPaused ? "pause" : "resume" ]); }
+}
+
+/**
+ * Makes the path gen that's currently running do a single step (e.g. expanding one node), pausing it if it's running
+ */
+function stepPathGen() {
+    if (!isPathGenLocked) { return; }
+    isPathGenPaused = true;
+    postToViewports([ "step" ]);
+}
+
+/**
+ * Stops the path gen that's currently running, what was already drawn is kept
+ */
+function cancelPathGen() {
+    if (!isPathGenLocked) { return; }
+    isStartPending = false;
+    isComparisonPending = false;
+    postToViewports([ "cancel" ]);
+}
+
+/**
+ * Changes the delay between each Path Finding move, the path gen that's currently running is updated too
+ * @param {Number} [newDelay] - The new delay, undefined for no delay
+ */
+function setActionDelay(newDelay) {
+    actionDelay = newDelay;
+    updateSettings({ "actionDelay": actionDelay ?? 0 });
+    if (isPathGenLocked) { postToViewports([ "set_delay", actionDelay ?? 0 ]); }
+}
+
+/**
+ * Halves or doubles the delay between each Path Finding move, showing it in the settings
+ * @param {Boolean} faster - Whether the delay should be halved or doubled
+ */
+function changeSpeed(faster) {
+    let newDelay;
+    if (faster) {
+        // Halving would never get to no delay
+        newDelay = actionDelay === undefined || actionDelay / 2 < 1 ? 0 : actionDelay / 2;
+    } else {
+        newDelay = actionDelay === undefined ? 1 : Math.min(actionDelay * 2, MAX_ACTION_TIME);
+    }
+
+    /** @type {HTMLInputElement} */
+    const actionDelayInput = document.getElementById("actionDelayInput");
+    actionDelayInput.value = newDelay.toString();
+    actionDelayInput.dispatchEvent(new Event("change"));
+}
+
+/**
+ * Returns the length of the longest recording of the viewports, recordings are replayed side by side
+ * @returns {Number} The length, 0 if there's no recording
+ */
+function getTimelineLength() {
+    return Math.max(0, ...viewports.map(viewport => viewport.recording === undefined ? 0 : viewport.recording.length));
+}
+
+/**
+ * Makes all viewports show the specified step of their recordings, the ones that are shorter show their last step
+ * @param {Number} step - The step to show, it's clamped to the length of the timeline
+ */
+function seekTimeline(step) {
+    if (isPathGenLocked) { return; }
+    timelineStep = Math.max(0, Math.min(step, getTimelineLength()));
+    viewports.forEach(viewport => {
+        if (viewport.recording !== undefined) { viewport.recording.seek(timelineStep); }
+    });
+    updateTimeline();
+}
+
+/**
+ * Replays the recordings from the step that's shown, or from the beginning if it's the last one
+ */
+function startReplay() {
+    if (isPathGenLocked || replayInterval !== null || getTimelineLength() === 0) { return; }
+    if (timelineStep >= getTimelineLength()) { seekTimeline(0); }
+
+    let lastUpdate = performance.now();
+    let pendingSteps = 0;
+    replayInterval = setInterval(() => {
+        // Intervals aren't precise, so steps are counted from the time that actually passed
+        const now = performance.now();
+        pendingSteps += (now - lastUpdate) * replaySpeed / 1000;
+        lastUpdate = now;
+
+        const steps = Math.floor(pendingSteps);
+        pendingSteps -= steps;
+        seekTimeline(timelineStep + steps);
+        if (timelineStep >= getTimelineLength()) { stopReplay(); }
+    }, REPLAY_INTERVAL);
+    updateTimeline();
+}
+
+/**
+ * Stops replaying the recordings, the step that's shown is kept
+ */
+function stopReplay() {
+    if (replayInterval === null) { return; }
+    clearInterval(replayInterval);
+    replayInterval = null;
+    updateTimeline();
+}
+
+/**
+ * Forgets the recordings of all viewports, they can't be replayed anymore once their World was changed by the user
+ */
+function discardRecordings() {
+    stopReplay();
+    viewports.forEach(viewport => { viewport.recording = undefined; });
+    timelineStep = 0;
+    updateTimeline();
+}
+
+/**
+ * Shows the step of the recordings in the timeline panel, which is hidden if there's nothing to replay
+ */
+function updateTimeline() {
+    const length = getTimelineLength();
+    /** @type {HTMLDivElement} */
+    const timelinePanel = document.getElementById("timelinePanel");
+    timelinePanel.classList.toggle("hidden", length === 0 && !isPathGenLocked);
+
+    /** @type {HTMLInputElement} */
+    const timelineInput = document.getElementById("timelineInput");
+    timelineInput.disabled = isPathGenLocked;
+    timelineInput.max = length.toString();
+    timelineInput.value = timelineStep.toString();
+
+    /** @type {HTMLDivElement} */
+    const timelineLabel = document.getElementById("timelineLabel");
+    if (isPathGenLocked) {
+        timelineLabel.innerText = "Recording...";
+    } else {
+        timelineLabel.innerText = `Step ${timelineStep} / ${length}${replayInterval === null ? "" : " (Replaying)"}`;
+    }
+}
+
+/**
+ * Shows the step of the recordings chosen with the timeline's slider
+ * @param {HTMLInputElement} element - The range input to take the step from
+ */
+window.scrubTimeline = (element) => {
+    stopReplay();
+    seekTimeline(parseInt(element.value));
+    // Seeking is ignored while a path gen is running, the slider must go back where it was
+    updateTimeline();
+}
+
+/**
+ * Changes how many recorded messages are replayed each second
+ * @param {HTMLInputElement} element - The element to take the speed from
+ */
+window.changeReplaySpeed = (element) => {
+    const newSpeed = parseFloat(element.value);
+    if (Number.isNaN(newSpeed) || newSpeed <= 0) {
+        element.value = "";
+        replaySpeed = DEFAULT_REPLAY_SPEED;
+    } else {
+        replaySpeed = newSpeed;
+    }
+}
+
+/**
+ * Changes how many viewports the canvas is split into, new viewports show a copy of the main World
+ * @param {HTMLSelectElement} element - The select HTML Element which contains the number of viewports
+ */
+window.changeViewportCount = (element) => {
+    if (isPathGenLocked) {
+        element.value = viewports.length.toString();
+        return;
+    }
+
+    const count = parseInt(element.value);
+    while (viewports.length > count) {
+        viewports.pop().terminate();
+    }
+
+    const cellArray = WORLD_MAP.mapToCellArray();
+    while (viewports.length < count) {
+        const worldMap = new WorldMap.WorldMap(0, 0, WORLD_MAP.size.x, WORLD_MAP.size.y, WORLD_MAP.hasBoundary, true, true);
+        worldMap.topology = WORLD_MAP.topology;
+        worldMap.loadCellArray(cellArray);
+        // Each new viewport starts with a different algorithm
+        viewports.push(new Viewport(worldMap, viewports.length % availableAlgorithms.length, handleViewportMessage));
+    }
+
+    // Recordings are replayed side by side, so they can't be kept once the viewports change
+    discardRecordings();
+    updateComparisonSelects();
+    recalcScale();
+    updateStatsPanel();
+}
+
+/**
+ * Creates a select HTML Element for the algorithm of each viewport but the first one, which uses #algoSelect
+ */
+function updateComparisonSelects() {
+    /** @type {HTMLDivElement} */
+    const comparisonSelects = document.getElementById("comparisonSelects");
+    comparisonSelects.innerHTML = "";
+
+    for (let i = 1; i < viewports.length; i++) {
+        const viewport = viewports[i];
+        const algorithmSelect = document.createElement("select");
+        algorithmSelect.classList.add("settingsItem");
+        availableAlgorithms.forEach((algo, algoIndex) => {
+            const option = document.createElement("option");
+            option.value = algoIndex.toString();
+            option.text = `Viewport ${i + 1}: ${algo.longName} (${algo.shortName})`;
+            algorithmSelect.appendChild(option);
+        });
+        algorithmSelect.value = viewport.algorithmIndex.toString();
+
+        algorithmSelect.addEventListener("change", () => {
+            if (isPathGenLocked) {
+                algorithmSelect.value = viewport.algorithmIndex.toString();
+                return;
+            }
+            viewport.algorithmIndex = parseInt(algorithmSelect.value);
+            updateStatsPanel();
+        });
+        comparisonSelects.appendChild(algorithmSelect);
+    }
+}
+
+/**
+ * Loads the specified map file into all viewports
+ * @param {File} [file] - The file to load, either a JSON or a MovingAI map
+ */
+async function loadMapFile(file) {
+    if (isPathGenLocked || file === undefined) { return; }
+
+    let mapData;
+    try {
+        mapData = MapIO.parseMapFile(file.name, await file.text());
+    } catch (err) {
+        if (!(err instanceof MapIO.MapFormatError)) { throw err; }
+        window.alert(`Couldn't load ${file.name}: ${err.message}`);
+        return;
+    }
+
+    // A path gen may have started while the file was being read
+    if (isPathGenLocked) { return; }
+    applyMapData(mapData, file.name);
+}
+
+/**
+ * Loads the specified map into all viewports
+ * @param {MapIO.MapData} mapData - The map to load
+ * @param {String} sourceName - Where the map comes from, shown if it can't be loaded
+ * @returns {Boolean} Whether or not the map was loaded
+ */
+function applyMapData(mapData, sourceName) {
+    if (mapData.width > MAX_WORLD_SIZE || mapData.height > MAX_WORLD_SIZE) {
+        window.alert(`Couldn't load ${sourceName}: maps can't be bigger than ${MAX_WORLD_SIZE}x${MAX_WORLD_SIZE}`);
+        return false;
+    }
+
+    const isNewTopology = mapData.topology !== WORLD_MAP.topology;
+    discardRecordings();
+    viewports.forEach(viewport => {
+        MapIO.loadMapData(viewport.worldMap, mapData);
+        viewport.resetStats();
+    });
+
+    if (isNewTopology) { selectTopologyHeuristic(); }
+    updateBoundsToggle();
+    updateTopologySelect();
+    resetCamera();
+    updateStatsPanel();
+    return true;
+}
+
+/**
+ * Loads the map file chosen with the specified input element
+ * @param {HTMLInputElement} element - The file input element
+ */
+window.openMapFile = (element) => {
+    loadMapFile(element.files[0]);
+    // Lets the same file be opened again
+    element.value = "";
+}
+
+/**
+ * Makes the browser download the specified Blob as a file
+ * @param {Blob} blob - The contents of the file
+ * @param {String} fileName - The name of the file
+ */
+function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url));
+}
+
+/**
+ * Downloads the main World as a map file
+ * @param {String} formatName - The shortName of the format to save the map in (see MapIO.MAP_FORMATS)
+ */
+window.downloadMap = (formatName) => {
+    const format = MapIO.MAP_FORMATS.find(format => format.shortName === formatName);
+    downloadBlob(new Blob([ format.serialize(WORLD_MAP) ], { "type": format.mimeType }), `map${format.extension}`);
+}
+
+/**
+ * Downloads the recordings of all viewports alongside the maps they were recorded on
+ */
+window.downloadRecording = () => {
+    const recordings = viewports.filter(viewport => viewport.recording !== undefined).map(viewport => viewport.recording);
+    if (isPathGenLocked || recordings.length === 0) { return; }
+    downloadBlob(new Blob([ recordingsToJSON(recordings) ], { "type": "application/json" }), "recording.json");
+}
+
+/**
+ * Returns the size (px) of each cell of exported images, it's made smaller if they would be bigger than MAX_EXPORT_SIZE
+ * @returns {Number} The size of each cell
+ */
+function getExportCellSize() {
+    const layoutSize = WORLD_MAP.getLayoutSize();
+    const worldSize = Math.max(layoutSize.x, layoutSize.y);
+    const cellSize = exportCellSize ?? Math.floor(DEFAULT_EXPORT_SIZE / worldSize);
+    return Math.max(Math.min(cellSize, Math.floor(MAX_EXPORT_SIZE / worldSize)), 1);
+}
+
+/**
+ * Changes the size of each cell of exported images
+ * @param {HTMLInputElement} element - The element to take the size (px) from, empty to pick it based on the size of the World
+ */
+window.changeExportCellSize = (element) => {
+    const newSize = Number(element.value.trim());
+    if (element.value.trim() === "" || !Number.isInteger(newSize) || newSize <= 0) {
+        element.value = "";
+        exportCellSize = undefined;
+    } else {
+        exportCellSize = newSize;
+    }
+}
+
+/**
+ * Changes how many recorded steps are skipped between two frames of exported GIFs
+ * @param {HTMLInputElement} element - The element to take the number of steps from
+ */
+window.changeGifFrameSkip = (element) => {
+    const newSkip = Number(element.value.trim());
+    if (element.value.trim() === "" || !Number.isInteger(newSkip) || newSkip < 0) {
+        element.value = "";
+        gifFrameSkip = 0;
+    } else {
+        gifFrameSkip = newSkip;
+    }
+}
+
+/**
+ * Downloads the recording of the main World as an animated GIF, which plays at the replay speed
+ */
+window.exportGIF = async () => {
+    const recording = viewports[0].recording;
+    if (isPathGenLocked || isExporting || recording === undefined) { return; }
+
+    /** @type {HTMLButtonElement} */
+    const exportButton = document.getElementById("gifExportButton");
+    const buttonText = exportButton.innerText;
+    exportButton.innerText = "Exporting...";
+    exportButton.disabled = true;
+    isExporting = true;
+
+    try {
+        const gif = await recordingToGIF(recording, {
+            "cellSize": getExportCellSize(),
+            "frameSkip": gifFrameSkip,
+            "frameDelay": 1000 * (gifFrameSkip + 1) / replaySpeed,
+            "backgroundColor": BACKGROUND_HEX
+        });
+        downloadBlob(gif, "run.gif");
+    } finally {
+        exportButton.innerText = buttonText;
+        exportButton.disabled = false;
+        isExporting = false;
+    }
+}
+
+/**
+ * Downloads what the main World currently shows as a PNG image
+ */
+window.exportPNG = async () => {
+    downloadBlob(await worldToPNG(WORLD_MAP, getExportCellSize(), BACKGROUND_HEX), "map.png");
+}
+
+/**
+ * Loads the specified recording file, each recording it contains is replayed on its own viewport
+ * @param {File} [file] - The file to load, created by window.downloadRecording
+ */
+async function loadRecordingFile(file) {
+    if (isPathGenLocked || file === undefined) { return; }
+
+    let recordings;
+    try {
+        recordings = parseRecordings(await file.text());
+        const [ first ] = recordings;
+        if (first.width > MAX_WORLD_SIZE || first.height > MAX_WORLD_SIZE) {
+            throw new MapIO.MapFormatError(`maps can't be bigger than ${MAX_WORLD_SIZE}x${MAX_WORLD_SIZE}`);
+        }
+        if (recordings.some(data => data.width !== first.width || data.height !== first.height ||
+            data.hasBoundary !== first.hasBoundary || data.topology !== first.topology
+        )) {
+            throw new MapIO.MapFormatError("all recordings must be on maps of the same size and shape");
+        }
+    } catch (err) {
+        if (!(err instanceof MapIO.MapFormatError)) { throw err; }
+        window.alert(`Couldn't load ${file.name}: ${err.message}`);
+        return;
+    }
+
+    // A path gen may have started while the file was being read
+    if (isPathGenLocked) { return; }
+
+    /** @type {HTMLSelectElement} */
+    const viewportSelect = document.getElementById("viewportSelect");
+    viewportSelect.value = Math.min(recordings.length, viewportSelect.options.length).toString();
+    window.changeViewportCount(viewportSelect);
+
+    const isNewTopology = recordings[0].topology !== WORLD_MAP.topology;
+    viewports.forEach((viewport, i) => {
+        const algorithmIndex = availableAlgorithms.findIndex(algo => algo.shortName === recordings[i].algorithm);
+        if (algorithmIndex >= 0) { viewport.algorithmIndex = algorithmIndex; }
+        viewport.recording = Recording.load(viewport.worldMap, recordings[i]);
+        viewport.resetStats();
+    });
+
+    /** @type {HTMLSelectElement} */
+    const algorithmSelect = document.getElementById("algoSelect");
+    algorithmSelect.value = availableAlgorithms[viewports[0].algorithmIndex].longName;
+    window.changeAlgorithm(algorithmSelect);
+    updateComparisonSelects();
+    if (isNewTopology) { selectTopologyHeuristic(); }
+    updateBoundsToggle();
+    updateTopologySelect();
+    resetCamera();
+
+    timelineStep = getTimelineLength();
+    updateTimeline();
+}
+
+/**
+ * Loads the recording file chosen with the specified input element
+ * @param {HTMLInputElement} element - The file input element
+ */
+window.openRecordingFile = (element) => {
+    loadRecordingFile(element.files[0]);
+    // Lets the same file be opened again
+    element.value = "";
+}
+
+/**
+ * Puts the main World and the current settings in the URL and copies it, so that the run can be shared
+ */
+window.copyPermalink = () => {
+    const algorithm = availableAlgorithms[currentAlgorithm];
+    const hash = Permalink.encodePermalink(WORLD_MAP, {
+        "algorithm": algorithm.shortName,
+        "actionDelay": actionDelay,
+        "tieBreaking": TIE_BREAKING_POLICIES[currentTieBreaking].shortName,
+        "seed": seed,
+        "heuristic": HEURISTICS[currentHeuristic].shortName,
+        "heuristicWeight": heuristicWeight
+    });
+    history.replaceState(null, "", `#${hash}`);
+    navigator.clipboard.writeText(location.href).catch(
+        () => window.prompt("Copy the link to this run:", location.href)
+    );
+}
+
+/**
+ * Restores the World and the settings saved in the specified URL hash
+ * @param {String} hash - The hash created by Permalink.encodePermalink
+ */
+function loadPermalink(hash) {
+    if (isPathGenLocked) { return; }
+
+    let state;
+    try {
+        state = Permalink.decodePermalink(hash, MAX_WORLD_SIZE);
+    } catch (err) {
+        if (!(err instanceof MapIO.MapFormatError)) { throw err; }
+        window.alert(`Couldn't load the link: ${err.message}`);
+        return;
     }
 
-    for (let row = 0; row <= rows; row++) {
-        canvas.line(
-            0, y + row * cellSize,
-            canvas.element.width, y + row * cellSize
-        );
-    }
+    if (!applyMapData(state.mapData, "the link")) { return; }
 
+    // The settings of the link are only used for its run, the ones the user saved are kept
+    isSavingSettings = false;
+    try {
+        applyPermalinkSettings(state);
+    } finally {
+        isSavingSettings = true;
+    }
 }
 
 /**
- * @param {wCanvas} canvas
- * @param {Number} deltaTime
+ * Applies the settings of a run that was restored from a URL hash
+ * @param {Permalink.PermalinkState} state - The decoded hash
  */
-function draw(canvas, deltaTime) {
-    canvas.background(BACKGROUND_COLOR);
-
-    if (WORLD_MAP) {
-        WORLD_MAP.draw(canvas, SCALE);
+function applyPermalinkSettings(state) {
+    const algorithm = availableAlgorithms.find(algo => algo.shortName === state.algorithm);
+    if (algorithm !== undefined) {
+        /** @type {HTMLSelectElement} */
+        const algorithmSelect = document.getElementById("algoSelect");
+        algorithmSelect.value = algorithm.longName;
+        window.changeAlgorithm(algorithmSelect);
     }
 
-    if (gridEnabled) {
-        drawGrid(
-            canvas,
-            WORLD_MAP.pos.x % SCALE, WORLD_MAP.pos.y % SCALE,
-            Math.floor(canvas.element.width / SCALE), Math.floor(canvas.element.height / SCALE),
-            SCALE
-        );
-    }
+    /** @type {HTMLInputElement} */
+    const actionDelayInput = document.getElementById("actionDelayInput");
+    actionDelayInput.value = Math.min(state.actionDelay, MAX_ACTION_TIME).toString();
+    actionDelayInput.dispatchEvent(new Event("change"));
 
-    if (!isPathGenLocked && restartMessage) {
-        const textSize = Math.min(canvas.element.width, canvas.element.height) / 15;
-        canvas.stroke(TEXT_OUTLINE);
-        canvas.strokeWeight(textSize / 55);
-        canvas.fill(TEXT_COLOR);
-        canvas.textSize(textSize);
-        canvas.text(
-            `Press ${KEY_BINDINGS.restart} to generate a new path`, canvas.element.width / 2, canvas.element.height / 2,
-            { "alignment": { "horizontal": "center", "vertical": "center" }, "noStroke": false }
-        );
-    }
-}
+    if (WORLD_MAP.diagonals !== state.diagonals) { window.toggleDiagonals(); }
+    /** @type {HTMLSelectElement} */
+    const cornerSelect = document.getElementById("cornerSelect");
+    cornerSelect.value = state.cornerCutting;
+    window.changeCornerCutting(cornerSelect);
 
-function recalcScale() {
-    SCALE = Math.min(
-        Math.floor(window.innerHeight / WORLD_MAP.size.y),
-        Math.floor(window.innerWidth / WORLD_MAP.size.x)
-    );
+    // Terrain types whose cost wasn't changed go back to their default cost
+    Object.keys(state.terrainCosts).forEach(type => {
+        const cost = state.terrainCosts[type];
+        /** @type {HTMLInputElement} */
+        const costInput = document.getElementById(`${type.toLowerCase()}CostInput`);
+        costInput.value = cost === WorldMap.TERRAIN_CELL_TYPES[WorldMap.CELL_TYPES[type]] ? "" : cost.toString();
+        window.changeTerrainCost(costInput, type);
+    });
 
-    WORLD_MAP.pos.x = Math.floor((window.innerWidth - WORLD_MAP.size.x * SCALE) / 2);
-    WORLD_MAP.pos.y = Math.floor((window.innerHeight - WORLD_MAP.size.y * SCALE) / 2);
-}
+    const tieBreakingIndex = TIE_BREAKING_POLICIES.findIndex(policy => policy.shortName === state.tieBreaking);
+    if (tieBreakingIndex >= 0) {
+        /** @type {HTMLSelectElement} */
+        const tieBreakingSelect = document.getElementById("tieSelect");
+        tieBreakingSelect.value = tieBreakingIndex.toString();
+        window.changeTieBreaking(tieBreakingSelect);
+    }
 
-/**
- * Changes the current algorithm based on a select HTML Element
- * @param {HTMLSelectElement} element - The select HTML Element to take info from
- */
-window.changeAlgorithm = (element) => {
-    console.log(`Selected Algorithm: ${element.value}`);
-    for (let i = 0; i < availableAlgorithms.length; i++) {
-        if (availableAlgorithms[i].longName === element.value) {
-            console.log(`Chosen Algorithm was found at index ${i}`);
-            currentAlgorithm = i;
-            return;
-        }
+    const heuristicIndex = HEURISTICS.findIndex(heuristic => heuristic.shortName === state.heuristic);
+    if (heuristicIndex >= 0) {
+        /** @type {HTMLSelectElement} */
+        const heuristicSelect = document.getElementById("heuristicSelect");
+        heuristicSelect.value = heuristicIndex.toString();
+        window.changeHeuristic(heuristicSelect);
     }
-    console.log(`No Algorithm was found for ${element.value}`);
-}
 
-const pathGenerator = new Worker("./pathGen.js", { "type": "module" });
-pathGenerator.addEventListener("message", ev => {
-    // The first element of data is the type of the message
-    // The other ones can be either Strings or Numbers
-    /** @type {[ utils.WorkerMessages, Number|String ]} */
-    const [ messageType, ...args ] = ev.data;
-    switch (messageType) {
-        case "map_add_cells": {
-            for (let i = 0; i < args.length; i += 3) {
-                WORLD_MAP.putCell(args[i], args[i + 1], args[i + 2]);
-            }
-            break;
-        }
-        case "map_reset": {
-            WORLD_MAP.clearMap();
-            break;
-        }
-        case "lock_gen": {
-            isPathGenLocked = true;
-            break;
-        }
-        case "unlock_gen": {
-            isPathGenLocked = false;
-            break;
-        }
+    if (state.heuristicWeight !== undefined) {
+        /** @type {HTMLInputElement} */
+        const weightInput = document.getElementById("weightInput");
+        weightInput.value = state.heuristicWeight.toString();
+        window.changeHeuristicWeight(weightInput);
     }
-});
 
-/**
- * Asks path gen worker to generate and calculate a new path if possible
- */
-function generatePath() {
-    if (isPathGenLocked) { return; }
-    /*
-        The message must be an array that contains [
-            The Width of the World, The Height of the World,
-            Whether or not the World has Boundaries,
-            The Delay Between Actions, Maximum Cell Queue Length,
-            The Index of the Currently Selected Algorithm
-        ]
-    */
-    pathGenerator.postMessage([ WORLD_MAP.size.x, WORLD_MAP.size.y, WORLD_MAP.hasBoundary, actionDelay, MAX_CELL_QUEUE, currentAlgorithm ]);
+    if (state.seed !== undefined) {
+        /** @type {HTMLInputElement} */
+        const seedInput = document.getElementById("seedInput");
+        seedInput.value = state.seed.toString();
+        window.changeSeed(seedInput);
+    }
 }
 
 /**
@@ -178,15 +1864,27 @@ function generatePath() {
  * @param {"x"|"y"} axis - The axis the size should be change on
  */
 window.changeWorldSize = (element, axis) => {
-    const newValue = parseInt(element.value);
-    if (isPathGenLocked || Number.isNaN(newValue) || newValue < MIN_WORLD_SIZE || newValue > MAX_WORLD_SIZE) {
-        element.value = "";
-    } else {
-        WORLD_MAP.clearMap();
-        WORLD_MAP.size[axis] = newValue;
+    if (!setWorldSize(parseInt(element.value), axis)) { element.value = ""; }
+}
 
-        recalcScale();
-    }
+/**
+ * Changes the world's size on the specified axis, the World is cleared
+ * @param {Number} newSize - The new size, it's ignored if it's out of bounds
+ * @param {"x"|"y"} axis - The axis the size should be changed on
+ * @returns {Boolean} Whether or not the size was changed
+ */
+function setWorldSize(newSize, axis) {
+    if (isPathGenLocked || Number.isNaN(newSize) || newSize < MIN_WORLD_SIZE || newSize > MAX_WORLD_SIZE) { return false; }
+
+    discardRecordings();
+    viewports.forEach(viewport => {
+        viewport.worldMap.clearMap();
+        viewport.worldMap.size[axis] = newSize;
+    });
+
+    resetCamera();
+    updateSettings({ [WORLD_SIZE_SETTINGS[axis]]: newSize });
+    return true;
 }
 
 {
@@ -200,25 +1898,235 @@ window.changeWorldSize = (element, axis) => {
         if (placeholder === undefined) { placeholder = element.placeholder; }
 
         const newDelay = parseFloat(element.value);
-        if (isPathGenLocked || Number.isNaN(newDelay) || newDelay > MAX_ACTION_TIME) {
+        if (Number.isNaN(newDelay) || newDelay > MAX_ACTION_TIME) {
             element.value = "";
         } else if (newDelay <= 0) {
             element.value = "";
             if (noDelayPH) { element.blur(); element.placeholder = noDelayPH; }
-            actionDelay = undefined;
+            setActionDelay(undefined);
         } else {
             element.placeholder = placeholder;
-            actionDelay = newDelay;
+            setActionDelay(newDelay);
+        }
+    }
+}
+
+/**
+ * Changes some of the settings that are saved in the browser and saves them, unless they aren't being saved
+ * @param {Object} changes - The settings that changed (see Settings.Settings)
+ */
+function updateSettings(changes) {
+    if (!isSavingSettings) { return; }
+    settings = { ...settings, ...changes };
+    Settings.saveSettings(settings);
+}
+
+/**
+ * Applies the specified settings to the page, the ones that can't be applied (e.g. an algorithm that was removed) are skipped
+ * @param {Settings.Settings} newSettings - The settings to apply
+ */
+function applySettings(newSettings) {
+    Object.assign(KEY_BINDINGS, newSettings.keyBindings);
+    rebindingAction = undefined;
+    updateSettings({ "keyBindings": { ...KEY_BINDINGS } });
+    updateKeyBindings();
+
+    gridEnabled = newSettings.gridEnabled;
+    updateSettings({ "gridEnabled": gridEnabled });
+
+    for (const axis of [ "x", "y" ]) {
+        const size = newSettings[WORLD_SIZE_SETTINGS[axis]];
+        // Resizing clears the World, which isn't needed if it already has the size
+        if (WORLD_MAP.size[axis] === size) {
+            updateSettings({ [WORLD_SIZE_SETTINGS[axis]]: size });
+        } else {
+            setWorldSize(size, axis);
         }
+
+        /** @type {HTMLInputElement} */
+        const sizeInput = document.getElementById(WORLD_SIZE_INPUTS[axis]);
+        sizeInput.value = size.toString();
+    }
+
+    const algorithm = availableAlgorithms.find(algo => algo.shortName === newSettings.algorithm);
+    if (algorithm !== undefined) {
+        /** @type {HTMLSelectElement} */
+        const algorithmSelect = document.getElementById("algoSelect");
+        algorithmSelect.value = algorithm.longName;
+        window.changeAlgorithm(algorithmSelect);
+    }
+
+    /** @type {HTMLInputElement} */
+    const actionDelayInput = document.getElementById("actionDelayInput");
+    actionDelayInput.value = newSettings.actionDelay.toString();
+    actionDelayInput.dispatchEvent(new Event("change"));
+}
+
+/**
+ * Returns the name of the specified action that's shown to the user
+ * @param {String} action - The action (a key of KEY_BINDINGS)
+ * @returns {String} The name of the action
+ */
+function formatActionName(action) {
+    return action.split("_").map(s => capitalize(s)).join(" ");
+}
+
+/**
+ * Shows the key bound to each action in the info panel and in the key binding select
+ */
+function updateKeyBindings() {
+    /** @type {HTMLDivElement} */
+    const keyBindingList = document.getElementById("keyBindingList");
+    keyBindingList.replaceChildren(...Object.keys(KEY_BINDINGS).map(action => {
+        const actionDiv = document.createElement("div");
+        actionDiv.innerText = `${KEY_BINDINGS[action]} : ${formatActionName(action)}`;
+        actionDiv.classList.add("infoItem");
+        return actionDiv;
+    }));
+
+    /** @type {HTMLSelectElement} */
+    const keyBindingSelect = document.getElementById("keyBindingSelect");
+    for (const option of keyBindingSelect.options) {
+        option.text = `Key: ${KEY_BINDINGS[option.value]} (${formatActionName(option.value)})`;
+    }
+    updateRebindButton();
+}
+
+/**
+ * Shows whether or not an action is waiting for a key in the rebind button
+ * @param {String} [takenBy] - The action that the last key pressed is already bound to, if there's one
+ */
+function updateRebindButton(takenBy) {
+    /** @type {HTMLButtonElement} */
+    const rebindButton = document.getElementById("rebindButton");
+    rebindButton.classList.toggle("warning", takenBy !== undefined);
+    if (rebindingAction === undefined) {
+        rebindButton.innerText = "Rebind Key";
+    } else if (takenBy === undefined) {
+        rebindButton.innerText = `Press A Key For ${formatActionName(rebindingAction)} (Escape Cancels)`;
+    } else {
+        rebindButton.innerText = `${KEY_BINDINGS[takenBy]} Is Bound To ${formatActionName(takenBy)}, Press Another Key`;
+    }
+}
+
+/**
+ * Makes the action chosen in the key binding select wait for the next key that's pressed
+ * @param {HTMLButtonElement} element - The rebind button
+ */
+window.rebindKey = (element) => {
+    // Keys mustn't press the button again while they're bound
+    element.blur();
+
+    /** @type {HTMLSelectElement} */
+    const keyBindingSelect = document.getElementById("keyBindingSelect");
+    rebindingAction = keyBindingSelect.value;
+    updateRebindButton();
+}
+
+/**
+ * Binds the specified key to the action that's being rebound, keys that are bound to other actions are refused
+ * @param {String} key - The key, in upper case (see KeyboardEvent#key)
+ */
+function bindKey(key) {
+    if (MODIFIER_KEYS.includes(key)) { return; }
+    if (key === CANCEL_REBIND_KEY) {
+        rebindingAction = undefined;
+        updateRebindButton();
+        return;
+    }
+
+    const [ conflict ] = Settings.findKeyConflicts({ ...KEY_BINDINGS, [rebindingAction]: key });
+    if (conflict !== undefined) {
+        updateRebindButton(conflict.actions.find(action => action !== rebindingAction));
+        return;
+    }
+
+    KEY_BINDINGS[rebindingAction] = key;
+    rebindingAction = undefined;
+    updateSettings({ "keyBindings": { ...KEY_BINDINGS } });
+    updateKeyBindings();
+}
+
+/**
+ * Puts back the default settings
+ */
+window.resetSettings = () => {
+    if (isPathGenLocked) { return; }
+    applySettings(DEFAULT_SETTINGS);
+}
+
+/**
+ * Downloads the current settings as a JSON file
+ */
+window.downloadSettings = () => {
+    downloadBlob(new Blob([ Settings.settingsToJSON(settings) ], { "type": "application/json" }), "settings.json");
+}
+
+/**
+ * Applies the settings of the specified file created by downloadSettings
+ * @param {File} [file] - The file to load
+ */
+async function loadSettingsFile(file) {
+    if (isPathGenLocked || file === undefined) { return; }
+
+    let newSettings;
+    try {
+        newSettings = Settings.parseSettings(await file.text(), DEFAULT_SETTINGS, SETTINGS_LIMITS);
+    } catch (err) {
+        if (!(err instanceof Settings.SettingsFormatError)) { throw err; }
+        window.alert(`Couldn't load ${file.name}: ${err.message}`);
+        return;
     }
+
+    // A path gen may have started while the file was being read
+    if (isPathGenLocked) { return; }
+    applySettings(newSettings);
+}
+
+/**
+ * Loads the settings file chosen with the specified input element
+ * @param {HTMLInputElement} element - The file input element
+ */
+window.openSettingsFile = (element) => {
+    loadSettingsFile(element.files[0]);
+    // Lets the same file be opened again
+    element.value = "";
 }
 
 window.addEventListener("keydown", ev => {
+    // Typing settings (e.g. a negative number) mustn't trigger key bindings
+    if (ev.target instanceof HTMLInputElement) { return; }
+    // The key pressed while an action is being rebound is bound to it instead
+    if (rebindingAction !== undefined) {
+        ev.preventDefault();
+        bindKey(ev.key.toUpperCase());
+        return;
+    }
+
     switch (ev.key.toUpperCase()) {
         case KEY_BINDINGS.restart: {
             generatePath();
             break;
         }
+        case KEY_BINDINGS.find_path: {
+            searchPath();
+            break;
+        }
+        case KEY_BINDINGS.walk: {
+            searchPath("walk");
+            break;
+        }
+        case KEY_BINDINGS.solve_agents: {
+            solveAgents();
+            break;
+        }
+        case KEY_BINDINGS.clear_map: {
+            if (!isPathGenLocked) {
+                discardRecordings();
+                viewports.forEach(viewport => viewport.worldMap.clearMap());
+            }
+            break;
+        }
         case KEY_BINDINGS.toggle_settings: {
             const settingsPanel = document.getElementById("settingsPanel");
             settingsPanel.classList.toggle("hidden");
@@ -226,6 +2134,11 @@ window.addEventListener("keydown", ev => {
         }
         case KEY_BINDINGS.toggle_grid: {
             gridEnabled = !gridEnabled;
+            updateSettings({ "gridEnabled": gridEnabled });
+            break;
+        }
+        case KEY_BINDINGS.toggle_diagonals: {
+            window.toggleDiagonals();
             break;
         }
         case KEY_BINDINGS.toggle_restart_message: {
@@ -237,10 +2150,90 @@ window.addEventListener("keydown", ev => {
             infoPanel.classList.toggle("hidden");
             break;
         }
+        case KEY_BINDINGS.toggle_stats: {
+            const statsPanel = document.getElementById("statsPanel");
+            statsPanel.classList.toggle("hidden");
+            break;
+        }
+        case KEY_BINDINGS.toggle_pause: {
+            togglePathGenPause();
+            break;
+        }
+        case KEY_BINDINGS.step: {
+            stepPathGen();
+            break;
+        }
+        case KEY_BINDINGS.cancel: {
+            cancelPathGen();
+            break;
+        }
+        case KEY_BINDINGS.speed_up: {
+            changeSpeed(true);
+            break;
+        }
+        case KEY_BINDINGS.slow_down: {
+            changeSpeed(false);
+            break;
+        }
+        case KEY_BINDINGS.toggle_replay: {
+            if (replayInterval === null) { startReplay(); } else { stopReplay(); }
+            break;
+        }
+        case KEY_BINDINGS.timeline_back: {
+            stopReplay();
+            seekTimeline(timelineStep - 1);
+            break;
+        }
+        case KEY_BINDINGS.timeline_forward: {
+            stopReplay();
+            seekTimeline(timelineStep + 1);
+            break;
+        }
+        case KEY_BINDINGS.timeline_jump_back: {
+            stopReplay();
+            seekTimeline(timelineStep - Math.max(Math.round(getTimelineLength() * TIMELINE_JUMP), 1));
+            break;
+        }
+        case KEY_BINDINGS.timeline_jump_forward: {
+            stopReplay();
+            seekTimeline(timelineStep + Math.max(Math.round(getTimelineLength() * TIMELINE_JUMP), 1));
+            break;
+        }
+        case KEY_BINDINGS.pan_up: {
+            ev.preventDefault();
+            panCamera(0, -viewports[0].area.h * KEYBOARD_PAN);
+            break;
+        }
+        case KEY_BINDINGS.pan_down: {
+            ev.preventDefault();
+            panCamera(0, viewports[0].area.h * KEYBOARD_PAN);
+            break;
+        }
+        case KEY_BINDINGS.pan_left: {
+            ev.preventDefault();
+            panCamera(-viewports[0].area.w * KEYBOARD_PAN, 0);
+            break;
+        }
+        case KEY_BINDINGS.pan_right: {
+            ev.preventDefault();
+            panCamera(viewports[0].area.w * KEYBOARD_PAN, 0);
+            break;
+        }
+        case KEY_BINDINGS.reset_camera: {
+            resetCamera();
+            break;
+        }
+        case KEY_BINDINGS.toggle_minimap: {
+            minimapEnabled = !minimapEnabled;
+            break;
+        }
     }
 });
 
 window.addEventListener("load", () => {
+    // The settings are read before the inputs are set up, since setting them up saves their defaults
+    const savedSettings = Settings.loadSettings(DEFAULT_SETTINGS, SETTINGS_LIMITS);
+
     /** @type {HTMLSelectElement} */
     const algorithmSelect = document.getElementById("algoSelect");
     availableAlgorithms.forEach(
@@ -253,25 +2246,139 @@ window.addEventListener("load", () => {
     );
     window.changeAlgorithm(algorithmSelect);
 
+    /** @type {HTMLSelectElement} */
+    const generatorSelect = document.getElementById("genSelect");
+    availableGenerators.forEach(
+        gen => {
+            const option = document.createElement("option");
+            option.value = gen.longName;
+            option.text = `${gen.longName} (${gen.shortName})`;
+            generatorSelect.appendChild(option);
+        }
+    );
+    window.changeGenerator(generatorSelect);
+
+    /** @type {HTMLSelectElement} */
+    const tieBreakingSelect = document.getElementById("tieSelect");
+    TIE_BREAKING_POLICIES.forEach(
+        (policy, i) => {
+            const option = document.createElement("option");
+            option.value = i.toString();
+            option.text = `Ties: ${policy.longName} (${policy.shortName})`;
+            tieBreakingSelect.appendChild(option);
+        }
+    );
+    window.changeTieBreaking(tieBreakingSelect);
+    updateSeedInput();
+
+    /** @type {HTMLSelectElement} */
+    const heuristicSelect = document.getElementById("heuristicSelect");
+    HEURISTICS.forEach(
+        (heuristic, i) => {
+            const option = document.createElement("option");
+            option.value = i.toString();
+            option.text = `Heuristic: ${heuristic.longName}`;
+            heuristicSelect.appendChild(option);
+        }
+    );
+    heuristicSelect.value = currentHeuristic.toString();
+    window.changeHeuristic(heuristicSelect);
+    window.changeHeuristicWeight(document.getElementById("weightInput"));
+    updateBoundsToggle();
+    updateTopologySelect();
+
+    /** @type {HTMLSelectElement} */
+    const routeSelect = document.getElementById("routeSelect");
+    ROUTE_ORDERS.forEach(
+        (routeOrder, i) => {
+            const option = document.createElement("option");
+            option.value = i.toString();
+            option.text = `Waypoints: ${routeOrder.longName}`;
+            routeSelect.appendChild(option);
+        }
+    );
+    window.changeRouteOrder(routeSelect);
+
+    /** @type {HTMLSelectElement} */
+    const agentSolverSelect = document.getElementById("agentSolverSelect");
+    availableMultiAgentSolvers.forEach(
+        (solver, i) => {
+            const option = document.createElement("option");
+            option.value = i.toString();
+            option.text = `Agents: ${solver.longName} (${solver.shortName})`;
+            agentSolverSelect.appendChild(option);
+        }
+    );
+    window.changeAgentSolver(agentSolverSelect);
+
+    /** @type {HTMLSelectElement} */
+    const brushSelect = document.getElementById("brushSelect");
+    /** @type {HTMLDivElement} */
+    const settingsPanel = document.getElementById("settingsPanel");
+    Object.keys(WorldMap.CELL_TYPES).forEach(type => {
+        const cell = WorldMap.CELL_TYPES[type];
+        if (cell !== WorldMap.CELL_TYPES.WALL && cell !== WorldMap.CELL_TYPES.WAYPOINT && !WorldMap.TERRAIN_CELL_TYPES[cell]) { return; }
+
+        const option = document.createElement("option");
+        option.value = type;
+        option.text = `Brush: ${capitalize(type.toLowerCase())}`;
+        brushSelect.appendChild(option);
+
+        if (WorldMap.TERRAIN_CELL_TYPES[cell]) {
+            const costInput = document.createElement("input");
+            costInput.type = "text";
+            costInput.id = `${type.toLowerCase()}CostInput`;
+            costInput.placeholder = `${capitalize(type.toLowerCase())} Cost (${WorldMap.TERRAIN_CELL_TYPES[cell]})`;
+            costInput.classList.add("settingsItem");
+            costInput.addEventListener("change", () => window.changeTerrainCost(costInput, type));
+            settingsPanel.appendChild(costInput);
+        }
+    });
+    const agentOption = document.createElement("option");
+    agentOption.value = AGENT_BRUSH;
+    agentOption.text = `Brush: ${capitalize(AGENT_BRUSH.toLowerCase())}`;
+    brushSelect.appendChild(agentOption);
+    window.changeBrush(brushSelect);
+
     /** @type {HTMLDivElement} */
     const infoPanel = document.getElementById("infoPanel");
     Object.keys(WorldMap.CELL_TYPES).forEach(type => {
+        // Agents only differ by their color, the cell types of the first one stand for all of them
+        const agentNumber = type.match(/^AGENT_(\d+)/)?.[1];
+        if (agentNumber !== undefined && agentNumber !== "1") { return; }
+
         const cellTypeDiv = document.createElement("div");
-        cellTypeDiv.innerHTML = `<span style="color: ${WorldMap.CELL_TYPES[type]}">■</span> : ${capitalize(type.toLowerCase())}`;
+        const name = agentNumber === undefined ? type : type.replace("AGENT_1", "AGENT");
+        cellTypeDiv.innerHTML = `<span style="color: ${WorldMap.CELL_TYPES[type]}">■</span> : ${capitalize(name.toLowerCase())}`;
         cellTypeDiv.classList.add("infoItem");
         infoPanel.appendChild(cellTypeDiv);
     });
 
+    // Filled by updateKeyBindings, since actions can be rebound
+    const keyBindingList = document.createElement("div");
+    keyBindingList.id = "keyBindingList";
+    infoPanel.appendChild(keyBindingList);
+
+    /** @type {HTMLSelectElement} */
+    const keyBindingSelect = document.getElementById("keyBindingSelect");
     Object.keys(KEY_BINDINGS).forEach(action => {
-        const key = KEY_BINDINGS[action];
+        const option = document.createElement("option");
+        option.value = action;
+        keyBindingSelect.appendChild(option);
+    });
+    updateKeyBindings();
+
+    Object.keys(MOUSE_BINDINGS).forEach(button => {
         const actionDiv = document.createElement("div");
-        const formattedAction = action.split("_").map(s => capitalize(s)).join(" ");
-        actionDiv.innerText = `${key} : ${formattedAction}`;
+        actionDiv.innerText = `${button} : ${MOUSE_BINDINGS[button]}`;
         actionDiv.classList.add("infoItem");
         infoPanel.appendChild(actionDiv);
     });
 
-    new wCanvas({
+    updateStatsPanel();
+    updateTimeline();
+
+    const canvas = new wCanvas({
         "onDraw": draw,
         "onResize": (canvas) => {
             canvas.element.width = window.innerWidth + 1;
@@ -280,4 +2387,100 @@ window.addEventListener("load", () => {
             recalcScale();
         }
     });
+
+    canvas.element.addEventListener("contextmenu", ev => ev.preventDefault());
+
+    // Map files can be dropped anywhere on the page
+    window.addEventListener("dragover", ev => ev.preventDefault());
+    window.addEventListener("drop", ev => {
+        ev.preventDefault();
+        loadMapFile(ev.dataTransfer.files[0]);
+    });
+
+    applySettings(savedSettings);
+
+    // Links to a run restore it, even when they're opened on an already loaded page
+    if (location.hash.length > 1) { loadPermalink(location.hash); }
+    window.addEventListener("hashchange", () => {
+        if (location.hash.length > 1) { loadPermalink(location.hash); }
+    });
+
+    canvas.element.addEventListener("mousedown", ev => {
+        // The camera can be moved while searching
+        if (ev.button === 1 || (ev.button === 0 && ev.shiftKey)) {
+            ev.preventDefault();
+            panOrigin = { "x": ev.clientX, "y": ev.clientY };
+            return;
+        }
+
+        if (ev.button === 0 && centerOnMinimap(ev.clientX, ev.clientY)) {
+            isMinimapHeld = true;
+            return;
+        }
+
+        // Walking agents plan their path again around the walls the user toggles
+        if (isWalking && ev.button === 0 && viewports[0].isInArea(ev.clientX, ev.clientY)) {
+            const pos = screenToCell(ev.clientX, ev.clientY);
+            postToViewports([ "toggle_wall", pos.x, pos.y ]);
+            return;
+        }
+
+        // Only the main World can be edited
+        if (isPathGenLocked || heldCell !== null || !viewports[0].isInArea(ev.clientX, ev.clientY)) { return; }
+        const pos = screenToCell(ev.clientX, ev.clientY);
+        if (!WORLD_MAP.isInBounds(pos.x, pos.y)) { return; }
+
+        const cell = WORLD_MAP.getCell(pos.x, pos.y);
+        const isDraggable = cell === WorldMap.CELL_TYPES.START || cell === WorldMap.CELL_TYPES.GOAL ||
+            cell === WorldMap.CELL_TYPES.WAYPOINT || isAgentCell(cell);
+        if (ev.button === 0 && isDraggable) {
+            heldCell = { "cell": cell, "isDragged": true, "x": pos.x, "y": pos.y };
+        } else if (ev.button === 0 && currentBrush === WorldMap.CELL_TYPES.WAYPOINT) {
+            // Waypoints are put one per click, strokes would put one on each cell
+            paintCell(currentBrush, pos.x, pos.y);
+            discardRecordings();
+        } else if (ev.button === 0 && currentBrush === AGENT_BRUSH) {
+            putAgentCell(pos.x, pos.y);
+            discardRecordings();
+        } else if (ev.button === 0 || ev.button === 2) {
+            heldCell = {
+                "cell": ev.button === 0 ? currentBrush : WorldMap.CELL_TYPES.EMPTY,
+                "isDragged": false, "x": pos.x, "y": pos.y
+            };
+            paintCell(heldCell.cell, pos.x, pos.y);
+        }
+
+        if (heldCell !== null) { discardRecordings(); }
+    });
+
+    canvas.element.addEventListener("mousemove", ev => {
+        if (panOrigin !== null) {
+            // Dragging the World moves the camera the other way
+            panCamera(panOrigin.x - ev.clientX, panOrigin.y - ev.clientY);
+            panOrigin = { "x": ev.clientX, "y": ev.clientY };
+            return;
+        }
+
+        if (isMinimapHeld) {
+            centerOnMinimap(ev.clientX, ev.clientY);
+            return;
+        }
+
+        if (heldCell === null) { return; }
+        if (isPathGenLocked) { heldCell = null; return; }
+
+        const pos = screenToCell(ev.clientX, ev.clientY);
+        moveHeldCell(pos.x, pos.y);
+    });
+
+    canvas.element.addEventListener("wheel", ev => {
+        ev.preventDefault();
+        zoomAt(ev.clientX, ev.clientY, ev.deltaY < 0 ? ZOOM_STEP : 1 / ZOOM_STEP);
+    }, { "passive": false });
+
+    window.addEventListener("mouseup", () => {
+        heldCell = null;
+        panOrigin = null;
+        isMinimapHeld = false;
+    });
 });
@@ -1,9 +1,55 @@
 
 import { Color } from "./wCanvas/wcanvas.js";
 import * as WorldMap from "./WorldMap.js";
+import { TOPOLOGIES, getCellVertices } from "./Topology.js";
 
 /**
- * @typedef {"map_add_cells"|"map_reset"|"lock_gen"|"unlock_gen"} WorkerMessages
+ * @typedef {"map_add_cells"|"map_reset"|"lock_gen"|"unlock_gen"|"stats"|"validation"} WorkerMessages
+ *
+ * @typedef {Object} PathGenStats - Sent by the path gen worker alongside "stats" while searching and once done
+ * @property {"running"|"found"|"no_path"|"cancelled"|"limit_reached"} state - The state of the search
+ * @property {Number} expanded - How many nodes were expanded
+ * @property {Number} generated - How many nodes were reached while expanding another one
+ * @property {Number} maxOpenSetSize - The highest number of nodes that were waiting to be expanded at once
+ * @property {Number} pathLength - How many moves the path is made of, 0 if there's no path yet.
+ *  Multi-agent searches sum the moves of all agents
+ * @property {Number} pathCost - The total cost of the path (see WorldMap#getCellCost), 0 if there's no path yet.
+ *  Multi-agent searches sum the costs of all agents
+ * @property {Number} time - How long (ms) the search ran for, pauses excluded
+ * @property {String} heuristic - The longName of the heuristic, it's only used by some algorithms (see HEURISTICS)
+ * @property {Number} heuristicWeight - What the estimates of the heuristic were multiplied by
+ * @property {Array<{ "pathLength": Number, "pathCost": Number }>} legs - The length and cost of each leg of the route,
+ *  from a stop (START or a waypoint) to the next one. Empty while the search is running
+ * @property {Number} [makespan] - When the last agent of a multi-agent search reaches its goal, only sent by "solve_agents"
+ * @property {Number} [sumOfCosts] - The sum of the times each agent reaches its goal at, only sent by "solve_agents"
+ * @property {Number} [conflicts] - How many times agents collide with each other, only sent by "solve_agents"
+ *
+ * @typedef {"generate"|"search"|"walk"|"solve_agents"|"toggle_wall"|"pause"|"resume"|"step"|"cancel"|"set_delay"} PathGenMessages - Messages that can be sent to the path gen worker
+ *
+ * @typedef {Object} PathGenSettings - The settings sent alongside "generate", "search", "walk" and "solve_agents"
+ * @property {Number} width - The width of the World
+ * @property {Number} height - The height of the World
+ * @property {Boolean} hasBoundary - Whether or not the World has boundaries
+ * @property {Number} actionDelay - The delay between actions
+ * @property {Number} maxCellQueue - Maximum cell queue length
+ * @property {Number} algorithmIndex - The index of the currently selected algorithm
+ * @property {Number} generatorIndex - The index of the currently selected map generator
+ * @property {Number} [generatorDensity] - The wall density (0-1) used by generators that support it
+ * @property {Object<String, Number>} terrainCosts - The cost of moving into each terrain type (see WorldMap#terrainCosts)
+ * @property {Boolean} diagonals - Whether or not diagonal moves are allowed
+ * @property {String} cornerCutting - How diagonal moves can go past walls (one of CORNER_CUTTING_POLICIES)
+ * @property {String} [topology] - The shape of the cells of the World (one of TOPOLOGIES), squares if undefined
+ * @property {Boolean} [mapOnly] - Whether or not "generate" should only generate the map, without searching a path
+ * @property {Boolean} [startPaused] - Whether or not the worker should wait for "resume" or "step" before doing anything
+ * @property {Number} seed - The seed of the random numbers used by generators and to place START and GOAL (see createRandom)
+ * @property {Number} tieBreakingIndex - The index of the policy used to break ties between nodes (see TIE_BREAKING_POLICIES)
+ * @property {Number} heuristicIndex - The index of the heuristic used by algorithms that need one (see HEURISTICS)
+ * @property {Number} heuristicWeight - What the estimates of the heuristic are multiplied by (Weighted A*)
+ * @property {Number} expansionLimit - How many nodes searches on Worlds without boundaries can expand before giving up
+ * @property {Number} [waypointCount] - How many waypoints "generate" puts on random empty cells
+ * @property {Number} [routeOrderIndex] - The index of the order waypoints are visited in (see ROUTE_ORDERS)
+ * @property {Number} [walkChanges] - How many random cells "walk" toggles the wall of before each step of the agent
+ * @property {Number} [agentSolverIndex] - The index of the solver "solve_agents" uses (see availableMultiAgentSolvers)
  */
 
 /**
@@ -23,17 +69,121 @@ export function sleep(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+/**
+ * Creates a seeded random number generator, the same seed always gives the same numbers (Mulberry32)
+ * @param {Number} seed - The seed, an unsigned 32 bit integer
+ * @returns {() -> Number} A function that works like Math.random
+ */
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    };
+}
+
+/**
+ * Returns a new random seed for createRandom
+ * @returns {Number} An unsigned 32 bit integer
+ */
+export function randomSeed() {
+    return Math.floor(Math.random() * 0x100000000);
+}
+
+/**
+ * Returns a random integer between 0 (inclusive) and max (exclusive)
+ * @param {Number} max - The upper bound
+ * @param {() -> Number} [random] - The random number generator to use (see createRandom)
+ * @returns {Number} The random integer
+ */
+export function randomInt(max, random = Math.random) {
+    return Math.floor(random() * max);
+}
+
+/**
+ * Shuffles the specified array in place (Fisher-Yates)
+ * @param {Array<any>} array - The array to shuffle
+ * @param {() -> Number} [random] - The random number generator to use (see createRandom)
+ * @returns {Array<any>} The shuffled array
+ */
+export function shuffle(array, random = Math.random) {
+    for (let i = array.length - 1; i > 0; i--) {
+        const j = randomInt(i + 1, random);
+        [ array[i], array[j] ] = [ array[j], array[i] ];
+    }
+    return array;
+}
+
+/**
+ * Adds the outline of a cell to the current path of the specified context
+ * @param {CanvasRenderingContext2D} context - The context to add the outline to
+ * @param {{ "x": Number, "y": Number }} pos - The pos of the cell
+ * @param {Number} x - X pos offset
+ * @param {Number} y - Y pos offset
+ * @param {Number} cellSize - The size (px) of each cell
+ * @param {String} topology - The shape of the cell (one of TOPOLOGIES)
+ */
+export function traceCell(context, pos, x, y, cellSize, topology) {
+    const vertices = getCellVertices(topology, pos.x, pos.y);
+    context.moveTo(x + vertices[0].x * cellSize, y + vertices[0].y * cellSize);
+    for (let i = 1; i < vertices.length; i++) {
+        context.lineTo(x + vertices[i].x * cellSize, y + vertices[i].y * cellSize);
+    }
+    context.closePath();
+}
+
 /**
  * Draws a NodePair to the canvas
  * @param {wCanvas} canvas - The canvas to drawn on
  * @param {WorldMap.NodePair} nodePair - The NodePair to draw
  * @param {Number} x - X pos offset
  * @param {Number} y - Y pos offset
+ * @param {Number} [cellSize] - The size (px) of each cell
+ * @param {String} [topology] - The shape of the cell (one of TOPOLOGIES)
  */
-export function drawNodePair(canvas, nodePair, x = 0, y = 0, cellSize = 16) {
-    canvas.fill(new Color(nodePair[1]));
-    canvas.rect(
-        x + nodePair[0].x * cellSize, y + nodePair[0].y * cellSize, cellSize, cellSize,
-        { "noStroke": true }
-    );
+export function drawNodePair(canvas, nodePair, x = 0, y = 0, cellSize = 16, topology = TOPOLOGIES.SQUARE) {
+    if (topology === TOPOLOGIES.SQUARE) {
+        canvas.fill(new Color(nodePair[1]));
+        canvas.rect(
+            x + nodePair[0].x * cellSize, y + nodePair[0].y * cellSize, cellSize, cellSize,
+            { "noStroke": true }
+        );
+        return;
+    }
+
+    // Hexes and triangles are drawn as polygons on the context
+    const { context } = canvas;
+    context.fillStyle = nodePair[1];
+    context.beginPath();
+    traceCell(context, nodePair[0], x, y, cellSize, topology);
+    context.fill();
+}
+
+/**
+ * Makes a cell of the canvas transparent, the cells around it are left as they are
+ * @param {wCanvas} canvas - The canvas to clear the cell of
+ * @param {{ "x": Number, "y": Number }} pos - The pos of the cell
+ * @param {Number} x - X pos offset
+ * @param {Number} y - Y pos offset
+ * @param {Number} cellSize - The size (px) of each cell
+ * @param {String} topology - The shape of the cell (one of TOPOLOGIES)
+ */
+export function clearNode(canvas, pos, x, y, cellSize, topology) {
+    const { context } = canvas;
+    if (topology === TOPOLOGIES.SQUARE) {
+        context.clearRect(x + pos.x * cellSize, y + pos.y * cellSize, cellSize, cellSize);
+        return;
+    }
+
+    context.save();
+    // Whatever is drawn is erased instead, as long as it's opaque
+    context.globalCompositeOperation = "destination-out";
+    context.fillStyle = "#000";
+    context.beginPath();
+    traceCell(context, pos, x, y, cellSize, topology);
+    context.fill();
+    context.restore();
 }